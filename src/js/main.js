@@ -5,7 +5,7 @@
 
 // Import modules
 import { getValue, setValue } from './modules/dom.js';
-import { parseNumber } from './modules/formatters.js';
+import { formatDate } from './modules/formatters.js';
 import { saveDraft, loadDraft, clearDraft } from './modules/storage.js';
 import {
     getHistory,
@@ -13,17 +13,93 @@ import {
     deleteFromHistory,
     clearHistory,
     getHistoryEntry,
+    findHistoryEntryByNumber,
+    updateHistoryStatus,
+    markQuoteConverted,
     renderHistoryList,
+    isHistoryPanelOpen,
+    getEntryType,
     toggleHistoryPanel
 } from './modules/history.js';
+import { parseLineSelection, buildCreditNote } from './modules/credit-notes.js';
+import {
+    DOCUMENT_TYPES,
+    getDocumentType,
+    getDocumentLabel,
+    getDocumentNumbering,
+    isDefaultDocumentTitle,
+    buildInvoiceFromQuote
+} from './modules/document-types.js';
+import { renderReports, toggleReportsPanel } from './modules/reports.js';
+import { exportHistory } from './modules/history-export.js';
+import { undo, redo } from './modules/undo.js';
+import {
+    getSchedule,
+    createSchedule,
+    deleteSchedule,
+    getDueSchedules,
+    buildScheduledInvoice,
+    advanceSchedule,
+    renderRecurringList,
+    toggleRecurringPanel
+} from './modules/recurring.js';
 import { addItemRow, renderItemsForm, ensureAtLeastOneItemRow } from './modules/items.js';
+import { addChargeRow, renderChargesForm } from './modules/charges.js';
+import { addPaymentRow, renderPaymentsForm } from './modules/payments.js';
+import {
+    getCustomer,
+    findCustomerByName,
+    rememberCustomer,
+    deleteCustomer,
+    applyCustomerToForm,
+    renderCustomerOptions,
+    seedCustomersFromHistory,
+    renderCustomerList,
+    openCustomerEditor,
+    closeCustomerEditor,
+    saveCustomerEditor,
+    toggleCustomersPanel
+} from './modules/customers.js';
+import {
+    getCatalogEntry,
+    findCatalogEntry,
+    deleteCatalogEntry,
+    applyCatalogEntryToRow,
+    renderCatalogOptions,
+    renderCatalogList,
+    openCatalogEditor,
+    closeCatalogEditor,
+    saveCatalogEditor,
+    handleCatalogFileImport,
+    toggleCatalogPanel
+} from './modules/catalog.js';
 import { renderInvoice, isInvoiceVisible } from './modules/invoice.js';
 import {
+    getDataFromForm,
     validateData,
     syncFromForm,
     applyDataToForm
 } from './modules/form.js';
 import { downloadPDF, shareInvoice } from './modules/pdf.js';
+import {
+    getProfile,
+    saveProfileFromForm,
+    deleteProfile,
+    setProfileLastNumber,
+    applyProfileToForm,
+    renderProfileOptions
+} from './modules/profiles.js';
+import { getTemplateAccent } from './modules/templates.js';
+import {
+    stepInvoiceNumber,
+    suggestInvoiceNumber,
+    findSequenceGap,
+    findFreeInvoiceNumber,
+    getRevisionNumber,
+    getSequencePeriod
+} from './modules/numbering.js';
+import { storeLogoFile, clearLogo, renderLogoField } from './modules/logo.js';
+import { getGstValidationErrors, populateStateOptions } from './modules/gst.js';
 import {
     exportJsonToTextarea,
     downloadJsonFile,
@@ -36,30 +112,316 @@ const LAST_NUMBER_KEY = 'invoice.lastNumber';
 
 // State
 let isApplyingData = false;
+let hasUserInput = false;
+let matchedCustomerId = null;
 
 /**
  * Generate bill from form data
+ * @returns {Promise<boolean>} True when the bill was generated and saved to history
  */
-function generateBill() {
-    const data = syncFromForm({ showInvoice: true });
+async function generateBill() {
+    let data = syncFromForm({ showInvoice: true });
     if (!validateData(data)) {
         alert('Please fill in all required fields and add at least one line item.');
-        return;
+        return false;
+    }
+    const gstErrors = getGstValidationErrors(data);
+    if (gstErrors.length > 0) {
+        alert(gstErrors.join('\n'));
+        return false;
     }
+
+    // Reusing a number for another customer would replace that invoice in history
+    const number = await resolveNumberCollision(data);
+    if (number === null) return false;
+    if (number !== data.invoice.number) {
+        setValue('invoiceNumber', number);
+        data = syncFromForm({ showInvoice: true });
+    }
+
+    const type = getDocumentType(data);
+    const gap = findSequenceGap(data.invoice.number, getFormNumbering(data), data.invoice.date,
+        await getIssuedInvoices(data.settings.profileId, type));
+    if (gap) {
+        const skipped = gap.from === gap.to ? `number ${gap.from} has` : `numbers ${gap.from} to ${gap.to} have`;
+        const label = getDocumentLabel(type).toLowerCase();
+        if (!confirm(`Sequence ${skipped} not been issued yet. Generate ${label} ${data.invoice.number} anyway?`)) return false;
+    }
+
     data.meta.showInvoice = true;
     saveDraft(data);
     renderInvoice(data);
-    localStorage.setItem(LAST_NUMBER_KEY, data.invoice.number);
-    saveToHistory(data);
+    // Quotes, proforma invoices and credit notes run in their own series and leave the last invoice number alone
+    if (type === 'invoice') {
+        localStorage.setItem(LAST_NUMBER_KEY, data.invoice.number);
+        if (data.settings.profileId) {
+            setProfileLastNumber(data.settings.profileId, data.invoice.number);
+        }
+    }
+    await saveToHistory(data);
+    if (isHistoryPanelOpen()) renderHistoryList();
+    rememberCustomer(data);
+    renderCustomerOptions();
     document.getElementById('invoice').scrollIntoView({ behavior: 'smooth' });
+    return true;
+}
+
+/**
+ * Get the documents of one type issued under a seller profile
+ * @param {string} profileId - Seller profile ID, '' for none
+ * @param {string} type - Document type, invoices by default
+ * @returns {Promise<Array>} History entries
+ */
+async function getIssuedInvoices(profileId, type = 'invoice') {
+    return (await getHistory()).filter((entry) => String(entry.profileId || '') === String(profileId || '')
+        && getEntryType(entry) === type);
+}
+
+/**
+ * Get the numbering options of the series a document belongs to
+ * @param {Object} data - Invoice data
+ * @returns {Object} Numbering options
+ */
+function getFormNumbering(data) {
+    return getDocumentNumbering(data.settings.numbering, getDocumentType(data));
+}
+
+/**
+ * Check whether the invoice number is already used by another invoice
+ * Regenerating an invoice for the same customer and date simply updates it; otherwise
+ * the user picks between overwriting, saving a revision and moving to the next free number.
+ * @param {Object} data - Invoice data about to be saved
+ * @returns {Promise<string|null>} Number to save under, or null to cancel
+ */
+async function resolveNumberCollision(data) {
+    const { number } = data.invoice;
+    const existing = await findHistoryEntryByNumber(number, data.settings.profileId);
+    if (!existing) return number;
+
+    const sameCustomer = (existing.customerName || '').trim().toLowerCase()
+        === (data.billTo.name || '').trim().toLowerCase();
+    // Last year's invoice for the same customer is a different invoice
+    if (sameCustomer && existing.date === data.invoice.date) return number;
+
+    const issued = (await getHistory())
+        .filter((entry) => String(entry.profileId || '') === String(data.settings.profileId || ''));
+    const revision = getRevisionNumber(number, issued.map((entry) => entry.number));
+    const numbering = getFormNumbering(data);
+    const period = getSequencePeriod(data.invoice.date, numbering);
+    const taken = issued
+        .filter((entry) => getSequencePeriod(entry.date, numbering) === period)
+        .map((entry) => entry.number);
+    const context = { date: data.invoice.date, customerName: data.billTo.name };
+    const free = findFreeInvoiceNumber(number, numbering, context, taken);
+    const existingDate = formatDate(existing.date, data.settings.locale, data.settings.dateFormat);
+
+    const choice = prompt(
+        `Invoice ${number} already exists for ${existing.customerName || 'another customer'} (${existingDate}).\n\n`
+        + `Type 1 to overwrite it\n`
+        + `Type 2 to save this as revision ${revision}\n`
+        + `Type 3 to use the next free number, ${free}`,
+        '3'
+    );
+    if (choice === null) return null;
+    switch (choice.trim()) {
+        case '1':
+            return number;
+        case '2':
+            return revision;
+        case '3':
+            return free;
+        default:
+            alert('Invoice not saved. Choose 1, 2 or 3.');
+            return null;
+    }
+}
+
+/**
+ * Suggest the next invoice number for the form's numbering pattern
+ * Only invoices issued under the same seller profile count towards the sequence.
+ * Quotes, proforma invoices and credit notes continue their own series instead.
+ * @param {Object|null} profile - Active seller profile
+ * @param {Object} data - Invoice data the number is for, defaults to the form
+ * @returns {Promise<string>} Suggested invoice number
+ */
+async function suggestNextNumber(profile, data = getDataFromForm()) {
+    const type = getDocumentType(data);
+    const issued = await getIssuedInvoices(profile ? profile.id : '', type);
+    // The other series are numbered from history alone
+    const lastNumber = type !== 'invoice' ? '' : (profile ? profile.lastNumber : localStorage.getItem(LAST_NUMBER_KEY));
+    const context = { date: data.invoice.date, customerName: data.billTo.name };
+    return suggestInvoiceNumber(getFormNumbering(data), context, issued, lastNumber);
+}
+
+/**
+ * Move the invoice number up or down its sequence
+ * @param {number} delta - 1 to increment, -1 to decrement
+ */
+function stepNumberField(delta) {
+    const data = getDataFromForm();
+    const context = { date: data.invoice.date, customerName: data.billTo.name };
+    const next = stepInvoiceNumber(data.invoice.number, delta, getFormNumbering(data), context);
+    if (next === null) return;
+    setValue('invoiceNumber', next);
+    syncFromForm({ render: isInvoiceVisible() });
+}
+
+/**
+ * Export the invoices shown in the history panel
+ * @param {string} format - 'csv' or 'xlsx'
+ */
+async function exportHistoryAs(format) {
+    const count = await exportHistory(format, getValue('historyExportMode'));
+    if (count === 0) alert('No invoices match the current filters.');
+}
+
+/**
+ * Start a credit note against a saved invoice
+ * The chosen lines are copied into the form as a credit note in its own number series,
+ * ready to review and generate.
+ * @param {number} id - History entry ID of the original invoice
+ */
+async function createCreditNote(id) {
+    const entry = await getHistoryEntry(id);
+    if (!entry || !entry.data) return;
+
+    const items = entry.data.items || [];
+    const lines = items.map((item, index) => `${index + 1}. ${item.description || 'Item'}`).join('\n');
+    const choice = prompt(
+        `Credit note against invoice ${entry.number}:\n\n${lines}\n\n`
+        + 'Type the line numbers to credit, e.g. 1, 3, or leave blank to credit every line',
+        ''
+    );
+    if (choice === null) return;
+    const lineIndexes = parseLineSelection(choice, items.length);
+    if (!lineIndexes || lineIndexes.length === 0) {
+        alert(`No credit note created. Choose line numbers from 1 to ${items.length}.`);
+        return;
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const data = buildCreditNote(entry, lineIndexes, today);
+    isApplyingData = true;
+    applyDataToForm(data, (options) => {
+        syncFromForm(options);
+    });
+    isApplyingData = false;
+    setValue('invoiceNumber', await suggestNextNumber(getProfile(data.settings.profileId)));
+    syncFromForm({ render: false, showInvoice: false });
+    toggleHistoryPanel(false);
+    document.getElementById('invoiceTitle').scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Turn an accepted quote into an invoice with the same items
+ * The invoice is numbered in the invoice series and generated straight away; the quote
+ * then records the number it was invoiced as.
+ * @param {number} id - History entry ID of the quote
+ */
+async function convertQuote(id) {
+    const entry = await getHistoryEntry(id);
+    if (!entry || !entry.data) return;
+
+    const today = new Date().toISOString().split('T')[0];
+    const data = buildInvoiceFromQuote(entry, today);
+    isApplyingData = true;
+    applyDataToForm(data, (options) => {
+        syncFromForm(options);
+    });
+    isApplyingData = false;
+    setValue('invoiceNumber', await suggestNextNumber(getProfile(data.settings.profileId)));
+    syncFromForm({ render: false, showInvoice: false });
+    toggleHistoryPanel(false);
+
+    if (!(await generateBill())) return;
+    await markQuoteConverted(id, getValue('invoiceNumber'));
+}
+
+/**
+ * Set up a recurring schedule from a saved invoice
+ * @param {number} id - History entry ID
+ */
+async function repeatFromHistory(id) {
+    const entry = await getHistoryEntry(id);
+    if (!entry) return;
+
+    const choice = prompt(
+        `Repeat invoice ${entry.number} for ${entry.customerName || 'Unknown'}:\n\n`
+        + 'Type 1 for weekly\n'
+        + 'Type 2 for monthly\n'
+        + 'Type 3 for quarterly\n'
+        + 'Type 4 for yearly',
+        '2'
+    );
+    if (choice === null) return;
+    const frequency = { 1: 'weekly', 2: 'monthly', 3: 'quarterly', 4: 'yearly' }[choice.trim()];
+    if (!frequency) {
+        alert('No schedule created. Choose 1, 2, 3 or 4.');
+        return;
+    }
+    let schedule;
+    try {
+        schedule = await createSchedule(entry, frequency);
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+    if (!schedule) {
+        alert('This invoice has no valid invoice date to repeat from.');
+        return;
+    }
+    toggleRecurringPanel(true);
+}
+
+/**
+ * Create the next invoice of a recurring schedule and save it to history
+ * The number continues the seller profile's sequence for the new invoice date.
+ * The schedule only moves on once the invoice is saved.
+ * @param {number} id - Schedule ID
+ * @returns {Promise<void>} Rejects when the invoice or its schedule could not be saved
+ */
+async function createScheduledInvoice(id) {
+    const schedule = await getSchedule(id);
+    if (!schedule) return;
+
+    const data = buildScheduledInvoice(schedule);
+    const profileId = data.settings.profileId || '';
+    const profile = getProfile(profileId);
+    let number = await suggestNextNumber(profile, data);
+    if (await findHistoryEntryByNumber(number, profileId)) {
+        const taken = (await getIssuedInvoices(profileId, getDocumentType(data))).map((entry) => entry.number);
+        const context = { date: data.invoice.date, customerName: data.billTo.name };
+        number = findFreeInvoiceNumber(number, getFormNumbering(data), context, taken);
+    }
+    data.invoice.number = number;
+
+    if (!(await saveToHistory(data))) {
+        throw new Error(`Invoice ${number} could not be saved to history. The schedule was left unchanged.`);
+    }
+    if (getDocumentType(data) === 'invoice') {
+        localStorage.setItem(LAST_NUMBER_KEY, number);
+        if (profile) {
+            setProfileLastNumber(profileId, number);
+        }
+    }
+    if (isHistoryPanelOpen()) renderHistoryList();
+    rememberCustomer(data);
+    renderCustomerOptions();
+    try {
+        await advanceSchedule(id, data);
+    } catch (error) {
+        throw new Error(`Invoice ${number} was saved, but the schedule could not move on to the next period. ${error.message}`);
+    } finally {
+        renderRecurringList();
+    }
 }
 
 /**
  * Load invoice from history by ID
  * @param {number} id - History entry ID
  */
-function loadFromHistory(id) {
-    const entry = getHistoryEntry(id);
+async function loadFromHistory(id) {
+    const entry = await getHistoryEntry(id);
     if (!entry || !entry.data) return;
     isApplyingData = true;
     applyDataToForm(entry.data, (options) => {
@@ -69,14 +431,37 @@ function loadFromHistory(id) {
     toggleHistoryPanel(false);
 }
 
+/**
+ * Put an undo snapshot back into the form, leaving the preview shown or hidden as it is
+ * @param {Object} data - Invoice data from the snapshot
+ */
+function applySnapshot(data) {
+    data.meta = { showInvoice: isInvoiceVisible() };
+    isApplyingData = true;
+    applyDataToForm(data, (options) => {
+        syncFromForm(options);
+    });
+    isApplyingData = false;
+}
+
 /**
  * Reset the current draft
  */
-function resetDraft() {
+async function resetDraft() {
     const shouldReset = confirm('Reset the current draft? Your stored draft will be cleared.');
     if (!shouldReset) return;
 
     clearDraft();
+    await clearForm();
+}
+
+/**
+ * Empty the form and hide the preview, suggesting the next invoice number
+ * The active seller profile stays filled in.
+ */
+async function clearForm() {
+    const profile = getProfile(getValue('sellerProfile'));
+
     document.getElementById('invoice').style.display = 'none';
     document.getElementById('invoicePlaceholder').style.display = 'flex';
     document.getElementById('downloadBtn').style.display = 'none';
@@ -88,30 +473,46 @@ function resetDraft() {
     setValue('sellerAddress', '');
     setValue('sellerEmail', '');
     setValue('sellerPhone', '');
+    setValue('sellerGstin', '');
     setValue('billToName', '');
     setValue('billToAddress', '');
     setValue('billToEmail', '');
     setValue('billToPhone', '');
+    setValue('billToGstin', '');
+    setValue('placeOfSupply', '');
     setValue('invoiceTitle', 'INVOICE');
+    setValue('invoiceType', 'invoice');
+    setValue('creditedInvoiceNumber', '');
+    setValue('creditedInvoiceDate', '');
     setValue('invoiceDueDate', '');
+    setValue('invoiceValidUntil', '');
     setValue('currencyCode', 'INR');
     setValue('taxRate', '0');
     setValue('discountAmount', '0');
+    setValue('discountType', 'amount');
+    setValue('discountApplication', 'afterTax');
     setValue('invoiceNotes', '');
     setValue('invoiceInstructions', '');
+    setValue('upiId', '');
+    setValue('upiName', '');
+    setValue('sepaIban', '');
+    setValue('sepaBic', '');
+    setValue('sepaName', '');
 
     const today = new Date().toISOString().split('T')[0];
     setValue('invoiceDate', today);
 
-    const lastNumber = localStorage.getItem(LAST_NUMBER_KEY);
-    if (lastNumber) {
-        setValue('invoiceNumber', String(parseNumber(lastNumber, 0) + 1));
-    } else {
-        setValue('invoiceNumber', '1');
+    if (profile) {
+        applyProfileToForm(profile);
     }
 
+    setValue('invoiceNumber', await suggestNextNumber(profile));
+
     renderItemsForm([]);
     ensureAtLeastOneItemRow(addItemRow);
+    renderChargesForm([]);
+    renderPaymentsForm([]);
+    matchedCustomerId = null;
     syncFromForm({ render: false, showInvoice: false });
 }
 
@@ -122,8 +523,84 @@ function attachEventHandlers() {
     const form = document.getElementById('billForm');
     form.addEventListener('input', () => {
         if (isApplyingData) return;
+        hasUserInput = true;
         const shouldRender = isInvoiceVisible();
-        syncFromForm({ render: shouldRender });
+        syncFromForm({ render: shouldRender, typing: true });
+    });
+
+    // Seller profile switcher
+    document.getElementById('sellerProfile').addEventListener('change', (event) => {
+        const profile = getProfile(event.target.value);
+        if (profile) applyProfileToForm(profile);
+        renderProfileOptions(event.target.value);
+        syncFromForm({ render: isInvoiceVisible() });
+    });
+
+    document.getElementById('saveProfileBtn').addEventListener('click', () => {
+        const current = getProfile(getValue('sellerProfile'));
+        const label = prompt('Profile name', current?.label || getValue('sellerName'));
+        if (label === null) return;
+        const profile = saveProfileFromForm(label, current?.id);
+        renderProfileOptions(profile.id);
+        syncFromForm({ render: isInvoiceVisible() });
+    });
+
+    document.getElementById('deleteProfileBtn').addEventListener('click', () => {
+        const current = getProfile(getValue('sellerProfile'));
+        if (!current) return;
+        if (!confirm(`Delete the seller profile "${current.label}"?`)) return;
+        deleteProfile(current.id);
+        renderProfileOptions('');
+        syncFromForm({ render: isInvoiceVisible() });
+    });
+
+    // Logo is stored on its own, outside the draft, so it survives resets
+    document.getElementById('logoFile').addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        try {
+            await storeLogoFile(file);
+        } catch (error) {
+            alert(error.message);
+        } finally {
+            event.target.value = '';
+        }
+        renderLogoField();
+        syncFromForm({ render: isInvoiceVisible() });
+    });
+
+    document.getElementById('removeLogoBtn').addEventListener('click', () => {
+        clearLogo();
+        renderLogoField();
+        syncFromForm({ render: isInvoiceVisible() });
+    });
+
+    // Each document type has its own title and number series; custom titles are kept
+    document.getElementById('invoiceType').addEventListener('change', async (event) => {
+        const type = DOCUMENT_TYPES[event.target.value];
+        if (type && isDefaultDocumentTitle(getValue('invoiceTitle'))) {
+            setValue('invoiceTitle', type.title);
+        }
+        setValue('invoiceNumber', await suggestNextNumber(getProfile(getValue('sellerProfile'))));
+        syncFromForm({ render: isInvoiceVisible() });
+    });
+
+    // Each template brings its own accent color
+    document.getElementById('invoiceTemplate').addEventListener('change', (event) => {
+        setValue('themeAccent', getTemplateAccent(event.target.value).toLowerCase());
+        syncFromForm({ render: isInvoiceVisible() });
+    });
+
+    // Picking a known customer fills in the rest of Bill To; this runs before the form's sync
+    document.getElementById('billToName').addEventListener('input', (event) => {
+        const customer = findCustomerByName(event.target.value);
+        if (!customer) {
+            matchedCustomerId = null;
+            return;
+        }
+        if (customer.id === matchedCustomerId) return;
+        matchedCustomerId = customer.id;
+        applyCustomerToForm(customer);
     });
 
     document.getElementById('addItemBtn').addEventListener('click', () => {
@@ -132,6 +609,24 @@ function attachEventHandlers() {
     });
 
     const itemsContainer = document.getElementById('itemsContainer');
+
+    // Picking a catalog item fills in the rest of the row; this runs before the form's sync
+    itemsContainer.addEventListener('input', (event) => {
+        if (!event.target.classList.contains('item-description')) return;
+        const row = event.target.closest('.item-row');
+        if (!row) return;
+        const entry = findCatalogEntry(event.target.value);
+        if (!entry) {
+            // The unit belonged to the catalog item the row no longer matches
+            if (row.dataset.catalogId) row.dataset.unit = '';
+            delete row.dataset.catalogId;
+            return;
+        }
+        if (row.dataset.catalogId === String(entry.id)) return;
+        row.dataset.catalogId = entry.id;
+        applyCatalogEntryToRow(row, entry);
+    });
+
     itemsContainer.addEventListener('click', (event) => {
         if (!event.target.classList.contains('remove-item')) return;
         const row = event.target.closest('.item-row');
@@ -140,6 +635,33 @@ function attachEventHandlers() {
         syncFromForm({ render: isInvoiceVisible() });
     });
 
+    document.getElementById('addChargeBtn').addEventListener('click', () => {
+        addChargeRow({ name: '', amount: 0, taxable: false });
+        syncFromForm({ render: isInvoiceVisible() });
+    });
+
+    const chargesContainer = document.getElementById('chargesContainer');
+    chargesContainer.addEventListener('click', (event) => {
+        if (!event.target.classList.contains('remove-charge')) return;
+        const row = event.target.closest('.charge-row');
+        if (row) row.remove();
+        syncFromForm({ render: isInvoiceVisible() });
+    });
+
+    document.getElementById('addPaymentBtn').addEventListener('click', () => {
+        const today = new Date().toISOString().split('T')[0];
+        addPaymentRow({ date: today, amount: 0, method: '', reference: '' });
+        syncFromForm({ render: isInvoiceVisible() });
+    });
+
+    const paymentsContainer = document.getElementById('paymentsContainer');
+    paymentsContainer.addEventListener('click', (event) => {
+        if (!event.target.classList.contains('remove-payment')) return;
+        const row = event.target.closest('.payment-row');
+        if (row) row.remove();
+        syncFromForm({ render: isInvoiceVisible() });
+    });
+
     document.getElementById('exportJsonBtn').addEventListener('click', exportJsonToTextarea);
     document.getElementById('downloadJsonBtn').addEventListener('click', downloadJsonFile);
     document.getElementById('importJsonBtn').addEventListener('click', () => {
@@ -163,24 +685,26 @@ function attachEventHandlers() {
         });
     });
     document.getElementById('resetDraftBtn').addEventListener('click', resetDraft);
-
-    // Invoice number increment/decrement buttons
-    document.getElementById('incrementInvoice').addEventListener('click', () => {
-        const input = document.getElementById('invoiceNumber');
-        const current = parseNumber(input.value, 0);
-        input.value = current + 1;
-        syncFromForm({ render: isInvoiceVisible() });
-    });
-
-    document.getElementById('decrementInvoice').addEventListener('click', () => {
-        const input = document.getElementById('invoiceNumber');
-        const current = parseNumber(input.value, 0);
-        if (current > 1) {
-            input.value = current - 1;
-            syncFromForm({ render: isInvoiceVisible() });
+    document.getElementById('undoBtn').addEventListener('click', () => undo(applySnapshot));
+    document.getElementById('redoBtn').addEventListener('click', () => redo(applySnapshot));
+
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) undo form edits; other text fields keep their own undo
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+        const field = e.target.closest?.('input, textarea, select');
+        if (field && (!field.closest('#billForm') || field.id === 'jsonData')) return;
+        e.preventDefault();
+        if (e.shiftKey) {
+            redo(applySnapshot);
+        } else {
+            undo(applySnapshot);
         }
     });
 
+    // Invoice number increment/decrement buttons
+    document.getElementById('incrementInvoice').addEventListener('click', () => stepNumberField(1));
+    document.getElementById('decrementInvoice').addEventListener('click', () => stepNumberField(-1));
+
     // Drag and drop support for JSON textarea
     const jsonTextarea = document.getElementById('jsonData');
 
@@ -217,25 +741,181 @@ function attachEventHandlers() {
         reader.readAsText(file);
     });
 
+    // Catalog handlers
+    document.getElementById('catalogToggle').addEventListener('click', () => toggleCatalogPanel());
+    document.getElementById('newCatalogItemBtn').addEventListener('click', () => openCatalogEditor());
+    document.getElementById('cancelCatalogItemBtn').addEventListener('click', closeCatalogEditor);
+    document.getElementById('saveCatalogItemBtn').addEventListener('click', () => {
+        if (!saveCatalogEditor()) {
+            alert('Please enter a description for the catalog item.');
+            return;
+        }
+        closeCatalogEditor();
+        renderCatalogList();
+        renderCatalogOptions();
+    });
+    document.getElementById('catalogImportFile').addEventListener('change', (event) => {
+        handleCatalogFileImport(event, (count) => {
+            renderCatalogList();
+            renderCatalogOptions();
+            alert(`Imported ${count} catalog item${count === 1 ? '' : 's'}.`);
+        });
+    });
+
+    const catalogList = document.getElementById('catalogList');
+    catalogList.addEventListener('click', (e) => {
+        const deleteBtn = e.target.closest('.directory-item-delete');
+        if (deleteBtn) {
+            e.stopPropagation();
+            deleteCatalogEntry(parseInt(deleteBtn.dataset.id, 10));
+            closeCatalogEditor();
+            renderCatalogList();
+            renderCatalogOptions();
+            return;
+        }
+
+        const item = e.target.closest('.directory-item');
+        if (item) {
+            const entry = getCatalogEntry(parseInt(item.dataset.id, 10));
+            if (entry) openCatalogEditor(entry);
+        }
+    });
+
+    catalogList.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+
+        const item = e.target.closest('.directory-item');
+        if (item && !e.target.closest('.directory-item-delete')) {
+            e.preventDefault();
+            const entry = getCatalogEntry(parseInt(item.dataset.id, 10));
+            if (entry) openCatalogEditor(entry);
+        }
+    });
+
+    // Customer address book handlers
+    document.getElementById('customersToggle').addEventListener('click', () => toggleCustomersPanel());
+    document.getElementById('newCustomerBtn').addEventListener('click', () => openCustomerEditor());
+    document.getElementById('cancelCustomerBtn').addEventListener('click', closeCustomerEditor);
+    document.getElementById('saveCustomerBtn').addEventListener('click', () => {
+        if (!saveCustomerEditor()) {
+            alert('Please enter a customer name.');
+            return;
+        }
+        closeCustomerEditor();
+        renderCustomerList();
+        renderCustomerOptions();
+    });
+
+    const customerList = document.getElementById('customerList');
+    customerList.addEventListener('click', (e) => {
+        const deleteBtn = e.target.closest('.directory-item-delete');
+        if (deleteBtn) {
+            e.stopPropagation();
+            deleteCustomer(parseInt(deleteBtn.dataset.id, 10));
+            closeCustomerEditor();
+            renderCustomerList();
+            renderCustomerOptions();
+            return;
+        }
+
+        const item = e.target.closest('.directory-item');
+        if (item) {
+            const customer = getCustomer(parseInt(item.dataset.id, 10));
+            if (customer) openCustomerEditor(customer);
+        }
+    });
+
+    customerList.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+
+        const item = e.target.closest('.directory-item');
+        if (item && !e.target.closest('.directory-item-delete')) {
+            e.preventDefault();
+            const customer = getCustomer(parseInt(item.dataset.id, 10));
+            if (customer) openCustomerEditor(customer);
+        }
+    });
+
+    // Reports panel handlers
+    document.getElementById('reportsToggle').addEventListener('click', () => toggleReportsPanel());
+    document.getElementById('reportPeriod').addEventListener('change', () => renderReports());
+
+    // Recurring panel handlers
+    document.getElementById('recurringToggle').addEventListener('click', () => toggleRecurringPanel());
+    document.getElementById('recurringList').addEventListener('click', async (e) => {
+        const createBtn = e.target.closest('.recurring-create');
+        if (createBtn) {
+            createBtn.disabled = true;
+            try {
+                await createScheduledInvoice(parseInt(createBtn.dataset.id, 10));
+            } catch (error) {
+                alert(error.message);
+            } finally {
+                createBtn.disabled = false;
+            }
+            return;
+        }
+
+        const deleteBtn = e.target.closest('.directory-item-delete');
+        if (deleteBtn && confirm('Stop this recurring invoice? Invoices already created stay in history.')) {
+            try {
+                await deleteSchedule(parseInt(deleteBtn.dataset.id, 10));
+            } catch (error) {
+                alert(error.message);
+            }
+            renderRecurringList();
+        }
+    });
+
     // History panel handlers
     document.getElementById('historyToggle').addEventListener('click', () => toggleHistoryPanel());
-    document.getElementById('clearHistoryBtn').addEventListener('click', () => {
-        clearHistory();
-        renderHistoryList();
+    document.getElementById('clearHistoryBtn').addEventListener('click', async () => {
+        if (await clearHistory()) renderHistoryList();
     });
 
+    document.getElementById('historyFilters').addEventListener('input', () => renderHistoryList());
+    document.getElementById('exportHistoryCsvBtn').addEventListener('click', () => exportHistoryAs('csv'));
+    document.getElementById('exportHistoryXlsxBtn').addEventListener('click', () => exportHistoryAs('xlsx'));
+
     const historyList = document.getElementById('historyList');
-    
-    historyList.addEventListener('click', (e) => {
+
+    historyList.addEventListener('click', async (e) => {
         const deleteBtn = e.target.closest('.history-item-delete');
         if (deleteBtn) {
             e.stopPropagation();
             const id = parseInt(deleteBtn.dataset.id, 10);
-            deleteFromHistory(id);
+            await deleteFromHistory(id);
             renderHistoryList();
             return;
         }
 
+        const creditBtn = e.target.closest('.history-item-credit');
+        if (creditBtn) {
+            e.stopPropagation();
+            await createCreditNote(parseInt(creditBtn.dataset.id, 10));
+            return;
+        }
+
+        const repeatBtn = e.target.closest('.history-item-repeat');
+        if (repeatBtn) {
+            e.stopPropagation();
+            await repeatFromHistory(parseInt(repeatBtn.dataset.id, 10));
+            return;
+        }
+
+        const convertBtn = e.target.closest('.history-item-convert');
+        if (convertBtn) {
+            e.stopPropagation();
+            await convertQuote(parseInt(convertBtn.dataset.id, 10));
+            return;
+        }
+
+        // Changing status happens in place and must not load the invoice
+        if (e.target.closest('.history-item-status')) {
+            e.stopPropagation();
+            return;
+        }
+
         const item = e.target.closest('.history-item');
         if (item) {
             const id = parseInt(item.dataset.id, 10);
@@ -243,12 +923,20 @@ function attachEventHandlers() {
         }
     });
 
+    historyList.addEventListener('change', async (e) => {
+        const statusSelect = e.target.closest('.history-item-status');
+        if (!statusSelect) return;
+        const id = parseInt(statusSelect.dataset.id, 10);
+        await updateHistoryStatus(id, statusSelect.value);
+        renderHistoryList();
+    });
+
     // Keyboard support for history items (they have role="button")
     historyList.addEventListener('keydown', (e) => {
         if (e.key !== 'Enter' && e.key !== ' ') return;
         
         const item = e.target.closest('.history-item');
-        if (item && !e.target.closest('.history-item-delete')) {
+        if (item && !e.target.closest('.history-item-delete, .history-item-credit, .history-item-repeat, .history-item-convert, .history-item-status')) {
             e.preventDefault();
             const id = parseInt(item.dataset.id, 10);
             loadFromHistory(id);
@@ -258,17 +946,29 @@ function attachEventHandlers() {
 
 /**
  * Initialize the application
+ * The form is usable straight away; the stored draft is applied once storage has
+ * loaded. If the user has started typing in the meantime they choose between the
+ * two, and nothing is saved over the stored draft until they have.
  */
-function init() {
+async function init() {
     const today = new Date().toISOString().split('T')[0];
     if (!getValue('invoiceDate')) {
         setValue('invoiceDate', today);
     }
+    populateStateOptions('placeOfSupply');
+    renderProfileOptions('');
+    renderLogoField();
+    renderCustomerOptions();
+    renderCatalogOptions();
+    ensureAtLeastOneItemRow(addItemRow);
 
     attachEventHandlers();
 
-    const storedDraft = loadDraft();
-    if (storedDraft) {
+    // Edits made while the draft was loading were not saved, so the stored draft is intact
+    const storedDraft = await loadDraft();
+    const restoreDraft = storedDraft && (!hasUserInput
+        || confirm('A saved draft was found after you started typing. Replace what you typed with the saved draft? Undo brings your typing back.'));
+    if (restoreDraft) {
         isApplyingData = true;
         applyDataToForm(storedDraft, (options) => {
             syncFromForm(options);
@@ -277,21 +977,31 @@ function init() {
         if (storedDraft.meta?.showInvoice) {
             renderInvoice(storedDraft);
         }
-        return;
+    } else {
+        if (!hasUserInput && localStorage.getItem(LAST_NUMBER_KEY) && !getValue('invoiceNumber')) {
+            setValue('invoiceNumber', await suggestNextNumber(null));
+        }
+        syncFromForm({ render: isInvoiceVisible(), showInvoice: isInvoiceVisible() });
     }
 
-    const lastNumber = localStorage.getItem(LAST_NUMBER_KEY);
-    if (lastNumber && !getValue('invoiceNumber')) {
-        setValue('invoiceNumber', String(parseNumber(lastNumber, 0) + 1));
+    if (await seedCustomersFromHistory()) {
+        renderCustomerOptions();
     }
 
-    ensureAtLeastOneItemRow(addItemRow);
-    syncFromForm({ render: false, showInvoice: false });
+    // Recurring invoices waiting to be created are listed on opening
+    if ((await getDueSchedules()).length > 0) {
+        toggleRecurringPanel(true);
+    }
 }
 
 // Initialize on DOM ready
 document.addEventListener('DOMContentLoaded', () => {
-    init();
+    init().catch((error) => {
+        console.error('Failed to load the saved invoice:', error);
+        isApplyingData = false;
+        alert('Your saved invoice could not be loaded, so the form starts empty.');
+        return clearForm();
+    });
     
     // Attach button handlers (moved from inline onclick)
     document.getElementById('generateBillBtn').addEventListener('click', generateBill);
@@ -3,23 +3,260 @@
  * Invoice totals calculation
  */
 
+import {
+    getCurrencyExponent,
+    normalizeRoundingMode,
+    normalizeRoundingScope,
+    roundInteger,
+    toMinorUnits,
+    fromMinorUnits,
+    allocateMinorUnits
+} from './currency.js';
+
+/**
+ * Resolve the tax rate that applies to a line item
+ * @param {Object} item - Line item, optionally with its own taxRate
+ * @param {number} defaultRate - Invoice-wide tax rate as percentage
+ * @returns {number} Effective tax rate as percentage
+ */
+export function resolveItemTaxRate(item, defaultRate) {
+    const rate = item?.taxRate;
+    if (rate === null || rate === undefined || rate === '') return defaultRate;
+    const num = Number(rate);
+    return Number.isFinite(num) ? num : defaultRate;
+}
+
+/**
+ * Normalize a discount into { type, value, application }
+ * A bare number is treated as a flat amount taken off after tax
+ * @param {number|Object} discount - Discount amount or discount object
+ * @returns {Object} Normalized discount
+ */
+export function normalizeDiscount(discount) {
+    if (discount && typeof discount === 'object') {
+        const value = Number(discount.value);
+        return {
+            type: discount.type === 'percent' ? 'percent' : 'amount',
+            value: Number.isFinite(value) && value > 0 ? value : 0,
+            application: discount.application === 'beforeTax' ? 'beforeTax' : 'afterTax'
+        };
+    }
+    const value = Number(discount);
+    return {
+        type: 'amount',
+        value: Number.isFinite(value) && value > 0 ? value : 0,
+        application: 'afterTax'
+    };
+}
+
+/**
+ * Resolve currency precision and rounding options
+ * @param {Object} options - { currency, roundingMode, roundingScope }
+ * @returns {Object} { exponent, mode, scope }
+ */
+function resolveRounding(options = {}) {
+    return {
+        exponent: getCurrencyExponent(options.currency),
+        mode: normalizeRoundingMode(options.roundingMode),
+        scope: normalizeRoundingScope(options.roundingScope)
+    };
+}
+
+/**
+ * Calculate how much a discount takes off a base amount, in minor units
+ * @param {Object|null} discount - Discount with type and value
+ * @param {number} baseMinor - Amount the discount applies to, in minor units
+ * @param {Object} rounding - Resolved rounding options
+ * @returns {number} Discount in minor units, never more than the base
+ */
+function calculateDiscountMinor(discount, baseMinor, rounding) {
+    if (!discount || !(discount.value > 0) || !(baseMinor > 0)) return 0;
+    const amount = discount.type === 'percent'
+        ? roundInteger(baseMinor * (discount.value / 100), rounding.mode)
+        : toMinorUnits(discount.value, rounding.exponent, rounding.mode);
+    return Math.min(amount, baseMinor);
+}
+
+/**
+ * Calculate gross, discount and net amounts for a line item in minor units
+ * @param {Object} item - Line item with quantity, unitPrice and optional discount
+ * @param {Object} rounding - Resolved rounding options
+ * @returns {Object} { gross, discount, net } in minor units
+ */
+function calculateLineMinor(item, rounding) {
+    const quantity = Number(item.quantity);
+    const unitPrice = Number(item.unitPrice);
+    const grossAmount = Number.isFinite(quantity) && Number.isFinite(unitPrice)
+        ? quantity * unitPrice
+        : Number(item.total) || 0;
+    const gross = toMinorUnits(grossAmount, rounding.exponent, rounding.mode);
+    const discount = calculateDiscountMinor(item.discount, gross, rounding);
+    return { gross, discount, net: gross - discount };
+}
+
+/**
+ * Calculate gross, discount and net amounts for a line item
+ * @param {Object} item - Line item with quantity, unitPrice and optional discount
+ * @param {Object} options - { currency, roundingMode } used to round to the currency's minor unit
+ * @returns {Object} { grossAmount, discountAmount, netAmount }
+ */
+export function calculateLineAmounts(item, options = {}) {
+    const rounding = resolveRounding(options);
+    const line = calculateLineMinor(item, rounding);
+    return {
+        grossAmount: fromMinorUnits(line.gross, rounding.exponent),
+        discountAmount: fromMinorUnits(line.discount, rounding.exponent),
+        netAmount: fromMinorUnits(line.net, rounding.exponent)
+    };
+}
+
 /**
  * Calculate invoice totals from items
- * @param {Array} items - Array of line items with total property
- * @param {number} taxRate - Tax rate as percentage
- * @param {number} discount - Discount amount
- * @returns {Object} Totals object with subtotal, taxRate, taxAmount, discount, total, balanceDue
- */
-export function calculateTotals(items, taxRate, discount) {
-    const subtotal = items.reduce((sum, item) => sum + item.total, 0);
-    const taxAmount = subtotal * (taxRate / 100);
-    const total = subtotal + taxAmount - discount;
+ * All arithmetic runs on integer minor units of the invoice currency (paise, cents, yen),
+ * and results are converted back to major units. Line discounts come off each line first.
+ * An invoice discount applied before tax is spread across lines in proportion to their net
+ * amount so mixed tax rates stay correct. Discounts only ever apply to line items, never to
+ * additional charges. Taxable charges use the invoice-wide rate. Payments received are
+ * subtracted from the total to give the balance due.
+ *
+ * Tax is rounded per line when roundingScope is 'line'; with 'invoice' it is summed exactly
+ * per rate and rounded once per rate.
+ * @param {Array} items - Array of line items with quantity, unitPrice, optional discount and taxRate
+ * @param {number} taxRate - Invoice-wide tax rate as percentage, used for items without their own rate
+ * @param {number|Object} discount - Flat discount amount, or { type, value, application }
+ * @param {Array} charges - Additional charges as { name, amount, taxable }
+ * @param {Array} payments - Payments received as { date, amount, method, reference }
+ * @param {Object} options - { currency, roundingMode: 'halfUp'|'halfEven', roundingScope: 'line'|'invoice' }
+ * @returns {Object} Totals object with subtotal, lineDiscount, charges, chargeLines, taxRate, taxAmount,
+ *   taxBreakdown, lines, discount, discountType, discountValue, discountApplication, total, amountPaid,
+ *   balanceDue, precision, roundingMode, roundingScope
+ */
+export function calculateTotals(items, taxRate, discount, charges = [], payments = [], options = {}) {
+    const rounding = resolveRounding(options);
+    const { exponent, mode, scope } = rounding;
+    const toMajor = (minor) => fromMinorUnits(minor, exponent);
+    const roundTax = (exact) => roundInteger(exact, mode);
+
+    const invoiceDiscount = normalizeDiscount(discount);
+    const beforeTax = invoiceDiscount.application === 'beforeTax';
+    const amounts = items.map((item) => calculateLineMinor(item, rounding));
+    const subtotal = amounts.reduce((sum, line) => sum + line.net, 0);
+    const lineDiscount = amounts.reduce((sum, line) => sum + line.discount, 0);
+    const preTaxDiscount = beforeTax ? calculateDiscountMinor(invoiceDiscount, subtotal, rounding) : 0;
+    const discountShares = allocateMinorUnits(preTaxDiscount, amounts.map((line) => Math.max(line.net, 0)));
+
+    // Taxable entries: line items first, then taxable charges
+    const taxables = items.map((item, index) => {
+        const taxable = amounts[index].net - discountShares[index];
+        const rate = resolveItemTaxRate(item, taxRate);
+        return { taxable, rate, exactTax: taxable * (rate / 100) };
+    });
+    const chargeEntries = (charges || []).map((charge) => {
+        const amount = toMinorUnits(charge.amount, exponent, mode);
+        const isTaxable = Boolean(charge.taxable);
+        const rate = isTaxable ? taxRate : 0;
+        return { name: charge.name || '', amount, taxable: isTaxable, rate, exactTax: amount * (rate / 100) };
+    });
+
+    // Group taxable amounts by rate, ordered by rate
+    const groups = new Map();
+    const addToGroup = (rate, taxable, exactTax) => {
+        const group = groups.get(rate) || { rate, taxable: 0, exactTax: 0, roundedTax: 0 };
+        group.taxable += taxable;
+        group.exactTax += exactTax;
+        group.roundedTax += roundTax(exactTax);
+        groups.set(rate, group);
+    };
+    taxables.forEach((entry) => addToGroup(entry.rate, entry.taxable, entry.exactTax));
+    chargeEntries
+        .filter((charge) => charge.taxable)
+        .forEach((charge) => addToGroup(charge.rate, charge.amount, charge.exactTax));
+    const groupTax = (group) => (scope === 'line' ? group.roundedTax : roundTax(group.exactTax));
+    const taxBreakdown = Array.from(groups.values())
+        .sort((a, b) => a.rate - b.rate)
+        .map((group) => ({
+            rate: group.rate,
+            taxableAmount: toMajor(group.taxable),
+            taxAmount: toMajor(groupTax(group))
+        }));
+
+    const lines = taxables.map((entry, index) => ({
+        grossAmount: toMajor(amounts[index].gross),
+        discountAmount: toMajor(amounts[index].discount),
+        netAmount: toMajor(amounts[index].net),
+        taxableAmount: toMajor(entry.taxable),
+        taxRate: entry.rate,
+        taxAmount: toMajor(roundTax(entry.exactTax))
+    }));
+    const chargeLines = chargeEntries.map((charge) => ({
+        name: charge.name,
+        amount: toMajor(charge.amount),
+        taxable: charge.taxable,
+        taxRate: charge.rate,
+        taxAmount: toMajor(roundTax(charge.exactTax))
+    }));
+
+    const chargesTotal = chargeEntries.reduce((sum, charge) => sum + charge.amount, 0);
+    const taxAmount = Array.from(groups.values()).reduce((sum, group) => sum + groupTax(group), 0);
+    const itemsTax = scope === 'line'
+        ? taxables.reduce((sum, entry) => sum + roundTax(entry.exactTax), 0)
+        : roundTax(taxables.reduce((sum, entry) => sum + entry.exactTax, 0));
+    const discountAmount = beforeTax
+        ? preTaxDiscount
+        : calculateDiscountMinor(invoiceDiscount, subtotal + itemsTax, rounding);
+    const total = subtotal - discountAmount + chargesTotal + taxAmount;
+    const amountPaid = (payments || []).reduce(
+        (sum, payment) => sum + Math.max(toMinorUnits(payment.amount, exponent, mode), 0),
+        0
+    );
     return {
-        subtotal,
+        subtotal: toMajor(subtotal),
+        lineDiscount: toMajor(lineDiscount),
+        charges: toMajor(chargesTotal),
+        chargeLines,
         taxRate,
-        taxAmount,
-        discount,
-        total,
-        balanceDue: total
+        taxAmount: toMajor(taxAmount),
+        taxBreakdown,
+        lines,
+        discount: toMajor(discountAmount),
+        discountType: invoiceDiscount.type,
+        discountValue: invoiceDiscount.value,
+        discountApplication: invoiceDiscount.application,
+        total: toMajor(total),
+        amountPaid: toMajor(amountPaid),
+        balanceDue: toMajor(total - amountPaid),
+        precision: exponent,
+        roundingMode: mode,
+        roundingScope: scope
     };
 }
+
+/**
+ * Get the label for the invoice discount row
+ * @param {Object} totals - Totals object from calculateTotals
+ * @returns {string} e.g. "Discount" or "Discount (10%)"
+ */
+export function getDiscountLabel(totals) {
+    return totals.discountType === 'percent' ? `Discount (${totals.discountValue}%)` : 'Discount';
+}
+
+/**
+ * Get the tax groups that actually carry tax
+ * @param {Object} totals - Totals object from calculateTotals
+ * @returns {Array} Breakdown entries with a non-zero rate and amount
+ */
+export function getTaxedGroups(totals) {
+    return (totals.taxBreakdown || []).filter((group) => group.rate > 0 && group.taxAmount > 0);
+}
+
+/**
+ * Get the tax rows shown in the totals section, one per rate
+ * @param {Object} totals - Totals object from calculateTotals
+ * @returns {Array} Array of { label, amount } rows
+ */
+export function getTaxRows(totals) {
+    return getTaxedGroups(totals).map((group) => ({
+        label: `Tax (${group.rate}%)`,
+        amount: group.taxAmount
+    }));
+}
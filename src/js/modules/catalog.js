@@ -0,0 +1,392 @@
+/**
+ * Catalog Module
+ * Saved products and services for line items, stored in localStorage
+ */
+
+import { getValue, setValue } from './dom.js';
+import { parseNumber, formatCurrency } from './formatters.js';
+
+const CATALOG_KEY = 'invoice.catalog';
+
+/**
+ * Normalize a description for matching
+ * @param {string} description - Item description
+ * @returns {string} Trimmed, lower-cased description
+ */
+function descriptionKey(description) {
+    return String(description || '').trim().toLowerCase();
+}
+
+/**
+ * Parse an optional tax rate, keeping blanks as null (inherit the invoice rate)
+ * @param {*} value - Raw value
+ * @returns {number|null} Rate, or null when blank or invalid
+ */
+function parseOptionalRate(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) && num >= 0 ? num : null;
+}
+
+/**
+ * Create a catalog entry
+ * @param {Object} details - Description, unitPrice, quantity, unit, taxRate and hsn
+ * @param {number} id - Entry ID
+ * @returns {Object} Catalog entry
+ */
+function createEntry(details, id = Date.now()) {
+    const quantity = parseNumber(details.quantity, 1);
+    return {
+        id,
+        description: String(details.description || '').trim(),
+        unitPrice: Math.max(parseNumber(details.unitPrice, 0), 0),
+        quantity: quantity > 0 ? quantity : 1,
+        unit: String(details.unit || '').trim(),
+        taxRate: parseOptionalRate(details.taxRate),
+        hsn: String(details.hsn || '').trim()
+    };
+}
+
+/**
+ * Write catalog entries to localStorage
+ * @param {Array} catalog - Catalog entries
+ */
+function writeCatalog(catalog) {
+    try {
+        localStorage.setItem(CATALOG_KEY, JSON.stringify(catalog));
+    } catch (e) {
+        console.warn('Failed to save catalog:', e);
+    }
+}
+
+/**
+ * Get all catalog entries
+ * @returns {Array} Catalog entries sorted by description
+ */
+export function getCatalog() {
+    const raw = localStorage.getItem(CATALOG_KEY);
+    if (!raw) return [];
+    try {
+        const catalog = JSON.parse(raw);
+        if (!Array.isArray(catalog)) return [];
+        return catalog.slice().sort((a, b) => a.description.localeCompare(b.description));
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Get a catalog entry by ID
+ * @param {number} id - Entry ID
+ * @returns {Object|null} Entry or null
+ */
+export function getCatalogEntry(id) {
+    return getCatalog().find((entry) => entry.id === id) || null;
+}
+
+/**
+ * Find a catalog entry by exact (case-insensitive) description
+ * @param {string} description - Item description
+ * @returns {Object|null} Entry or null
+ */
+export function findCatalogEntry(description) {
+    const key = descriptionKey(description);
+    if (!key) return null;
+    return getCatalog().find((entry) => descriptionKey(entry.description) === key) || null;
+}
+
+/**
+ * Add or update catalog entries
+ * Entries match on ID first, then on description, so an item is never stored twice
+ * @param {Array} entries - Entry details
+ * @returns {number} Number of entries saved
+ */
+export function saveCatalogEntries(entries) {
+    const catalog = getCatalog();
+    let saved = 0;
+    entries.forEach((details, offset) => {
+        if (!details || !descriptionKey(details.description)) return;
+        const index = catalog.findIndex((entry) => (details.id && entry.id === details.id)
+            || descriptionKey(entry.description) === descriptionKey(details.description));
+        const id = index >= 0 ? catalog[index].id : Date.now() + offset;
+        const entry = createEntry(details, id);
+        if (index >= 0) {
+            catalog[index] = entry;
+        } else {
+            catalog.push(entry);
+        }
+        saved++;
+    });
+    if (saved > 0) writeCatalog(catalog);
+    return saved;
+}
+
+/**
+ * Delete a catalog entry by ID
+ * @param {number} id - Entry ID
+ */
+export function deleteCatalogEntry(id) {
+    writeCatalog(getCatalog().filter((entry) => entry.id !== id));
+}
+
+/**
+ * Split one CSV line into fields, honouring double-quoted fields
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Field values
+ */
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields.map((value) => value.trim());
+}
+
+/**
+ * Parse catalog entries from JSON or CSV text
+ * JSON may be an array of entries or an object with a `catalog` array. CSV needs a header
+ * row naming the columns: description, unitPrice, quantity, unit, taxRate, hsn.
+ * @param {string} text - File contents
+ * @returns {Array|null} Entry details, or null when the text cannot be read
+ */
+export function parseCatalogImport(text) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) return null;
+
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        try {
+            const parsed = JSON.parse(trimmed);
+            const entries = Array.isArray(parsed) ? parsed : parsed?.catalog;
+            return Array.isArray(entries) ? entries : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    const lines = trimmed.split(/\r?\n/).filter((line) => line.trim());
+    const headers = splitCsvLine(lines[0]).map((header) => header.toLowerCase().replace(/[^a-z]/g, ''));
+    const columns = {
+        description: headers.indexOf('description'),
+        unitPrice: headers.findIndex((h) => h === 'unitprice' || h === 'price' || h === 'rate'),
+        quantity: headers.findIndex((h) => h === 'quantity' || h === 'qty'),
+        unit: headers.indexOf('unit'),
+        taxRate: headers.findIndex((h) => h === 'taxrate' || h === 'tax'),
+        hsn: headers.findIndex((h) => h === 'hsn' || h === 'hsnsac' || h === 'sac')
+    };
+    if (columns.description < 0) return null;
+
+    return lines.slice(1).map((line) => {
+        const values = splitCsvLine(line);
+        const entry = {};
+        Object.entries(columns).forEach(([key, index]) => {
+            if (index >= 0) entry[key] = values[index] ?? '';
+        });
+        return entry;
+    });
+}
+
+/**
+ * Fill a line item row from a catalog entry
+ * @param {HTMLElement} row - Item row element
+ * @param {Object} entry - Catalog entry
+ */
+export function applyCatalogEntryToRow(row, entry) {
+    const set = (selector, value) => {
+        const input = row.querySelector(selector);
+        if (input) input.value = value ?? '';
+    };
+    set('.item-description', entry.description);
+    set('.item-quantity', entry.quantity);
+    set('.item-unit-price', entry.unitPrice);
+    set('.item-tax-rate', entry.taxRate);
+    if (entry.hsn) set('.item-hsn', entry.hsn);
+    row.dataset.unit = entry.unit || '';
+}
+
+/**
+ * Refresh the line item description suggestions
+ */
+export function renderCatalogOptions() {
+    const datalist = document.getElementById('catalogOptions');
+    if (!datalist) return;
+    datalist.innerHTML = '';
+    const currency = getValue('currencyCode', 'INR');
+    const locale = getValue('invoiceLocale', 'en-IN');
+    getCatalog().forEach((entry) => {
+        const option = document.createElement('option');
+        option.value = entry.description;
+        const price = formatCurrency(entry.unitPrice, currency, locale);
+        option.label = entry.unit ? `${price} / ${entry.unit}` : price;
+        datalist.appendChild(option);
+    });
+}
+
+/**
+ * Render the catalog list in the management panel
+ */
+export function renderCatalogList() {
+    const list = document.getElementById('catalogList');
+    if (!list) return;
+
+    const catalog = getCatalog();
+    list.innerHTML = '';
+
+    if (catalog.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'history-empty';
+        empty.textContent = 'No catalog items yet. Add your standard products and services…';
+        list.appendChild(empty);
+        return;
+    }
+
+    const currency = getValue('currencyCode', 'INR');
+    const locale = getValue('invoiceLocale', 'en-IN');
+    catalog.forEach((entry) => {
+        const item = document.createElement('div');
+        item.className = 'directory-item';
+        item.dataset.id = entry.id;
+        item.setAttribute('role', 'button');
+        item.setAttribute('tabindex', '0');
+        item.setAttribute('aria-label', `Edit catalog item ${entry.description}`);
+
+        const info = document.createElement('div');
+        info.className = 'directory-item-info';
+
+        const title = document.createElement('div');
+        title.className = 'directory-item-title';
+        title.textContent = entry.description;
+
+        const meta = document.createElement('div');
+        meta.className = 'directory-item-meta';
+        const price = formatCurrency(entry.unitPrice, currency, locale);
+        meta.textContent = [
+            entry.unit ? `${price} / ${entry.unit}` : price,
+            `Qty ${entry.quantity}`,
+            entry.taxRate !== null && entry.taxRate !== undefined ? `Tax ${entry.taxRate}%` : '',
+            entry.hsn ? `HSN ${entry.hsn}` : ''
+        ].filter(Boolean).join(' · ');
+
+        info.appendChild(title);
+        info.appendChild(meta);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'directory-item-delete';
+        deleteBtn.dataset.id = entry.id;
+        deleteBtn.setAttribute('aria-label', `Delete catalog item ${entry.description}`);
+        deleteBtn.textContent = '×';
+
+        item.appendChild(info);
+        item.appendChild(deleteBtn);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Open the catalog editor
+ * @param {Object} entry - Entry to edit, or empty for a new entry
+ */
+export function openCatalogEditor(entry = {}) {
+    const editor = document.getElementById('catalogEditor');
+    if (!editor) return;
+    editor.dataset.id = entry.id ?? '';
+    setValue('catalogEditDescription', entry.description ?? '');
+    setValue('catalogEditUnitPrice', entry.unitPrice ?? 0);
+    setValue('catalogEditQuantity', entry.quantity ?? 1);
+    setValue('catalogEditUnit', entry.unit ?? '');
+    setValue('catalogEditTaxRate', entry.taxRate ?? '');
+    setValue('catalogEditHsn', entry.hsn ?? '');
+    editor.style.display = 'block';
+    document.getElementById('catalogEditDescription')?.focus();
+}
+
+/**
+ * Close the catalog editor without saving
+ */
+export function closeCatalogEditor() {
+    const editor = document.getElementById('catalogEditor');
+    if (editor) editor.style.display = 'none';
+}
+
+/**
+ * Save the catalog editor's fields
+ * @returns {boolean} True if saved, false when the description is missing
+ */
+export function saveCatalogEditor() {
+    const editor = document.getElementById('catalogEditor');
+    if (!editor) return false;
+    const id = parseNumber(editor.dataset.id, 0);
+    return saveCatalogEntries([{
+        id: id || undefined,
+        description: getValue('catalogEditDescription'),
+        unitPrice: getValue('catalogEditUnitPrice'),
+        quantity: getValue('catalogEditQuantity'),
+        unit: getValue('catalogEditUnit'),
+        taxRate: getValue('catalogEditTaxRate'),
+        hsn: getValue('catalogEditHsn')
+    }]) > 0;
+}
+
+/**
+ * Import catalog entries from a JSON or CSV file
+ * @param {Event} event - File input change event
+ * @param {Function} onImported - Called with the number of entries imported
+ */
+export function handleCatalogFileImport(event, onImported) {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        const entries = parseCatalogImport(reader.result);
+        if (!entries) {
+            alert('Could not read catalog file. Use JSON, or CSV with a "description" column.');
+        } else if (onImported) {
+            onImported(saveCatalogEntries(entries));
+        }
+        event.target.value = '';
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Toggle catalog panel visibility
+ * @param {boolean} show - Optional explicit show/hide
+ */
+export function toggleCatalogPanel(show) {
+    const panel = document.getElementById('catalogPanel');
+    if (!panel) return;
+
+    if (typeof show === 'boolean') {
+        panel.style.display = show ? 'block' : 'none';
+    } else {
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    }
+
+    if (panel.style.display === 'block') {
+        renderCatalogList();
+    } else {
+        closeCatalogEditor();
+    }
+}
+
+export { CATALOG_KEY };
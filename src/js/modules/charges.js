@@ -0,0 +1,86 @@
+/**
+ * Charges Module
+ * Additional charges (shipping, handling, fees) form management
+ */
+
+import { getValue } from './dom.js';
+import { parseNumber } from './formatters.js';
+import { getCurrencyStep } from './currency.js';
+
+/**
+ * Add a charge row to the form
+ * @param {Object} charge - Charge data (name, amount, taxable)
+ */
+export function addChargeRow(charge = {}) {
+    const container = document.getElementById('chargesContainer');
+    if (!container) return;
+
+    const row = document.createElement('div');
+    row.className = 'charge-row';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'charge-name';
+    nameInput.placeholder = 'Shipping, Handling…';
+    nameInput.setAttribute('aria-label', 'Charge name');
+    nameInput.value = charge.name ?? '';
+
+    const amountInput = document.createElement('input');
+    amountInput.type = 'number';
+    amountInput.className = 'charge-amount';
+    amountInput.min = '0';
+    amountInput.step = getCurrencyStep(getValue('currencyCode', 'INR'));
+    amountInput.setAttribute('aria-label', 'Charge amount');
+    amountInput.value = charge.amount ?? 0;
+
+    const taxableLabel = document.createElement('label');
+    taxableLabel.className = 'charge-taxable-label';
+    const taxableInput = document.createElement('input');
+    taxableInput.type = 'checkbox';
+    taxableInput.className = 'charge-taxable';
+    taxableInput.checked = Boolean(charge.taxable);
+    taxableLabel.appendChild(taxableInput);
+    taxableLabel.appendChild(document.createTextNode(' Taxable'));
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'remove-charge';
+    removeBtn.setAttribute('aria-label', 'Remove charge');
+    removeBtn.textContent = '×';
+
+    row.appendChild(nameInput);
+    row.appendChild(amountInput);
+    row.appendChild(taxableLabel);
+    row.appendChild(removeBtn);
+
+    container.appendChild(row);
+}
+
+/**
+ * Render charges form from data
+ * @param {Array} charges - Array of charge objects
+ */
+export function renderChargesForm(charges) {
+    const container = document.getElementById('chargesContainer');
+    if (!container) return;
+    container.innerHTML = '';
+
+    if (!Array.isArray(charges)) return;
+    charges.forEach((charge) => addChargeRow(charge));
+}
+
+/**
+ * Collect charges data from the form
+ * Rows without a name or amount are ignored
+ * @returns {Array} Array of { name, amount, taxable }
+ */
+export function collectChargesFromForm() {
+    const rows = Array.from(document.querySelectorAll('.charge-row'));
+    return rows
+        .map((row) => ({
+            name: row.querySelector('.charge-name')?.value?.trim() ?? '',
+            amount: parseNumber(row.querySelector('.charge-amount')?.value, 0),
+            taxable: Boolean(row.querySelector('.charge-taxable')?.checked)
+        }))
+        .filter((charge) => charge.name || charge.amount !== 0);
+}
@@ -0,0 +1,96 @@
+/**
+ * Credit Notes Module
+ * Credit notes issued against a saved invoice
+ *
+ * A credit note lists the credited lines with their normal, positive amounts, like the
+ * invoice it corrects. History, reports and exports count it as negative and net it
+ * against the original invoice.
+ */
+
+import { formatDate } from './formatters.js';
+import { roundToCurrency } from './currency.js';
+import { DOCUMENT_TYPES, getDocumentType } from './document-types.js';
+
+/**
+ * Check whether invoice data is a credit note
+ * @param {Object} data - Invoice data
+ * @returns {boolean} True for credit notes
+ */
+export function isCreditNote(data) {
+    return getDocumentType(data) === 'credit';
+}
+
+/**
+ * Describe the invoice a credit note was issued against
+ * @param {Object} data - Credit note data
+ * @returns {string} Text such as 'INV-7 dated 15/01/2026', or '' when there is no reference
+ */
+export function formatCreditReference(data) {
+    const credited = data?.invoice?.creditedInvoice;
+    if (!isCreditNote(data) || !credited?.number) return '';
+    const { locale, dateFormat } = data.settings || {};
+    return credited.date
+        ? `${credited.number} dated ${formatDate(credited.date, locale, dateFormat)}`
+        : credited.number;
+}
+
+/**
+ * Read a list of line numbers such as '1, 3'
+ * @param {string} text - Line numbers separated by commas or spaces; blank selects every line
+ * @param {number} count - Number of lines on the invoice
+ * @returns {Array<number>|null} Zero-based line indexes, or null when a number is out of range
+ */
+export function parseLineSelection(text, count) {
+    const parts = String(text || '').split(/[\s,]+/).filter(Boolean);
+    if (parts.length === 0) return Array.from({ length: count }, (_, index) => index);
+
+    const indexes = new Set();
+    for (const part of parts) {
+        const line = Number(part);
+        if (!Number.isInteger(line) || line < 1 || line > count) return null;
+        indexes.add(line - 1);
+    }
+    return Array.from(indexes).sort((a, b) => a - b);
+}
+
+/**
+ * Build a credit note from a saved invoice
+ * Charges are only credited together with every line. A flat invoice discount is
+ * shared out in proportion to the credited lines. Payments, the due date and the
+ * number are cleared; the number comes from the credit note series.
+ * @param {Object} entry - History entry of the original invoice
+ * @param {Array<number>} lineIndexes - Zero-based indexes of the lines to credit
+ * @param {string} date - Credit note date (YYYY-MM-DD)
+ * @returns {Object} Credit note data
+ */
+export function buildCreditNote(entry, lineIndexes, date) {
+    const data = JSON.parse(JSON.stringify(entry.data));
+    const items = data.items || [];
+    const lines = data.totals?.lines || [];
+    const selected = new Set(lineIndexes);
+    const creditsEverything = items.every((item, index) => selected.has(index));
+
+    if (!creditsEverything && data.totals?.discountType !== 'percent' && data.totals?.discountValue > 0) {
+        const netOf = (index) => Number(lines[index]?.netAmount ?? items[index]?.total) || 0;
+        const allNet = items.reduce((sum, item, index) => sum + netOf(index), 0);
+        const creditedNet = lineIndexes.reduce((sum, index) => sum + netOf(index), 0);
+        data.totals.discountValue = allNet > 0
+            ? roundToCurrency(data.totals.discountValue * (creditedNet / allNet), data.settings?.currency)
+            : 0;
+    }
+
+    data.items = items.filter((item, index) => selected.has(index));
+    if (!creditsEverything) data.charges = [];
+    data.payments = [];
+    data.invoice = {
+        ...data.invoice,
+        type: 'credit',
+        title: DOCUMENT_TYPES.credit.title,
+        creditedInvoice: { number: entry.number, date: entry.date },
+        number: '',
+        date,
+        dueDate: ''
+    };
+    data.meta = { ...data.meta, updatedAt: new Date().toISOString(), showInvoice: false };
+    return data;
+}
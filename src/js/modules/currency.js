@@ -0,0 +1,144 @@
+/**
+ * Currency Module
+ * ISO 4217 minor-unit precision and integer rounding helpers
+ */
+
+/**
+ * Currencies whose minor unit is not the usual two decimals (ISO 4217 exponent)
+ */
+const CURRENCY_EXPONENTS = {
+    BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0,
+    PYG: 0, RWF: 0, UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+    BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+    CLF: 4, UYW: 4
+};
+
+const ROUNDING_MODES = ['halfUp', 'halfEven'];
+const ROUNDING_SCOPES = ['line', 'invoice'];
+
+/**
+ * Get the number of decimal places used by a currency
+ * @param {string} currency - Currency code (e.g., 'INR', 'JPY')
+ * @returns {number} ISO 4217 exponent, 2 for unknown codes
+ */
+export function getCurrencyExponent(currency) {
+    const code = String(currency || '').trim().toUpperCase();
+    if (Object.prototype.hasOwnProperty.call(CURRENCY_EXPONENTS, code)) {
+        return CURRENCY_EXPONENTS[code];
+    }
+    return 2;
+}
+
+/**
+ * Get the input step matching a currency's precision
+ * @param {string} currency - Currency code
+ * @returns {string} Step attribute value, e.g. "0.01", "1" or "0.001"
+ */
+export function getCurrencyStep(currency) {
+    const exponent = getCurrencyExponent(currency);
+    return exponent === 0 ? '1' : (1 / 10 ** exponent).toFixed(exponent);
+}
+
+/**
+ * Normalize a rounding mode name
+ * @param {string} mode - 'halfUp' or 'halfEven'
+ * @returns {string} Valid rounding mode, defaulting to 'halfUp'
+ */
+export function normalizeRoundingMode(mode) {
+    return ROUNDING_MODES.includes(mode) ? mode : 'halfUp';
+}
+
+/**
+ * Normalize a rounding scope name
+ * @param {string} scope - 'line' or 'invoice'
+ * @returns {string} Valid rounding scope, defaulting to 'invoice'
+ */
+export function normalizeRoundingScope(scope) {
+    return ROUNDING_SCOPES.includes(scope) ? scope : 'invoice';
+}
+
+/**
+ * Round a value to the nearest integer
+ * Half-up rounds ties away from zero; half-even (banker's) rounds ties to the even neighbour
+ * @param {number} value - Value to round
+ * @param {string} mode - 'halfUp' or 'halfEven'
+ * @returns {number} Rounded integer
+ */
+export function roundInteger(value, mode = 'halfUp') {
+    if (!Number.isFinite(value)) return 0;
+    const sign = value < 0 ? -1 : 1;
+    // Strip binary noise such as 100.49999999999999 before looking at the fraction
+    const abs = Number(Math.abs(value).toPrecision(15));
+    const floor = Math.floor(abs);
+    const fraction = abs - floor;
+    let rounded;
+    if (Math.abs(fraction - 0.5) < 1e-9) {
+        rounded = mode === 'halfEven' && floor % 2 === 0 ? floor : floor + 1;
+    } else {
+        rounded = fraction > 0.5 ? floor + 1 : floor;
+    }
+    return sign * rounded || 0;
+}
+
+/**
+ * Convert a major-unit amount to integer minor units
+ * @param {number} amount - Amount in major units (e.g. rupees)
+ * @param {number} exponent - Currency exponent
+ * @param {string} mode - Rounding mode
+ * @returns {number} Integer amount in minor units (e.g. paise)
+ */
+export function toMinorUnits(amount, exponent, mode = 'halfUp') {
+    const num = Number(amount);
+    if (!Number.isFinite(num)) return 0;
+    // Shift the decimal point on the string form to avoid float multiplication error
+    const shifted = Number(`${Number(num.toPrecision(15))}e${exponent}`);
+    return roundInteger(shifted, mode);
+}
+
+/**
+ * Convert integer minor units back to a major-unit amount
+ * @param {number} minor - Amount in minor units
+ * @param {number} exponent - Currency exponent
+ * @returns {number} Amount in major units
+ */
+export function fromMinorUnits(minor, exponent) {
+    return Number(`${minor}e-${exponent}`) || 0;
+}
+
+/**
+ * Round a major-unit amount to a currency's precision
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - Currency code
+ * @param {string} mode - Rounding mode
+ * @returns {number} Rounded amount in major units
+ */
+export function roundToCurrency(amount, currency, mode = 'halfUp') {
+    const exponent = getCurrencyExponent(currency);
+    return fromMinorUnits(toMinorUnits(amount, exponent, mode), exponent);
+}
+
+/**
+ * Split an integer amount across weights so the parts sum exactly to the amount
+ * Uses the largest-remainder method
+ * @param {number} amount - Integer amount to split
+ * @param {Array<number>} weights - Non-negative weights
+ * @returns {Array<number>} Integer parts, one per weight
+ */
+export function allocateMinorUnits(amount, weights) {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (!amount || totalWeight <= 0) return weights.map(() => 0);
+
+    const exact = weights.map((weight) => (amount * weight) / totalWeight);
+    const parts = exact.map((value) => Math.floor(value));
+    let remainder = amount - parts.reduce((sum, part) => sum + part, 0);
+
+    const order = exact
+        .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+        .sort((a, b) => b.fraction - a.fraction);
+    for (let i = 0; remainder > 0 && i < order.length; i++, remainder--) {
+        parts[order[i].index] += 1;
+    }
+    return parts;
+}
+
+export { CURRENCY_EXPONENTS };
@@ -0,0 +1,352 @@
+/**
+ * Customers Module
+ * Customer address book in localStorage, built from past invoices
+ */
+
+import { getValue, setValue } from './dom.js';
+import { parseNumber } from './formatters.js';
+import { normalizeGstin } from './gst.js';
+import { getHistory } from './history.js';
+
+const CUSTOMERS_KEY = 'invoice.customers';
+
+/**
+ * Normalize a customer name for matching
+ * @param {string} name - Customer name
+ * @returns {string} Trimmed, lower-cased name
+ */
+function nameKey(name) {
+    return String(name || '').trim().toLowerCase();
+}
+
+/**
+ * Parse an optional numeric default, keeping blanks as null
+ * @param {*} value - Raw value
+ * @returns {number|null} Number, or null when blank or invalid
+ */
+function parseOptionalNumber(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) && num >= 0 ? num : null;
+}
+
+/**
+ * Write customers to localStorage
+ * @param {Array} customers - Customer records
+ */
+function writeCustomers(customers) {
+    try {
+        localStorage.setItem(CUSTOMERS_KEY, JSON.stringify(customers));
+    } catch (e) {
+        console.warn('Failed to save customers:', e);
+    }
+}
+
+/**
+ * Seed the address book from the Bill To details of saved invoices on first use
+ * Newer invoices win when the same customer appears more than once
+ * @returns {Promise<boolean>} True if customers were added
+ */
+export async function seedCustomersFromHistory() {
+    if (localStorage.getItem(CUSTOMERS_KEY) !== null) return false;
+    const customers = [];
+    (await getHistory()).forEach((entry) => {
+        const billTo = entry.data?.billTo;
+        if (!billTo?.name || customers.some((c) => nameKey(c.name) === nameKey(billTo.name))) return;
+        customers.push(createCustomer(billTo, entry.id));
+    });
+    // Something may have been saved while history was loading
+    if (customers.length === 0 || localStorage.getItem(CUSTOMERS_KEY) !== null) return false;
+    writeCustomers(customers);
+    return true;
+}
+
+/**
+ * Create a customer record
+ * @param {Object} details - Name, address, email, phone, gstin and optional defaults
+ * @param {number} id - Record ID
+ * @returns {Object} Customer record
+ */
+function createCustomer(details, id = Date.now()) {
+    return {
+        id,
+        name: String(details.name || '').trim(),
+        address: details.address || '',
+        email: details.email || '',
+        phone: details.phone || '',
+        gstin: normalizeGstin(details.gstin),
+        currency: String(details.currency || '').trim().toUpperCase(),
+        taxRate: parseOptionalNumber(details.taxRate),
+        paymentTerms: parseOptionalNumber(details.paymentTerms)
+    };
+}
+
+/**
+ * Get all customers
+ * @returns {Array} Customer records sorted by name
+ */
+export function getCustomers() {
+    const raw = localStorage.getItem(CUSTOMERS_KEY);
+    if (!raw) return [];
+    let customers;
+    try {
+        customers = JSON.parse(raw);
+    } catch (e) {
+        customers = [];
+    }
+    if (!Array.isArray(customers)) return [];
+    return customers.slice().sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a customer by ID
+ * @param {number} id - Customer ID
+ * @returns {Object|null} Customer or null
+ */
+export function getCustomer(id) {
+    return getCustomers().find((c) => c.id === id) || null;
+}
+
+/**
+ * Find a customer by exact (case-insensitive) name
+ * @param {string} name - Customer name
+ * @returns {Object|null} Customer or null
+ */
+export function findCustomerByName(name) {
+    const key = nameKey(name);
+    if (!key) return null;
+    return getCustomers().find((c) => nameKey(c.name) === key) || null;
+}
+
+/**
+ * Add or update a customer
+ * Matches on ID first, then on name, so the same customer is never stored twice
+ * @param {Object} details - Customer fields
+ * @returns {Object|null} Saved customer, or null when the name is blank
+ */
+export function saveCustomer(details) {
+    if (!nameKey(details.name)) return null;
+    const customers = getCustomers();
+    const index = customers.findIndex((c) => (details.id && c.id === details.id)
+        || nameKey(c.name) === nameKey(details.name));
+    const id = index >= 0 ? customers[index].id : Date.now();
+    const customer = createCustomer(details, id);
+    if (index >= 0) {
+        customers[index] = customer;
+    } else {
+        customers.push(customer);
+    }
+    writeCustomers(customers);
+    return customer;
+}
+
+/**
+ * Remember the Bill To details of an invoice
+ * Contact details are refreshed; defaults set in the address book are kept
+ * @param {Object} data - Invoice data
+ */
+export function rememberCustomer(data) {
+    const billTo = data.billTo;
+    if (!billTo?.name) return;
+    const existing = findCustomerByName(billTo.name);
+    saveCustomer({
+        ...existing,
+        name: billTo.name,
+        address: billTo.address,
+        email: billTo.email,
+        phone: billTo.phone,
+        gstin: billTo.gstin || existing?.gstin
+    });
+}
+
+/**
+ * Delete a customer by ID
+ * @param {number} id - Customer ID
+ */
+export function deleteCustomer(id) {
+    writeCustomers(getCustomers().filter((c) => c.id !== id));
+}
+
+/**
+ * Add a number of days to a YYYY-MM-DD date
+ * @param {string} dateValue - Start date
+ * @param {number} days - Days to add
+ * @returns {string} Resulting YYYY-MM-DD date, or '' when the start date is invalid
+ */
+function addDays(dateValue, days) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dateValue));
+    if (!match) return '';
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + days);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Fill the Bill To fields and the customer's defaults into the form
+ * @param {Object} customer - Customer record
+ */
+export function applyCustomerToForm(customer) {
+    setValue('billToName', customer.name);
+    setValue('billToAddress', customer.address);
+    setValue('billToEmail', customer.email);
+    setValue('billToPhone', customer.phone);
+    setValue('billToGstin', customer.gstin);
+
+    if (customer.currency) {
+        setValue('currencyCode', customer.currency);
+    }
+    if (customer.taxRate !== null && customer.taxRate !== undefined) {
+        setValue('taxRate', customer.taxRate);
+    }
+    if (customer.paymentTerms !== null && customer.paymentTerms !== undefined) {
+        const dueDate = addDays(getValue('invoiceDate'), customer.paymentTerms);
+        if (dueDate) setValue('invoiceDueDate', dueDate);
+    }
+}
+
+/**
+ * Refresh the Bill To name suggestions
+ */
+export function renderCustomerOptions() {
+    const datalist = document.getElementById('customerOptions');
+    if (!datalist) return;
+    datalist.innerHTML = '';
+    getCustomers().forEach((customer) => {
+        const option = document.createElement('option');
+        option.value = customer.name;
+        const firstLine = (customer.address || '').split('\n')[0];
+        if (firstLine) option.label = firstLine;
+        datalist.appendChild(option);
+    });
+}
+
+/**
+ * Render the customer list in the address book panel
+ */
+export function renderCustomerList() {
+    const list = document.getElementById('customerList');
+    if (!list) return;
+
+    const customers = getCustomers();
+    list.innerHTML = '';
+
+    if (customers.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'history-empty';
+        empty.textContent = 'No customers yet. They are added when you generate a bill…';
+        list.appendChild(empty);
+        return;
+    }
+
+    customers.forEach((customer) => {
+        const item = document.createElement('div');
+        item.className = 'directory-item';
+        item.dataset.id = customer.id;
+        item.setAttribute('role', 'button');
+        item.setAttribute('tabindex', '0');
+        item.setAttribute('aria-label', `Edit customer ${customer.name}`);
+
+        const info = document.createElement('div');
+        info.className = 'directory-item-info';
+
+        const title = document.createElement('div');
+        title.className = 'directory-item-title';
+        title.textContent = customer.name;
+
+        const meta = document.createElement('div');
+        meta.className = 'directory-item-meta';
+        const defaults = [
+            customer.email,
+            customer.currency,
+            customer.taxRate !== null && customer.taxRate !== undefined ? `Tax ${customer.taxRate}%` : '',
+            customer.paymentTerms !== null && customer.paymentTerms !== undefined ? `Net ${customer.paymentTerms}` : ''
+        ].filter(Boolean);
+        meta.textContent = defaults.join(' · ') || (customer.address || '').split('\n')[0];
+
+        info.appendChild(title);
+        info.appendChild(meta);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'directory-item-delete';
+        deleteBtn.dataset.id = customer.id;
+        deleteBtn.setAttribute('aria-label', `Delete customer ${customer.name}`);
+        deleteBtn.textContent = '×';
+
+        item.appendChild(info);
+        item.appendChild(deleteBtn);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Open the customer editor
+ * @param {Object} customer - Customer to edit, or empty for a new customer
+ */
+export function openCustomerEditor(customer = {}) {
+    const editor = document.getElementById('customerEditor');
+    if (!editor) return;
+    editor.dataset.id = customer.id ?? '';
+    setValue('customerEditName', customer.name ?? '');
+    setValue('customerEditAddress', customer.address ?? '');
+    setValue('customerEditEmail', customer.email ?? '');
+    setValue('customerEditPhone', customer.phone ?? '');
+    setValue('customerEditGstin', customer.gstin ?? '');
+    setValue('customerEditCurrency', customer.currency ?? '');
+    setValue('customerEditTaxRate', customer.taxRate ?? '');
+    setValue('customerEditTerms', customer.paymentTerms ?? '');
+    editor.style.display = 'block';
+    document.getElementById('customerEditName')?.focus();
+}
+
+/**
+ * Close the customer editor without saving
+ */
+export function closeCustomerEditor() {
+    const editor = document.getElementById('customerEditor');
+    if (editor) editor.style.display = 'none';
+}
+
+/**
+ * Save the customer editor's fields
+ * @returns {Object|null} Saved customer, or null when the name is missing
+ */
+export function saveCustomerEditor() {
+    const editor = document.getElementById('customerEditor');
+    if (!editor) return null;
+    const id = parseNumber(editor.dataset.id, 0);
+    return saveCustomer({
+        id: id || undefined,
+        name: getValue('customerEditName'),
+        address: getValue('customerEditAddress'),
+        email: getValue('customerEditEmail'),
+        phone: getValue('customerEditPhone'),
+        gstin: getValue('customerEditGstin'),
+        currency: getValue('customerEditCurrency'),
+        taxRate: getValue('customerEditTaxRate'),
+        paymentTerms: getValue('customerEditTerms')
+    });
+}
+
+/**
+ * Toggle customers panel visibility
+ * @param {boolean} show - Optional explicit show/hide
+ */
+export function toggleCustomersPanel(show) {
+    const panel = document.getElementById('customersPanel');
+    if (!panel) return;
+
+    if (typeof show === 'boolean') {
+        panel.style.display = show ? 'block' : 'none';
+    } else {
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    }
+
+    if (panel.style.display === 'block') {
+        renderCustomerList();
+    } else {
+        closeCustomerEditor();
+    }
+}
+
+export { CUSTOMERS_KEY };
@@ -0,0 +1,332 @@
+/**
+ * Database Module
+ * Async storage on IndexedDB, falling back to localStorage when IndexedDB is unavailable
+ *
+ * Two object stores are used:
+ *   history  invoice history records keyed by their id
+ *   keyval   single values such as the draft and recurring schedules, keyed by their old
+ *            localStorage key
+ * In fallback mode history lives in the legacy 'invoice.history' array and each
+ * keyval entry in the localStorage key of the same name.
+ */
+
+const DB_NAME = 'rebill';
+const DB_VERSION = 1;
+const HISTORY_STORE = 'history';
+const KEYVAL_STORE = 'keyval';
+
+// localStorage keys migrated into IndexedDB on first open
+const LEGACY_HISTORY_KEY = 'invoice.history';
+const LEGACY_VALUE_KEYS = ['invoice.draft.v1', 'invoice.recurring'];
+
+let dbPromise = null;
+
+/**
+ * Run an operation in a transaction and wait for it to commit
+ * @param {IDBDatabase} db - Open database
+ * @param {string|Array<string>} storeNames - Object store(s) to use
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the transaction; may return a request
+ * @returns {Promise<*>} Result of the returned request, if any
+ */
+function runTransaction(db, storeNames, mode, operation) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        const request = operation(transaction);
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Copy history and values left in localStorage into IndexedDB, then remove them
+ * Runs in one transaction so a failed migration leaves localStorage untouched.
+ * @param {IDBDatabase} db - Open database
+ */
+async function migrateFromLocalStorage(db) {
+    const rawHistory = localStorage.getItem(LEGACY_HISTORY_KEY);
+    const values = LEGACY_VALUE_KEYS
+        .map((key) => [key, localStorage.getItem(key)])
+        .filter(([, raw]) => raw !== null);
+    if (rawHistory === null && values.length === 0) return;
+
+    let history = [];
+    try {
+        history = rawHistory ? JSON.parse(rawHistory) : [];
+    } catch (e) {
+        history = [];
+    }
+
+    await runTransaction(db, [HISTORY_STORE, KEYVAL_STORE], 'readwrite', (transaction) => {
+        const historyStore = transaction.objectStore(HISTORY_STORE);
+        (Array.isArray(history) ? history : []).forEach((entry) => {
+            if (entry && entry.id !== undefined) historyStore.put(entry);
+        });
+        const keyvalStore = transaction.objectStore(KEYVAL_STORE);
+        values.forEach(([key, raw]) => {
+            try {
+                keyvalStore.put(JSON.parse(raw), key);
+            } catch (e) {
+                // Unreadable values are dropped, as loading them would fail anyway
+            }
+        });
+    });
+
+    localStorage.removeItem(LEGACY_HISTORY_KEY);
+    values.forEach(([key]) => localStorage.removeItem(key));
+}
+
+/**
+ * Open the database once, migrating legacy data on the way
+ * @returns {Promise<IDBDatabase|null>} Database, or null when localStorage must be used
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+        let request;
+        try {
+            request = indexedDB.open(DB_NAME, DB_VERSION);
+        } catch (e) {
+            resolve(null);
+            return;
+        }
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+                db.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(KEYVAL_STORE)) {
+                db.createObjectStore(KEYVAL_STORE);
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.warn('IndexedDB unavailable, using localStorage:', request.error);
+            resolve(null);
+        };
+    }).then(async (db) => {
+        if (!db) return null;
+        try {
+            await migrateFromLocalStorage(db);
+            return db;
+        } catch (e) {
+            console.warn('Failed to migrate localStorage data, using localStorage:', e);
+            db.close();
+            return null;
+        }
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Read the legacy history array from localStorage
+ * @returns {Array} History records
+ */
+function readFallbackHistory() {
+    const raw = localStorage.getItem(LEGACY_HISTORY_KEY);
+    if (!raw) return [];
+    try {
+        const history = JSON.parse(raw);
+        return Array.isArray(history) ? history : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Write the legacy history array to localStorage
+ * @param {Array} history - History records
+ * @returns {boolean} True if saved
+ */
+function writeFallbackHistory(history) {
+    try {
+        localStorage.setItem(LEGACY_HISTORY_KEY, JSON.stringify(history));
+        return true;
+    } catch (e) {
+        console.warn('Failed to save history:', e);
+        return false;
+    }
+}
+
+/**
+ * Read all history records
+ * @returns {Promise<Array>} Records, newest first
+ */
+export async function readHistoryRecords() {
+    const db = await openDatabase();
+    if (!db) return readFallbackHistory().sort((a, b) => b.id - a.id);
+    try {
+        const records = await runTransaction(db, HISTORY_STORE, 'readonly',
+            (transaction) => transaction.objectStore(HISTORY_STORE).getAll());
+        return records.sort((a, b) => b.id - a.id);
+    } catch (e) {
+        console.warn('Failed to read history:', e);
+        return [];
+    }
+}
+
+/**
+ * Read one history record
+ * @param {number} id - Record ID
+ * @returns {Promise<Object|null>} Record or null
+ */
+export async function readHistoryRecord(id) {
+    const db = await openDatabase();
+    if (!db) return readFallbackHistory().find((entry) => entry.id === id) || null;
+    try {
+        const record = await runTransaction(db, HISTORY_STORE, 'readonly',
+            (transaction) => transaction.objectStore(HISTORY_STORE).get(id));
+        return record || null;
+    } catch (e) {
+        console.warn('Failed to read history entry:', e);
+        return null;
+    }
+}
+
+/**
+ * Insert or replace a history record
+ * @param {Object} record - Record with an id
+ * @returns {Promise<boolean>} True if saved
+ */
+export async function writeHistoryRecord(record) {
+    const db = await openDatabase();
+    if (!db) {
+        const history = readFallbackHistory();
+        const index = history.findIndex((entry) => entry.id === record.id);
+        if (index >= 0) {
+            history[index] = record;
+        } else {
+            history.unshift(record);
+        }
+        return writeFallbackHistory(history);
+    }
+    try {
+        await runTransaction(db, HISTORY_STORE, 'readwrite',
+            (transaction) => transaction.objectStore(HISTORY_STORE).put(record));
+        return true;
+    } catch (e) {
+        console.warn('Failed to save history:', e);
+        return false;
+    }
+}
+
+/**
+ * Delete a history record
+ * @param {number} id - Record ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteHistoryRecord(id) {
+    const db = await openDatabase();
+    if (!db) return writeFallbackHistory(readFallbackHistory().filter((entry) => entry.id !== id));
+    try {
+        await runTransaction(db, HISTORY_STORE, 'readwrite',
+            (transaction) => transaction.objectStore(HISTORY_STORE).delete(id));
+        return true;
+    } catch (e) {
+        console.warn('Failed to delete history entry:', e);
+        return false;
+    }
+}
+
+/**
+ * Delete every history record
+ * @returns {Promise<boolean>} True if cleared
+ */
+export async function clearHistoryRecords() {
+    const db = await openDatabase();
+    if (!db) {
+        localStorage.removeItem(LEGACY_HISTORY_KEY);
+        return true;
+    }
+    try {
+        await runTransaction(db, HISTORY_STORE, 'readwrite',
+            (transaction) => transaction.objectStore(HISTORY_STORE).clear());
+        return true;
+    } catch (e) {
+        console.warn('Failed to clear history:', e);
+        return false;
+    }
+}
+
+/**
+ * Read a stored value
+ * @param {string} key - Value key
+ * @returns {Promise<*>} Value, or null when missing
+ */
+export async function readValue(key) {
+    const db = await openDatabase();
+    if (!db) {
+        const raw = localStorage.getItem(key);
+        if (!raw) return null;
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            return null;
+        }
+    }
+    try {
+        const value = await runTransaction(db, KEYVAL_STORE, 'readonly',
+            (transaction) => transaction.objectStore(KEYVAL_STORE).get(key));
+        return value ?? null;
+    } catch (e) {
+        console.warn(`Failed to read ${key}:`, e);
+        return null;
+    }
+}
+
+/**
+ * Store a value
+ * @param {string} key - Value key
+ * @param {*} value - Structured-cloneable value
+ * @returns {Promise<boolean>} True if saved
+ */
+export async function writeValue(key, value) {
+    const db = await openDatabase();
+    if (!db) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (e) {
+            console.warn(`Failed to save ${key}:`, e);
+            return false;
+        }
+    }
+    try {
+        await runTransaction(db, KEYVAL_STORE, 'readwrite',
+            (transaction) => transaction.objectStore(KEYVAL_STORE).put(value, key));
+        return true;
+    } catch (e) {
+        console.warn(`Failed to save ${key}:`, e);
+        return false;
+    }
+}
+
+/**
+ * Remove a stored value
+ * @param {string} key - Value key
+ * @returns {Promise<boolean>} True if removed
+ */
+export async function deleteValue(key) {
+    const db = await openDatabase();
+    if (!db) {
+        localStorage.removeItem(key);
+        return true;
+    }
+    try {
+        await runTransaction(db, KEYVAL_STORE, 'readwrite',
+            (transaction) => transaction.objectStore(KEYVAL_STORE).delete(key));
+        return true;
+    } catch (e) {
+        console.warn(`Failed to remove ${key}:`, e);
+        return false;
+    }
+}
+
+export { DB_NAME, HISTORY_STORE, KEYVAL_STORE };
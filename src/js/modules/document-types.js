@@ -0,0 +1,93 @@
+/**
+ * Document Types Module
+ * Invoices, quotes, proforma invoices and credit notes, each numbered in its own series
+ */
+
+import { getSeriesNumbering } from './numbering.js';
+
+/**
+ * Document types with their display label, default title and number series prefix
+ * Invoices use the numbering pattern as it is; the other series put their prefix in front.
+ */
+const DOCUMENT_TYPES = {
+    invoice: { label: 'Invoice', title: 'INVOICE', prefix: '' },
+    quote: { label: 'Quote', title: 'QUOTE', prefix: 'QT-' },
+    proforma: { label: 'Proforma Invoice', title: 'PROFORMA INVOICE', prefix: 'PF-' },
+    credit: { label: 'Credit Note', title: 'CREDIT NOTE', prefix: 'CN-' }
+};
+
+/**
+ * Normalize a document type, treating unknown values as invoices
+ * @param {string} type - Document type
+ * @returns {string} Key of DOCUMENT_TYPES
+ */
+export function normalizeDocumentType(type) {
+    return DOCUMENT_TYPES[type] ? type : 'invoice';
+}
+
+/**
+ * Get the document type of invoice data
+ * Data saved before document types existed is an invoice.
+ * @param {Object} data - Invoice data
+ * @returns {string} Key of DOCUMENT_TYPES
+ */
+export function getDocumentType(data) {
+    return normalizeDocumentType(data?.invoice?.type);
+}
+
+/**
+ * Get the display label of a document type
+ * @param {string} type - Document type
+ * @returns {string} Label such as 'Quote'
+ */
+export function getDocumentLabel(type) {
+    return DOCUMENT_TYPES[normalizeDocumentType(type)].label;
+}
+
+/**
+ * Check whether a title is one of the default document titles
+ * Custom titles are kept when the document type changes.
+ * @param {string} title - Document title
+ * @returns {boolean} True for a default title or a blank one
+ */
+export function isDefaultDocumentTitle(title) {
+    const value = String(title || '').trim().toUpperCase();
+    return !value || Object.values(DOCUMENT_TYPES).some((type) => type.title === value);
+}
+
+/**
+ * Get the numbering options of the series a document is numbered in
+ * @param {Object} numbering - Invoice numbering options
+ * @param {string} type - Document type
+ * @returns {Object} Normalized numbering options for the series
+ */
+export function getDocumentNumbering(numbering, type) {
+    return getSeriesNumbering(numbering, DOCUMENT_TYPES[normalizeDocumentType(type)].prefix);
+}
+
+/**
+ * Build an invoice from a saved quote
+ * The items, charges and customer carry over; the number, validity date and any
+ * payments are cleared, and the number comes from the invoice series.
+ * @param {Object} entry - History entry of the quote
+ * @param {string} date - Invoice date (YYYY-MM-DD)
+ * @returns {Object} Invoice data
+ */
+export function buildInvoiceFromQuote(entry, date) {
+    const data = JSON.parse(JSON.stringify(entry.data));
+    const title = isDefaultDocumentTitle(data.invoice?.title) ? DOCUMENT_TYPES.invoice.title : data.invoice.title;
+    data.payments = [];
+    data.invoice = {
+        ...data.invoice,
+        type: 'invoice',
+        title,
+        number: '',
+        date,
+        dueDate: '',
+        validUntil: ''
+    };
+    data.meta = { ...data.meta, updatedAt: new Date().toISOString(), showInvoice: false };
+    return data;
+}
+
+export { DOCUMENT_TYPES };
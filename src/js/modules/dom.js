@@ -26,6 +26,27 @@ export function setValue(id, value) {
     el.value = value ?? '';
 }
 
+/**
+ * Get checked state of a checkbox by ID
+ * @param {string} id - Element ID
+ * @returns {boolean} True if the element exists and is checked
+ */
+export function getChecked(id) {
+    const el = document.getElementById(id);
+    return Boolean(el && el.checked);
+}
+
+/**
+ * Set checked state of a checkbox by ID
+ * @param {string} id - Element ID
+ * @param {boolean} checked - Checked state
+ */
+export function setChecked(id, checked) {
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.checked = Boolean(checked);
+}
+
 /**
  * Set text content of an element by ID
  * @param {string} id - Element ID
@@ -3,12 +3,31 @@
  * Form data collection and synchronization
  */
 
-import { getValue, setValue, setText } from './dom.js';
+import { getValue, setValue, setText, getChecked, setChecked } from './dom.js';
 import { parseNumber, formatCurrency } from './formatters.js';
 import { calculateTotals } from './calculations.js';
+import { getCurrencyStep } from './currency.js';
 import { collectItemsFromForm, renderItemsForm } from './items.js';
+import { collectChargesFromForm, renderChargesForm } from './charges.js';
+import { collectPaymentsFromForm, renderPaymentsForm } from './payments.js';
+import { renderProfileOptions } from './profiles.js';
+import { normalizeTemplate, getTemplateAccent } from './templates.js';
+import { normalizeLogoOptions } from './logo.js';
+import { updatePaymentQrFields, normalizeIban } from './payment-qr.js';
+import { getNumberingFromForm, applyNumberingToForm, updateNumberResetWarning } from './numbering.js';
 import { saveDraft, deepMerge } from './storage.js';
 import { renderInvoice, isInvoiceVisible } from './invoice.js';
+import { isCreditNote, formatCreditReference } from './credit-notes.js';
+import { normalizeDocumentType } from './document-types.js';
+import { recordSnapshot } from './undo.js';
+import {
+    normalizeGstin,
+    isValidGstin,
+    resolvePlaceOfSupply,
+    isIntraStateSupply,
+    calculateGstBreakup,
+    toggleGstFields
+} from './gst.js';
 
 /**
  * Get all invoice data from the form
@@ -17,44 +36,149 @@ import { renderInvoice, isInvoiceVisible } from './invoice.js';
 export function getDataFromForm() {
     const settings = {
         currency: getValue('currencyCode', 'INR').trim() || 'INR',
-        locale: 'en-IN'
+        locale: getValue('invoiceLocale', 'en-IN') || 'en-IN',
+        dateFormat: getValue('dateFormat'),
+        gstMode: getChecked('gstMode'),
+        roundingMode: getValue('roundingMode', 'halfUp') || 'halfUp',
+        roundingScope: getValue('roundingScope', 'invoice') || 'invoice',
+        profileId: getValue('sellerProfile'),
+        template: normalizeTemplate(getValue('invoiceTemplate')),
+        theme: {
+            accentColor: getValue('themeAccent'),
+            fontSize: getValue('themeFontSize', 'normal') || 'normal',
+            tableStyle: getValue('themeTableStyle')
+        },
+        logo: normalizeLogoOptions({
+            position: getValue('logoPosition'),
+            maxSize: getValue('logoMaxSize')
+        }),
+        numbering: getNumberingFromForm()
     };
 
-    const items = collectItemsFromForm(settings);
+    const type = normalizeDocumentType(getValue('invoiceType'));
     const taxRate = parseNumber(getValue('taxRate', 0), 0);
-    const discount = parseNumber(getValue('discountAmount', 0), 0);
-    const totals = calculateTotals(items, taxRate, discount);
+    const items = collectItemsFromForm(settings, taxRate);
+    const discount = {
+        type: getValue('discountType', 'amount') || 'amount',
+        value: parseNumber(getValue('discountAmount', 0), 0),
+        application: getValue('discountApplication', 'afterTax') || 'afterTax'
+    };
+    const charges = collectChargesFromForm();
+    const payments = collectPaymentsFromForm();
+    const totals = calculateTotals(items, taxRate, discount, charges, payments, settings);
 
-    return {
+    const data = {
         schemaVersion: 1,
         settings,
         seller: {
             name: getValue('sellerName'),
             address: getValue('sellerAddress'),
             email: getValue('sellerEmail'),
-            phone: getValue('sellerPhone')
+            phone: getValue('sellerPhone'),
+            gstin: normalizeGstin(getValue('sellerGstin')),
+            upiId: getValue('upiId').trim(),
+            upiName: getValue('upiName'),
+            iban: normalizeIban(getValue('sepaIban')),
+            bic: getValue('sepaBic').trim().toUpperCase(),
+            sepaName: getValue('sepaName')
         },
         billTo: {
             name: getValue('billToName'),
             address: getValue('billToAddress'),
             email: getValue('billToEmail'),
-            phone: getValue('billToPhone')
+            phone: getValue('billToPhone'),
+            gstin: normalizeGstin(getValue('billToGstin'))
         },
         invoice: {
+            type,
             title: getValue('invoiceTitle', 'INVOICE'),
             date: getValue('invoiceDate'),
-            dueDate: getValue('invoiceDueDate'),
+            dueDate: type === 'quote' ? '' : getValue('invoiceDueDate'),
+            validUntil: type === 'quote' ? getValue('invoiceValidUntil') : '',
             number: getValue('invoiceNumber'),
+            placeOfSupply: getValue('placeOfSupply'),
             notes: getValue('invoiceNotes'),
             instructions: getValue('invoiceInstructions')
         },
         items,
+        charges,
+        payments,
         totals,
         meta: {
             updatedAt: new Date().toISOString(),
             showInvoice: isInvoiceVisible()
         }
     };
+
+    // Credit notes keep a reference to the invoice they correct
+    if (type === 'credit') {
+        data.invoice.creditedInvoice = {
+            number: getValue('creditedInvoiceNumber'),
+            date: getValue('creditedInvoiceDate')
+        };
+    }
+
+    // GST split depends on seller state and place of supply
+    if (settings.gstMode) {
+        const intraState = isIntraStateSupply(data.seller.gstin, resolvePlaceOfSupply(data));
+        totals.gst = calculateGstBreakup(items, totals, intraState);
+    } else {
+        totals.gst = null;
+    }
+
+    return data;
+}
+
+/**
+ * Match money input steps to the currency's minor unit
+ * @param {string} currency - Currency code
+ */
+function updateAmountSteps(currency) {
+    const step = getCurrencyStep(currency);
+    document.querySelectorAll('.item-unit-price, .charge-amount, .payment-amount').forEach((input) => {
+        input.step = step;
+    });
+    const discountInput = document.getElementById('discountAmount');
+    if (discountInput) {
+        discountInput.step = getValue('discountType') === 'percent' ? '0.01' : step;
+    }
+}
+
+/**
+ * Flag GSTIN inputs whose value fails validation
+ */
+function updateGstinValidity() {
+    ['sellerGstin', 'billToGstin'].forEach((id) => {
+        const el = document.getElementById(id);
+        if (!el) return;
+        const value = el.value.trim();
+        const invalid = value !== '' && !isValidGstin(value);
+        el.setCustomValidity(invalid ? 'Enter a valid 15-character GSTIN.' : '');
+        el.setAttribute('aria-invalid', invalid ? 'true' : 'false');
+    });
+}
+
+/**
+ * Show which invoice the form's credit note is issued against
+ * @param {Object} data - Invoice data
+ */
+function updateCreditNoteNotice(data) {
+    const notice = document.getElementById('creditNoteNotice');
+    if (!notice) return;
+    notice.hidden = !isCreditNote(data);
+    setText('creditNoteReference', formatCreditReference(data));
+}
+
+/**
+ * Show the validity date for quotes and the due date for every other document
+ * @param {Object} data - Invoice data
+ */
+function updateDocumentDateFields(data) {
+    const isQuote = data.invoice.type === 'quote';
+    const dueDateGroup = document.getElementById('dueDateGroup');
+    const validUntilGroup = document.getElementById('validUntilGroup');
+    if (dueDateGroup) dueDateGroup.hidden = isQuote;
+    if (validUntilGroup) validUntilGroup.hidden = !isQuote;
 }
 
 /**
@@ -64,8 +188,12 @@ export function getDataFromForm() {
 export function updateFormTotalsDisplay(data) {
     const { totals, settings } = data;
     setText('formSubtotal', formatCurrency(totals.subtotal, settings.currency, settings.locale));
+    setText('formCharges', formatCurrency(totals.charges, settings.currency, settings.locale));
+    setText('formDiscount', formatCurrency(totals.discount, settings.currency, settings.locale));
     setText('formTaxAmount', formatCurrency(totals.taxAmount, settings.currency, settings.locale));
     setText('formTotal', formatCurrency(totals.total, settings.currency, settings.locale));
+    setText('formAmountPaid', formatCurrency(totals.amountPaid, settings.currency, settings.locale));
+    setText('formBalanceDue', formatCurrency(totals.balanceDue, settings.currency, settings.locale));
 }
 
 /**
@@ -83,8 +211,9 @@ export function validateData(data) {
 }
 
 /**
- * Sync data from form, save draft, and optionally render
- * @param {Object} options - { render: boolean, showInvoice: boolean }
+ * Sync data from form, save draft, record an undo step, and optionally render
+ * @param {Object} options - { render: boolean, showInvoice: boolean, typing: boolean }
+ *   typing merges quick successive edits into one undo step
  * @returns {Object} Current form data
  */
 export function syncFromForm(options = {}) {
@@ -92,40 +221,93 @@ export function syncFromForm(options = {}) {
     if (typeof options.showInvoice === 'boolean') {
         data.meta.showInvoice = options.showInvoice;
     }
+    toggleGstFields(data.settings.gstMode);
+    updateAmountSteps(data.settings.currency);
+    updateGstinValidity();
+    updatePaymentQrFields(data.settings.currency);
+    updateNumberResetWarning();
     updateFormTotalsDisplay(data);
+    updateCreditNoteNotice(data);
+    updateDocumentDateFields(data);
     saveDraft(data);
+    recordSnapshot(data, { merge: Boolean(options.typing) });
     if (options.render) {
         renderInvoice(data);
     }
     return data;
 }
 
+/**
+ * Make sure a select can show a value that came from imported data
+ * @param {string} id - Select element ID
+ * @param {string} value - Value that should be selectable
+ */
+function ensureSelectOption(id, value) {
+    const select = document.getElementById(id);
+    if (!select || !value) return;
+    const exists = Array.from(select.options).some((option) => option.value === value);
+    if (exists) return;
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = value;
+    select.appendChild(option);
+}
+
 /**
  * Apply data to form fields
  * @param {Object} data - Invoice data to apply
  * @param {Function} syncCallback - Callback to sync after applying
  */
 export function applyDataToForm(data, syncCallback) {
+    renderProfileOptions(data.settings?.profileId ?? '');
     setValue('sellerName', data.seller?.name ?? '');
     setValue('sellerAddress', data.seller?.address ?? '');
     setValue('sellerEmail', data.seller?.email ?? '');
     setValue('sellerPhone', data.seller?.phone ?? '');
+    setValue('sellerGstin', data.seller?.gstin ?? '');
     setValue('billToName', data.billTo?.name ?? '');
     setValue('billToAddress', data.billTo?.address ?? '');
     setValue('billToEmail', data.billTo?.email ?? '');
     setValue('billToPhone', data.billTo?.phone ?? '');
+    setValue('billToGstin', data.billTo?.gstin ?? '');
 
     setValue('invoiceTitle', data.invoice?.title ?? 'INVOICE');
     setValue('invoiceDate', data.invoice?.date ?? '');
     setValue('invoiceDueDate', data.invoice?.dueDate ?? '');
     setValue('invoiceNumber', data.invoice?.number ?? '');
+    setValue('placeOfSupply', data.invoice?.placeOfSupply ?? '');
+    setValue('invoiceType', normalizeDocumentType(data.invoice?.type));
+    setValue('invoiceValidUntil', data.invoice?.validUntil ?? '');
+    setValue('creditedInvoiceNumber', data.invoice?.creditedInvoice?.number ?? '');
+    setValue('creditedInvoiceDate', data.invoice?.creditedInvoice?.date ?? '');
 
     setValue('currencyCode', data.settings?.currency ?? 'INR');
+    ensureSelectOption('invoiceLocale', data.settings?.locale);
+    setValue('invoiceLocale', data.settings?.locale ?? 'en-IN');
+    setValue('dateFormat', data.settings?.dateFormat ?? '');
+    setChecked('gstMode', data.settings?.gstMode);
+    setValue('roundingMode', data.settings?.roundingMode ?? 'halfUp');
+    setValue('roundingScope', data.settings?.roundingScope ?? 'invoice');
+    const template = normalizeTemplate(data.settings?.template);
+    setValue('invoiceTemplate', template);
+    setValue('themeAccent', data.settings?.theme?.accentColor || getTemplateAccent(template).toLowerCase());
+    setValue('themeFontSize', data.settings?.theme?.fontSize || 'normal');
+    setValue('themeTableStyle', data.settings?.theme?.tableStyle ?? '');
+    const logoOptions = normalizeLogoOptions(data.settings?.logo);
+    setValue('logoPosition', logoOptions.position);
+    setValue('logoMaxSize', logoOptions.maxSize);
+    if (data.settings?.numbering) {
+        applyNumberingToForm(data.settings.numbering);
+    }
 
     renderItemsForm(data.items || []);
+    renderChargesForm(data.charges || []);
+    renderPaymentsForm(data.payments || []);
 
     setValue('taxRate', data.totals?.taxRate ?? 0);
-    setValue('discountAmount', data.totals?.discount ?? 0);
+    setValue('discountAmount', data.totals?.discountValue ?? data.totals?.discount ?? 0);
+    setValue('discountType', data.totals?.discountType ?? 'amount');
+    setValue('discountApplication', data.totals?.discountApplication ?? 'afterTax');
 
     setValue('invoiceNotes', data.invoice?.notes ?? '');
 
@@ -142,6 +324,11 @@ export function applyDataToForm(data, syncCallback) {
         }
     }
     setValue('invoiceInstructions', mergedInstructions);
+    setValue('upiId', data.seller?.upiId ?? '');
+    setValue('upiName', data.seller?.upiName ?? '');
+    setValue('sepaIban', data.seller?.iban ?? '');
+    setValue('sepaBic', data.seller?.bic ?? '');
+    setValue('sepaName', data.seller?.sepaName ?? '');
 
     if (syncCallback) {
         syncCallback({ render: data.meta?.showInvoice, showInvoice: data.meta?.showInvoice });
@@ -3,6 +3,8 @@
  * Number parsing and currency/date formatting utilities
  */
 
+import { getCurrencyExponent } from './currency.js';
+
 /**
  * Parse a value as a number with fallback
  * @param {*} value - Value to parse
@@ -15,7 +17,7 @@ export function parseNumber(value, fallback = 0) {
 }
 
 /**
- * Format amount as currency string
+ * Format amount as currency string using the currency's ISO 4217 precision
  * @param {number} amount - Amount to format
  * @param {string} currency - Currency code (e.g., 'INR', 'USD')
  * @param {string} locale - Locale string (e.g., 'en-IN')
@@ -23,30 +25,78 @@ export function parseNumber(value, fallback = 0) {
  */
 export function formatCurrency(amount, currency, locale) {
     const safeAmount = Number.isFinite(amount) ? amount : 0;
+    const digits = getCurrencyExponent(currency || 'INR');
     try {
         return new Intl.NumberFormat(locale || 'en-IN', {
             style: 'currency',
             currency: currency || 'INR',
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits
         }).format(safeAmount);
     } catch (error) {
         const suffix = currency ? ` ${currency}` : '';
-        return `${safeAmount.toFixed(2)}${suffix}`;
+        return `${safeAmount.toFixed(digits)}${suffix}`;
     }
 }
 
 /**
- * Format date value as DD/MM/YYYY
+ * Parse a date value, treating bare YYYY-MM-DD strings as local dates
+ * so the day never shifts with the viewer's timezone
+ * @param {string|Date} dateValue - Date to parse
+ * @returns {Date} Parsed date (may be invalid)
+ */
+export function parseDate(dateValue) {
+    if (dateValue instanceof Date) return new Date(dateValue.getTime());
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dateValue));
+    if (match) {
+        return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    }
+    return new Date(dateValue);
+}
+
+/**
+ * Format date value for display
+ * With no explicit format the locale's numeric day/month/year order is used
+ * (DD/MM/YYYY for en-IN, MM/DD/YYYY for en-US, DD.MM.YYYY for de-DE)
  * @param {string|Date} dateValue - Date to format
+ * @param {string} locale - Locale string (e.g., 'en-IN')
+ * @param {string} format - Optional explicit format: 'DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD' or 'long'
  * @returns {string} Formatted date string
  */
-export function formatDate(dateValue) {
+export function formatDate(dateValue, locale, format) {
     if (!dateValue) return '';
-    const date = new Date(dateValue);
+    const date = parseDate(dateValue);
     if (Number.isNaN(date.getTime())) return dateValue;
     const day = String(date.getDate()).padStart(2, '0');
     const month = String(date.getMonth() + 1).padStart(2, '0');
     const year = String(date.getFullYear());
-    return `${day}/${month}/${year}`;
+
+    switch (format) {
+        case 'DD/MM/YYYY':
+            return `${day}/${month}/${year}`;
+        case 'MM/DD/YYYY':
+            return `${month}/${day}/${year}`;
+        case 'YYYY-MM-DD':
+            return `${year}-${month}-${day}`;
+        case 'long':
+            try {
+                return new Intl.DateTimeFormat(locale || 'en-IN', {
+                    day: 'numeric',
+                    month: 'long',
+                    year: 'numeric'
+                }).format(date);
+            } catch (error) {
+                return `${day}/${month}/${year}`;
+            }
+        default:
+            try {
+                return new Intl.DateTimeFormat(locale || 'en-IN', {
+                    day: '2-digit',
+                    month: '2-digit',
+                    year: 'numeric'
+                }).format(date);
+            } catch (error) {
+                return `${day}/${month}/${year}`;
+            }
+    }
 }
@@ -0,0 +1,325 @@
+/**
+ * GST Module
+ * Indian GST helpers: GSTIN validation, state codes and CGST/SGST/IGST split
+ */
+
+import { toMinorUnits, fromMinorUnits, roundInteger, allocateMinorUnits } from './currency.js';
+
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+/**
+ * GST state and union territory codes, keyed by the two-digit code
+ * that also prefixes every GSTIN registered in that state
+ */
+const GST_STATES = {
+    '01': 'Jammu and Kashmir',
+    '02': 'Himachal Pradesh',
+    '03': 'Punjab',
+    '04': 'Chandigarh',
+    '05': 'Uttarakhand',
+    '06': 'Haryana',
+    '07': 'Delhi',
+    '08': 'Rajasthan',
+    '09': 'Uttar Pradesh',
+    '10': 'Bihar',
+    '11': 'Sikkim',
+    '12': 'Arunachal Pradesh',
+    '13': 'Nagaland',
+    '14': 'Manipur',
+    '15': 'Mizoram',
+    '16': 'Tripura',
+    '17': 'Meghalaya',
+    '18': 'Assam',
+    '19': 'West Bengal',
+    '20': 'Jharkhand',
+    '21': 'Odisha',
+    '22': 'Chhattisgarh',
+    '23': 'Madhya Pradesh',
+    '24': 'Gujarat',
+    '26': 'Dadra and Nagar Haveli and Daman and Diu',
+    '27': 'Maharashtra',
+    '29': 'Karnataka',
+    '30': 'Goa',
+    '31': 'Lakshadweep',
+    '32': 'Kerala',
+    '33': 'Tamil Nadu',
+    '34': 'Puducherry',
+    '35': 'Andaman and Nicobar Islands',
+    '36': 'Telangana',
+    '37': 'Andhra Pradesh',
+    '38': 'Ladakh',
+    '97': 'Other Territory'
+};
+
+/**
+ * Normalize a GSTIN for comparison and storage
+ * @param {string} gstin - Raw GSTIN input
+ * @returns {string} Uppercased GSTIN without whitespace
+ */
+export function normalizeGstin(gstin) {
+    return String(gstin ?? '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Compute the GSTIN check character for the first 14 characters
+ * @param {string} body - First 14 characters of a GSTIN
+ * @returns {string} Expected check character
+ */
+function computeGstinCheckChar(body) {
+    let sum = 0;
+    for (let i = 0; i < 14; i++) {
+        const value = GSTIN_CHARSET.indexOf(body[i]);
+        const product = value * (i % 2 === 0 ? 1 : 2);
+        sum += Math.floor(product / 36) + (product % 36);
+    }
+    return GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+}
+
+/**
+ * Validate a GSTIN's format, state code and checksum
+ * @param {string} gstin - GSTIN to validate
+ * @returns {boolean} True if the GSTIN is well-formed
+ */
+export function isValidGstin(gstin) {
+    const value = normalizeGstin(gstin);
+    if (!GSTIN_PATTERN.test(value)) return false;
+    if (!GST_STATES[value.slice(0, 2)]) return false;
+    return computeGstinCheckChar(value) === value[14];
+}
+
+/**
+ * Get the state code a GSTIN is registered in
+ * @param {string} gstin - GSTIN
+ * @returns {string} Two-digit state code or empty string
+ */
+export function getStateCodeFromGstin(gstin) {
+    const value = normalizeGstin(gstin);
+    const code = value.slice(0, 2);
+    return GST_STATES[code] ? code : '';
+}
+
+/**
+ * Format a state code for display
+ * @param {string} code - Two-digit state code
+ * @returns {string} State name with code, e.g. "Maharashtra (27)"
+ */
+export function formatStateName(code) {
+    if (!code) return '';
+    const name = GST_STATES[code];
+    return name ? `${name} (${code})` : code;
+}
+
+/**
+ * Resolve the place of supply, falling back to the buyer's registered state
+ * @param {Object} data - Invoice data
+ * @returns {string} Two-digit state code or empty string
+ */
+export function resolvePlaceOfSupply(data) {
+    return data.invoice?.placeOfSupply || getStateCodeFromGstin(data.billTo?.gstin);
+}
+
+/**
+ * Determine whether a supply is intra-state (CGST + SGST) or inter-state (IGST)
+ * Supplies with no known place of supply are treated as local
+ * @param {string} sellerGstin - Seller GSTIN
+ * @param {string} placeOfSupply - Two-digit state code
+ * @returns {boolean} True for intra-state supply
+ */
+export function isIntraStateSupply(sellerGstin, placeOfSupply) {
+    const sellerState = getStateCodeFromGstin(sellerGstin);
+    if (!sellerState || !placeOfSupply) return true;
+    return sellerState === placeOfSupply;
+}
+
+/**
+ * Split a tax amount into its GST components
+ * An odd minor unit goes to CGST so the two halves always add back up to the tax
+ * @param {number} taxAmount - Total tax for the rate
+ * @param {number} rate - Combined GST rate as percentage
+ * @param {boolean} intraState - Whether the supply is intra-state
+ * @param {number} precision - Currency exponent (2 for INR)
+ * @returns {Object} { cgstRate, cgst, sgstRate, sgst, igstRate, igst }
+ */
+export function splitGstAmount(taxAmount, rate, intraState, precision = 2) {
+    if (intraState) {
+        const taxMinor = toMinorUnits(taxAmount, precision);
+        const cgstMinor = roundInteger(taxMinor / 2);
+        const cgst = fromMinorUnits(cgstMinor, precision);
+        const sgst = fromMinorUnits(taxMinor - cgstMinor, precision);
+        return { cgstRate: rate / 2, cgst, sgstRate: rate / 2, sgst, igstRate: 0, igst: 0 };
+    }
+    return { cgstRate: 0, cgst: 0, sgstRate: 0, sgst: 0, igstRate: rate, igst: taxAmount };
+}
+
+/**
+ * Share a rate's rounded tax across its HSN/SAC rows in proportion to the given weights
+ * The shares always add up to the tax exactly; a negative tax is shared by its size.
+ * @param {number} taxMinor - Rounded tax for the rate, in minor units
+ * @param {Array<number>} amounts - Weight of each row in minor units, e.g. its taxable value
+ * @returns {Array<number>} Tax of each row in minor units
+ */
+function shareRateTax(taxMinor, amounts) {
+    const sign = taxMinor < 0 ? -1 : 1;
+    const weights = amounts.map((amount) => Math.max(amount * sign, 0));
+    const shares = allocateMinorUnits(Math.abs(taxMinor), weights);
+    if (taxMinor !== 0 && shares.every((share) => share === 0)) {
+        shares[0] = Math.abs(taxMinor);
+    }
+    return shares.map((share) => share * sign);
+}
+
+/**
+ * Build the statutory GST breakup from items and calculated totals
+ * Row tax follows the invoice's rounding: with per-line rounding the rows sum their lines;
+ * otherwise each rate's tax from the totals is shared across its rows, so the breakup
+ * always adds up to the invoice's tax and its CGST and SGST match the tax totals.
+ * @param {Array} items - Line items with hsn
+ * @param {Object} totals - Totals object from calculateTotals
+ * @param {boolean} intraState - Whether the supply is intra-state
+ * @returns {Object} Breakup with supplyType, rows grouped by HSN/SAC and rate, and component sums
+ */
+export function calculateGstBreakup(items, totals, intraState) {
+    const precision = totals.precision ?? 2;
+    const toMinor = (amount) => toMinorUnits(amount, precision);
+    const groups = new Map();
+    const addToGroup = (hsn, rate, taxableAmount, taxAmount) => {
+        const key = `${hsn}|${rate}`;
+        const group = groups.get(key) || { hsn, rate, taxable: 0, tax: 0 };
+        group.taxable += toMinor(taxableAmount);
+        group.tax += toMinor(taxAmount);
+        groups.set(key, group);
+    };
+
+    items.forEach((item, index) => {
+        const line = totals.lines?.[index] || { taxableAmount: item.total, taxRate: 0, taxAmount: 0 };
+        addToGroup(item.hsn || '', line.taxRate, line.taxableAmount, line.taxAmount);
+    });
+
+    // Taxable charges form part of the value of supply
+    (totals.chargeLines || []).filter((charge) => charge.taxable).forEach((charge) => {
+        addToGroup('', charge.taxRate, charge.amount, charge.taxAmount);
+    });
+
+    if (totals.roundingScope !== 'line') {
+        (totals.taxBreakdown || []).forEach((rateGroup) => {
+            const rateGroups = Array.from(groups.values()).filter((group) => group.rate === rateGroup.rate);
+            if (rateGroups.length === 0) return;
+            const shares = shareRateTax(toMinor(rateGroup.taxAmount), rateGroups.map((group) => group.taxable));
+            rateGroups.forEach((group, index) => {
+                group.tax = shares[index];
+            });
+        });
+    }
+
+    // Each rate's tax is halved once, as in the tax totals, and each half is shared across
+    // the rate's rows; halving every row would put all the odd minor units in CGST
+    new Set(Array.from(groups.values()).map((group) => group.rate)).forEach((rate) => {
+        const rateGroups = Array.from(groups.values()).filter((group) => group.rate === rate);
+        const rateTax = rateGroups.reduce((sum, group) => sum + group.tax, 0);
+        const { cgst } = splitGstAmount(fromMinorUnits(rateTax, precision), rate, true, precision);
+        const shares = shareRateTax(toMinor(cgst), rateGroups.map((group) => group.tax));
+        rateGroups.forEach((group, index) => {
+            group.cgst = shares[index];
+        });
+    });
+
+    const rows = Array.from(groups.values()).map((group) => {
+        const taxAmount = fromMinorUnits(group.tax, precision);
+        const split = splitGstAmount(taxAmount, group.rate, intraState, precision);
+        if (intraState) {
+            split.cgst = fromMinorUnits(group.cgst, precision);
+            split.sgst = fromMinorUnits(group.tax - group.cgst, precision);
+        }
+        return {
+            hsn: group.hsn,
+            rate: group.rate,
+            taxableAmount: fromMinorUnits(group.taxable, precision),
+            taxAmount,
+            ...split
+        };
+    });
+
+    const sum = (field) => fromMinorUnits(
+        rows.reduce((acc, row) => acc + toMinor(row[field]), 0),
+        precision
+    );
+
+    return {
+        supplyType: intraState ? 'intra' : 'inter',
+        rows,
+        taxableAmount: sum('taxableAmount'),
+        cgst: sum('cgst'),
+        sgst: sum('sgst'),
+        igst: sum('igst'),
+        taxAmount: sum('taxAmount')
+    };
+}
+
+/**
+ * Get the totals rows for the tax section of a GST invoice
+ * @param {Object} totals - Totals object with taxBreakdown and gst
+ * @returns {Array} Array of { label, amount } rows
+ */
+export function getGstTaxRows(totals) {
+    const intraState = totals.gst?.supplyType !== 'inter';
+    const rows = [];
+    (totals.taxBreakdown || []).forEach((group) => {
+        if (!(group.rate > 0 && group.taxAmount > 0)) return;
+        const split = splitGstAmount(group.taxAmount, group.rate, intraState, totals.precision ?? 2);
+        if (intraState) {
+            rows.push({ label: `CGST (${split.cgstRate}%)`, amount: split.cgst });
+            rows.push({ label: `SGST (${split.sgstRate}%)`, amount: split.sgst });
+        } else {
+            rows.push({ label: `IGST (${split.igstRate}%)`, amount: split.igst });
+        }
+    });
+    return rows;
+}
+
+/**
+ * Collect GST validation errors for an invoice
+ * @param {Object} data - Invoice data
+ * @returns {Array<string>} Human-readable error messages, empty when valid
+ */
+export function getGstValidationErrors(data) {
+    if (!data.settings?.gstMode) return [];
+    const errors = [];
+    if (!isValidGstin(data.seller?.gstin)) {
+        errors.push('Seller GSTIN is missing or invalid.');
+    }
+    if (data.billTo?.gstin && !isValidGstin(data.billTo.gstin)) {
+        errors.push('Customer GSTIN is invalid.');
+    }
+    if (!resolvePlaceOfSupply(data)) {
+        errors.push('Select a place of supply.');
+    }
+    return errors;
+}
+
+/**
+ * Populate a select element with GST state options
+ * @param {string} id - Select element ID
+ */
+export function populateStateOptions(id) {
+    const select = document.getElementById(id);
+    if (!select || select.options.length > 1) return;
+    Object.entries(GST_STATES).forEach(([code, name]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = `${code} - ${name}`;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Show or hide GST-only form fields
+ * @param {boolean} enabled - Whether GST mode is on
+ */
+export function toggleGstFields(enabled) {
+    const form = document.getElementById('billForm');
+    if (!form) return;
+    form.classList.toggle('gst-mode', Boolean(enabled));
+}
+
+export { GST_STATES };
@@ -0,0 +1,244 @@
+/**
+ * History Export Module
+ * CSV and XLSX exports of invoice history, one row per invoice or per line item
+ *
+ * Quotes, proforma invoices and credit notes are exported too; the Type column tells
+ * them apart from invoices.
+ */
+
+import { getEntryStatus, getEntryType, getStatusLabel, getVisibleHistory, isCreditEntry } from './history.js';
+import { getDocumentLabel } from './document-types.js';
+import { createXlsx } from './xlsx.js';
+
+/**
+ * Columns of the per-invoice export
+ */
+const INVOICE_COLUMNS = [
+    { key: 'number', label: 'Invoice Number' },
+    { key: 'type', label: 'Type' },
+    { key: 'date', label: 'Invoice Date' },
+    { key: 'dueDate', label: 'Due Date' },
+    { key: 'customer', label: 'Customer' },
+    { key: 'customerGstin', label: 'Customer GSTIN' },
+    { key: 'status', label: 'Status' },
+    { key: 'currency', label: 'Currency' },
+    { key: 'subtotal', label: 'Subtotal' },
+    { key: 'discount', label: 'Discount' },
+    { key: 'charges', label: 'Charges' },
+    { key: 'tax', label: 'Tax' },
+    { key: 'total', label: 'Total' },
+    { key: 'amountPaid', label: 'Amount Paid' },
+    { key: 'balanceDue', label: 'Balance Due' }
+];
+
+/**
+ * Columns of the per-line-item export
+ */
+const LINE_ITEM_COLUMNS = [
+    { key: 'number', label: 'Invoice Number' },
+    { key: 'type', label: 'Type' },
+    { key: 'date', label: 'Invoice Date' },
+    { key: 'customer', label: 'Customer' },
+    { key: 'status', label: 'Status' },
+    { key: 'currency', label: 'Currency' },
+    { key: 'line', label: 'Line' },
+    { key: 'description', label: 'Description' },
+    { key: 'hsn', label: 'HSN/SAC' },
+    { key: 'quantity', label: 'Quantity' },
+    { key: 'unit', label: 'Unit' },
+    { key: 'unitPrice', label: 'Unit Price' },
+    { key: 'discount', label: 'Discount' },
+    { key: 'amount', label: 'Amount' },
+    { key: 'taxRate', label: 'Tax Rate (%)' },
+    { key: 'tax', label: 'Tax' }
+];
+
+const EXPORT_MODES = {
+    invoices: { columns: INVOICE_COLUMNS, sheet: 'Invoices', file: 'invoices' },
+    items: { columns: LINE_ITEM_COLUMNS, sheet: 'Line Items', file: 'invoice-line-items' }
+};
+
+/**
+ * Get the status label to export for an entry, including overdue and expired
+ * @param {Object} entry - History entry
+ * @returns {string} Status label
+ */
+function getEntryStatusLabel(entry) {
+    return getStatusLabel(getEntryStatus(entry));
+}
+
+/**
+ * Read a numeric total, treating missing values as zero
+ * @param {*} value - Stored value
+ * @returns {number} Number
+ */
+function toAmount(value) {
+    const num = Number(value);
+    return Number.isFinite(num) ? num : 0;
+}
+
+/**
+ * Get the sign amounts of an entry are exported with
+ * @param {Object} entry - History entry
+ * @returns {number} -1 for credit notes, otherwise 1
+ */
+function getAmountSign(entry) {
+    return isCreditEntry(entry) ? -1 : 1;
+}
+
+/**
+ * Build one export row per invoice
+ * Subtotal, discount, charges and tax add up to the total, as on the invoice itself.
+ * Credit notes are exported with negative amounts.
+ * @param {Array} history - History entries
+ * @returns {Array<Object>} Rows keyed by INVOICE_COLUMNS
+ */
+export function getInvoiceRows(history) {
+    return history.map((entry) => {
+        const data = entry.data || {};
+        const totals = data.totals || {};
+        const sign = getAmountSign(entry);
+        const total = sign * toAmount(totals.total ?? sign * entry.total);
+        return {
+            number: entry.number || '',
+            type: getDocumentLabel(getEntryType(entry)),
+            date: entry.date || '',
+            dueDate: entry.dueDate ?? data.invoice?.dueDate ?? '',
+            customer: entry.customerName || '',
+            customerGstin: data.billTo?.gstin || '',
+            status: getEntryStatusLabel(entry),
+            currency: entry.currency || data.settings?.currency || '',
+            subtotal: sign * toAmount(totals.subtotal),
+            discount: sign * toAmount(totals.discount),
+            charges: sign * toAmount(totals.charges),
+            tax: sign * toAmount(totals.taxAmount),
+            total,
+            amountPaid: sign * toAmount(totals.amountPaid),
+            balanceDue: toAmount(entry.balanceDue ?? totals.balanceDue ?? total)
+        };
+    });
+}
+
+/**
+ * Build one export row per line item
+ * Credited quantities and amounts are negative; unit prices stay as they are.
+ * @param {Array} history - History entries
+ * @returns {Array<Object>} Rows keyed by LINE_ITEM_COLUMNS
+ */
+export function getLineItemRows(history) {
+    return history.flatMap((entry) => {
+        const data = entry.data || {};
+        const lines = data.totals?.lines || [];
+        const sign = getAmountSign(entry);
+        return (data.items || []).map((item, index) => {
+            const line = lines[index] || {};
+            return {
+                number: entry.number || '',
+                type: getDocumentLabel(getEntryType(entry)),
+                date: entry.date || '',
+                customer: entry.customerName || '',
+                status: getEntryStatusLabel(entry),
+                currency: entry.currency || data.settings?.currency || '',
+                line: index + 1,
+                description: item.description || '',
+                hsn: item.hsn || '',
+                quantity: sign * toAmount(item.quantity),
+                unit: item.unit || '',
+                unitPrice: toAmount(item.unitPrice),
+                discount: sign * toAmount(line.discountAmount),
+                amount: sign * toAmount(line.netAmount ?? item.total),
+                taxRate: toAmount(line.taxRate ?? item.taxRate),
+                tax: sign * toAmount(line.taxAmount)
+            };
+        });
+    });
+}
+
+/**
+ * Format one CSV field
+ * Text starting with =, +, - or @ is prefixed with an apostrophe so spreadsheets
+ * do not run it as a formula.
+ * @param {*} value - Cell value
+ * @returns {string} CSV field
+ */
+function toCsvField(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert rows to CSV text with a header row
+ * @param {Array<{key: string, label: string}>} columns - Columns in order
+ * @param {Array<Object>} rows - Rows keyed by column
+ * @returns {string} CSV text with CRLF line endings
+ */
+export function toCsv(columns, rows) {
+    const lines = [columns.map((column) => toCsvField(column.label))];
+    rows.forEach((row) => lines.push(columns.map((column) => toCsvField(row[column.key]))));
+    return lines.map((fields) => fields.join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Convert rows to an XLSX workbook with a single sheet
+ * @param {string} sheetName - Sheet name
+ * @param {Array<{key: string, label: string}>} columns - Columns in order
+ * @param {Array<Object>} rows - Rows keyed by column
+ * @returns {Uint8Array} XLSX file bytes
+ */
+export function toXlsx(sheetName, columns, rows) {
+    return createXlsx([{
+        name: sheetName,
+        rows: [
+            columns.map((column) => column.label),
+            ...rows.map((row) => columns.map((column) => row[column.key]))
+        ]
+    }]);
+}
+
+/**
+ * Offer a file for download
+ * @param {BlobPart} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = filename;
+    document.body.appendChild(anchor);
+    anchor.click();
+    anchor.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Export the invoices shown in the history panel
+ * Only entries matching the panel's current search and filters are included.
+ * @param {string} format - 'csv' or 'xlsx'
+ * @param {string} mode - 'invoices' for one row per invoice, 'items' for one row per line item
+ * @returns {Promise<number>} Number of invoices exported
+ */
+export async function exportHistory(format, mode = 'invoices') {
+    const history = await getVisibleHistory();
+    if (history.length === 0) return 0;
+
+    const { columns, sheet, file } = EXPORT_MODES[mode] || EXPORT_MODES.invoices;
+    const rows = mode === 'items' ? getLineItemRows(history) : getInvoiceRows(history);
+    const filename = `${file}-${new Date().toISOString().split('T')[0]}`;
+
+    if (format === 'xlsx') {
+        downloadFile(toXlsx(sheet, columns, rows), `${filename}.xlsx`,
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    } else {
+        // The byte order mark makes Excel read the file as UTF-8
+        downloadFile(`\ufeff${toCsv(columns, rows)}`, `${filename}.csv`, 'text/csv;charset=utf-8');
+    }
+    return history.length;
+}
+
+export { INVOICE_COLUMNS, LINE_ITEM_COLUMNS };
@@ -1,118 +1,508 @@
 /**
  * History Module
- * Invoice history management in localStorage
+ * Invoice history management on the async storage layer
  */
 
-import { formatDate, formatCurrency } from './formatters.js';
+import { getValue } from './dom.js';
+import { formatDate, formatCurrency, parseDate } from './formatters.js';
+import { getProfile } from './profiles.js';
+import { isCreditNote } from './credit-notes.js';
+import { getDocumentType, getDocumentLabel, normalizeDocumentType } from './document-types.js';
+import {
+    readHistoryRecords,
+    readHistoryRecord,
+    writeHistoryRecord,
+    deleteHistoryRecord,
+    clearHistoryRecords
+} from './db.js';
 
-const HISTORY_KEY = 'invoice.history';
+/**
+ * Statuses that can be set on a history entry, in display order
+ */
+const STATUS_LABELS = {
+    draft: 'Draft',
+    sent: 'Sent',
+    partial: 'Partially Paid',
+    paid: 'Paid',
+    void: 'Void'
+};
 
 /**
- * Get all history entries from localStorage
- * @returns {Array} Array of history entries
+ * Statuses that can be set on a quote, in display order
  */
-export function getHistory() {
-    const raw = localStorage.getItem(HISTORY_KEY);
-    if (!raw) return [];
-    try {
-        return JSON.parse(raw);
-    } catch (e) {
-        return [];
+const QUOTE_STATUS_LABELS = {
+    draft: 'Draft',
+    sent: 'Sent',
+    accepted: 'Accepted',
+    declined: 'Declined',
+    void: 'Void'
+};
+
+/**
+ * Statuses that are worked out from dates rather than set
+ */
+const DERIVED_STATUS_LABELS = {
+    overdue: 'Overdue',
+    expired: 'Expired'
+};
+
+/**
+ * Comparators for the history sort options, in ascending order
+ */
+const HISTORY_SORTERS = {
+    date: (a, b) => String(a.date || '').localeCompare(String(b.date || '')) || a.id - b.id,
+    number: (a, b) => String(a.number || '').localeCompare(String(b.number || ''), undefined,
+        { numeric: true, sensitivity: 'base' }),
+    customer: (a, b) => (a.customerName || '').localeCompare(b.customerName || '', undefined,
+        { sensitivity: 'base' }),
+    total: (a, b) => (a.total || 0) - (b.total || 0)
+};
+
+/**
+ * Get the statuses that can be set on an entry
+ * @param {Object} entry - History entry
+ * @returns {Object} Status labels by key
+ */
+export function getStatusLabels(entry) {
+    return getEntryType(entry) === 'quote' ? QUOTE_STATUS_LABELS : STATUS_LABELS;
+}
+
+/**
+ * Get the display label of any status, including derived ones
+ * @param {string} status - Status key
+ * @returns {string} Label
+ */
+export function getStatusLabel(status) {
+    return STATUS_LABELS[status] || QUOTE_STATUS_LABELS[status] || DERIVED_STATUS_LABELS[status] || '';
+}
+
+/**
+ * Work out where the status of a saved entry came from
+ * Entries saved before this was recorded count their status as coming from payments
+ * when they had payments recorded.
+ * @param {Object|null} entry - History entry
+ * @returns {string} 'payments' or 'manual'
+ */
+function getStatusSource(entry) {
+    if (entry?.statusSource) return entry.statusSource;
+    return entry?.data?.totals?.amountPaid > 0 ? 'payments' : 'manual';
+}
+
+/**
+ * Work out the stored status for a saved invoice
+ * Recorded payments move an entry to partially paid or paid. Without payments the
+ * previous status is kept, except that partially paid or paid set by payments that
+ * have since been removed goes back to sent; a status chosen by hand stays. Void
+ * entries stay void. Quotes take no payments and simply keep their status.
+ * @param {Object} data - Invoice data being saved
+ * @param {Object|null} previous - History entry being replaced, if any
+ * @returns {Object} { status, statusSource }
+ */
+function deriveStatus(data, previous) {
+    const source = getStatusSource(previous);
+    if (getDocumentType(data) === 'quote') {
+        return { status: QUOTE_STATUS_LABELS[previous?.status] ? previous.status : 'draft', statusSource: source };
+    }
+    const status = STATUS_LABELS[previous?.status] ? previous.status : 'draft';
+    if (status === 'void') return { status, statusSource: source };
+
+    const amountPaid = data.totals?.amountPaid || 0;
+    if (amountPaid > 0) {
+        return { status: data.totals.balanceDue > 0 ? 'partial' : 'paid', statusSource: 'payments' };
+    }
+    if (source === 'payments' && (status === 'partial' || status === 'paid')) {
+        return { status: 'sent', statusSource: 'manual' };
+    }
+    return { status, statusSource: source };
+}
+
+/**
+ * Get the document type of a history entry
+ * Entries saved before document types existed are invoices.
+ * @param {Object} entry - History entry
+ * @returns {string} Document type
+ */
+export function getEntryType(entry) {
+    return normalizeDocumentType(entry?.type);
+}
+
+/**
+ * Check whether a history entry is a credit note
+ * @param {Object} entry - History entry
+ * @returns {boolean} True for credit notes
+ */
+export function isCreditEntry(entry) {
+    return getEntryType(entry) === 'credit';
+}
+
+/**
+ * Add up the credit notes issued against an invoice
+ * Void credit notes do not count.
+ * @param {Array} history - History entries
+ * @param {string} number - Invoice number
+ * @param {string} profileId - Seller profile ID, '' for none
+ * @returns {number} Credited amount, as a positive number
+ */
+function getCreditedAmount(history, number, profileId) {
+    return history.reduce((sum, entry) => {
+        if (!isCreditEntry(entry) || entry.status === 'void' || entry.creditedNumber !== number) return sum;
+        if (String(entry.profileId || '') !== String(profileId || '')) return sum;
+        return sum - (entry.total || 0);
+    }, 0);
+}
+
+/**
+ * Net the credit notes issued against an invoice entry into its balance
+ * @param {Object} entry - Invoice history entry, updated in place
+ * @param {Array} history - History entries
+ */
+function applyCredits(entry, history) {
+    const totals = entry.data?.totals || {};
+    const credited = getCreditedAmount(history, entry.number, entry.profileId);
+    entry.credited = credited;
+    entry.balanceDue = (totals.balanceDue ?? totals.total ?? 0) - credited;
+}
+
+/**
+ * Update the balance of the invoice a credit note was issued against
+ * @param {Object} creditEntry - Credit note history entry
+ * @returns {Promise<void>}
+ */
+async function refreshCreditedInvoice(creditEntry) {
+    const original = await findHistoryEntryByNumber(creditEntry.creditedNumber, creditEntry.profileId);
+    if (!original || isCreditEntry(original)) return;
+    applyCredits(original, await getHistory());
+    await writeHistoryRecord(original);
+}
+
+/**
+ * Check whether a date lies before the start of a reference day
+ * @param {string} dateValue - YYYY-MM-DD date
+ * @param {Date} today - Reference date
+ * @returns {boolean} True when the date is valid and already past
+ */
+function isPastDate(dateValue, today) {
+    if (!dateValue) return false;
+    const date = parseDate(dateValue);
+    if (Number.isNaN(date.getTime())) return false;
+    return date < new Date(today.getFullYear(), today.getMonth(), today.getDate());
+}
+
+/**
+ * Get the status to display for an entry
+ * Sent and partially paid invoices past their due date show as overdue, unless
+ * credit notes have cleared the balance. Sent quotes past their validity date
+ * show as expired.
+ * @param {Object} entry - History entry
+ * @param {Date} today - Reference date, defaults to now
+ * @returns {string} Status key, including the derived 'overdue' and 'expired'
+ */
+export function getEntryStatus(entry, today = new Date()) {
+    const labels = getStatusLabels(entry);
+    const status = labels[entry?.status] ? entry.status : 'draft';
+
+    if (getEntryType(entry) === 'quote') {
+        return status === 'sent' && isPastDate(entry.data?.invoice?.validUntil, today) ? 'expired' : status;
     }
+
+    if (status !== 'sent' && status !== 'partial') return status;
+    if (entry.credited > 0 && entry.balanceDue <= 0) return status;
+    return isPastDate(entry.dueDate ?? entry.data?.invoice?.dueDate, today) ? 'overdue' : status;
+}
+
+/**
+ * Get all history entries
+ * @returns {Promise<Array>} History entries, newest first
+ */
+export function getHistory() {
+    return readHistoryRecords();
 }
 
 /**
  * Save invoice data to history
+ * There is no cap on the number of entries. Credit notes are stored with a negative
+ * total and reduce the balance of the invoice they were issued against.
  * @param {Object} data - Invoice data to save
+ * @returns {Promise<boolean>} True if saved
  */
-export function saveToHistory(data) {
-    const history = getHistory();
+export async function saveToHistory(data) {
+    const number = data.invoice?.number || '';
+
+    // The same number under the same seller profile replaces the earlier entry
+    const profileId = String(data.settings?.profileId || '');
+    const existing = await findHistoryEntryByNumber(number, profileId);
+
     const entry = {
-        id: Date.now(),
+        id: existing ? existing.id : Date.now(),
         date: data.invoice?.date || new Date().toISOString().split('T')[0],
-        number: data.invoice?.number || '',
+        dueDate: data.invoice?.dueDate || '',
+        number,
         customerName: data.billTo?.name || '',
         total: data.totals?.total || 0,
+        balanceDue: data.totals?.balanceDue ?? data.totals?.total ?? 0,
         currency: data.settings?.currency || 'INR',
+        profileId,
+        ...deriveStatus(data, existing),
         data: data
     };
 
-    // Check for duplicate invoice number
-    const existingIndex = history.findIndex(h => entry.number && h.number === entry.number);
-    if (existingIndex >= 0) {
-        history[existingIndex] = entry;
-    } else {
-        history.unshift(entry);
+    entry.type = getDocumentType(data);
+    if (isCreditNote(data)) {
+        entry.creditedNumber = data.invoice.creditedInvoice?.number || '';
+        entry.total = -entry.total;
+        entry.balanceDue = 0;
+        const saved = await writeHistoryRecord(entry);
+        await refreshCreditedInvoice(entry);
+        return saved;
     }
 
-    // Keep only last 50 entries
-    const trimmed = history.slice(0, 50);
+    applyCredits(entry, await getHistory());
+    return writeHistoryRecord(entry);
+}
 
-    try {
-        localStorage.setItem(HISTORY_KEY, JSON.stringify(trimmed));
-    } catch (e) {
-        console.warn('Failed to save history:', e);
-    }
+/**
+ * Record the invoice a quote was converted to
+ * @param {number} id - Quote entry ID
+ * @param {string} number - Number of the invoice it became
+ * @returns {Promise<boolean>} True if the entry was updated
+ */
+export async function markQuoteConverted(id, number) {
+    const entry = await readHistoryRecord(id);
+    if (!entry) return false;
+    entry.convertedNumber = number;
+    return writeHistoryRecord(entry);
+}
+
+/**
+ * Change the status of a history entry without loading it
+ * @param {number} id - Entry ID
+ * @param {string} status - New status key
+ * @returns {Promise<boolean>} True if the entry was updated
+ */
+export async function updateHistoryStatus(id, status) {
+    const entry = await readHistoryRecord(id);
+    if (!entry || !getStatusLabels(entry)[status]) return false;
+    entry.status = status;
+    entry.statusSource = 'manual';
+    const saved = await writeHistoryRecord(entry);
+    // Voiding a credit note gives the original invoice its balance back
+    if (isCreditEntry(entry)) await refreshCreditedInvoice(entry);
+    return saved;
 }
 
 /**
  * Delete a history entry by ID
  * @param {number} id - Entry ID to delete
+ * @returns {Promise<boolean>} True if deleted
  */
-export function deleteFromHistory(id) {
-    const history = getHistory().filter(h => h.id !== id);
-    try {
-        localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
-    } catch (e) {
-        console.warn('Failed to delete from history:', e);
-    }
+export async function deleteFromHistory(id) {
+    const entry = await readHistoryRecord(id);
+    const deleted = await deleteHistoryRecord(id);
+    if (deleted && isCreditEntry(entry)) await refreshCreditedInvoice(entry);
+    return deleted;
 }
 
 /**
- * Clear all history entries
+ * Clear all history entries after confirmation
+ * @returns {Promise<boolean>} True if cleared
  */
-export function clearHistory() {
-    if (!confirm('Clear all invoice history? This cannot be undone.')) return;
-    localStorage.removeItem(HISTORY_KEY);
+export async function clearHistory() {
+    if (!confirm('Clear all invoice history? This cannot be undone.')) return false;
+    return clearHistoryRecords();
 }
 
 /**
  * Get a history entry by ID
  * @param {number} id - Entry ID
- * @returns {Object|null} History entry or null
+ * @returns {Promise<Object|null>} History entry or null
  */
 export function getHistoryEntry(id) {
-    const history = getHistory();
-    return history.find(h => h.id === id) || null;
+    return readHistoryRecord(id);
+}
+
+/**
+ * Find the history entry that uses an invoice number
+ * Numbers only clash within the same seller profile.
+ * @param {string} number - Invoice number
+ * @param {string} profileId - Seller profile ID, '' for none
+ * @returns {Promise<Object|null>} History entry or null
+ */
+export async function findHistoryEntryByNumber(number, profileId = '') {
+    if (!number) return null;
+    const history = await getHistory();
+    return history.find(h => h.number === number && String(h.profileId || '') === String(profileId || '')) || null;
 }
 
 /**
- * Render the history list in the UI
- * @param {Function} onLoad - Callback when an entry is loaded
- * @param {Function} onDelete - Callback when an entry is deleted
+ * Check whether an entry matches every word of a search query
+ * Searches the invoice number, the number a credit note credits, customer name,
+ * item descriptions and notes.
+ * @param {Object} entry - History entry
+ * @param {string} query - Search text
+ * @returns {boolean} True if all words are found
  */
-export function renderHistoryList() {
+function matchesSearch(entry, query) {
+    const words = String(query || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return true;
+
+    const text = [
+        entry.number,
+        entry.creditedNumber,
+        entry.customerName,
+        ...(entry.data?.items || []).map((item) => item?.description),
+        entry.data?.invoice?.notes
+    ].filter(Boolean).join('\n').toLowerCase();
+    return words.every((word) => text.includes(word));
+}
+
+/**
+ * Filter history entries
+ * @param {Array} history - History entries
+ * @param {Object} filters - query, type, dateFrom, dateTo, currency, status, amountMin and amountMax;
+ *   blank or null values are ignored
+ * @param {Date} today - Reference date for overdue statuses, defaults to now
+ * @returns {Array} Matching entries
+ */
+export function filterHistory(history, filters = {}, today = new Date()) {
+    const { query, type, dateFrom, dateTo, currency, status, amountMin, amountMax } = filters;
+    return history.filter((entry) => {
+        if (!matchesSearch(entry, query)) return false;
+        if (type && getEntryType(entry) !== type) return false;
+        if (dateFrom && String(entry.date || '') < dateFrom) return false;
+        if (dateTo && String(entry.date || '') > dateTo) return false;
+        if (currency && entry.currency !== currency) return false;
+        if (status && getEntryStatus(entry, today) !== status) return false;
+        const total = entry.total || 0;
+        if (amountMin !== null && amountMin !== undefined && total < amountMin) return false;
+        if (amountMax !== null && amountMax !== undefined && total > amountMax) return false;
+        return true;
+    });
+}
+
+/**
+ * Sort history entries
+ * @param {Array} history - History entries
+ * @param {string} sort - Sort key and direction, e.g. 'date-desc' or 'customer-asc'
+ * @returns {Array} Sorted copy
+ */
+export function sortHistory(history, sort = 'date-desc') {
+    const [key, direction] = String(sort).split('-');
+    const compare = HISTORY_SORTERS[key] || HISTORY_SORTERS.date;
+    const sign = direction === 'asc' ? 1 : -1;
+    return history.slice().sort((a, b) => sign * compare(a, b));
+}
+
+/**
+ * Parse an optional amount filter, keeping blanks as null
+ * @param {string} value - Raw input value
+ * @returns {number|null} Amount, or null when blank or invalid
+ */
+function parseAmountFilter(value) {
+    if (String(value || '').trim() === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Read the history panel's search and filter controls
+ * @returns {Object} Filters for filterHistory
+ */
+function getHistoryFilters() {
+    return {
+        query: getValue('historySearch'),
+        type: getValue('historyType'),
+        dateFrom: getValue('historyDateFrom'),
+        dateTo: getValue('historyDateTo'),
+        currency: getValue('historyCurrency'),
+        status: getValue('historyStatus'),
+        amountMin: parseAmountFilter(getValue('historyAmountMin')),
+        amountMax: parseAmountFilter(getValue('historyAmountMax'))
+    };
+}
+
+/**
+ * Offer the currencies used in history in the currency filter
+ * @param {Array} history - All history entries
+ */
+function renderCurrencyFilterOptions(history) {
+    const select = document.getElementById('historyCurrency');
+    if (!select) return;
+
+    const selected = select.value;
+    const currencies = [...new Set(history.map((entry) => entry.currency).filter(Boolean))].sort();
+    if (selected && !currencies.includes(selected)) currencies.push(selected);
+
+    select.innerHTML = '';
+    const all = document.createElement('option');
+    all.value = '';
+    all.textContent = 'All';
+    select.appendChild(all);
+    currencies.forEach((currency) => {
+        const option = document.createElement('option');
+        option.value = currency;
+        option.textContent = currency;
+        select.appendChild(option);
+    });
+    select.value = selected;
+}
+
+/**
+ * Get the history entries shown in the panel, with its search, filters and sort order applied
+ * @param {Array} history - All history entries
+ * @returns {Array} Visible entries
+ */
+function applyHistoryView(history) {
+    return sortHistory(filterHistory(history, getHistoryFilters()), getValue('historySort'));
+}
+
+/**
+ * Get the history entries currently shown in the panel
+ * @returns {Promise<Array>} Visible entries in display order
+ */
+export async function getVisibleHistory() {
+    return applyHistoryView(await getHistory());
+}
+
+/**
+ * Render the history list in the UI, applying the panel's search, filters and sort order
+ */
+export async function renderHistoryList() {
     const list = document.getElementById('historyList');
     if (!list) return;
 
-    const history = getHistory();
+    const history = await getHistory();
+    renderCurrencyFilterOptions(history);
+    const visible = applyHistoryView(history);
     list.innerHTML = '';
 
-    if (history.length === 0) {
+    const filters = document.getElementById('historyFilters');
+    if (filters) filters.hidden = history.length === 0;
+    const count = document.getElementById('historyCount');
+    if (count) {
+        count.textContent = visible.length === history.length
+            ? `${history.length} invoice${history.length === 1 ? '' : 's'}`
+            : `Showing ${visible.length} of ${history.length} invoices`;
+    }
+
+    if (visible.length === 0) {
         const empty = document.createElement('p');
         empty.className = 'history-empty';
-        empty.textContent = 'No saved invoices yet…';
+        empty.textContent = history.length === 0
+            ? 'No saved invoices yet…'
+            : 'No invoices match your search.';
         list.appendChild(empty);
         return;
     }
 
-    history.forEach((entry) => {
+    visible.forEach((entry) => {
         const item = document.createElement('div');
         item.className = 'history-item';
         item.dataset.id = entry.id;
         item.setAttribute('role', 'button');
         item.setAttribute('tabindex', '0');
-        item.setAttribute('aria-label', `Load invoice #${entry.number} for ${entry.customerName || 'Unknown'}`);
+        const type = getEntryType(entry);
+        const documentLabel = getDocumentLabel(type).toLowerCase();
+        item.setAttribute('aria-label', `Load ${documentLabel} #${entry.number} for ${entry.customerName || 'Unknown'}`);
 
         const info = document.createElement('div');
         info.className = 'history-item-info';
@@ -123,24 +513,102 @@ export function renderHistoryList() {
 
         const meta = document.createElement('div');
         meta.className = 'history-item-meta';
-        meta.textContent = `${formatDate(entry.date)} · ${formatCurrency(entry.total, entry.currency)}`;
+        const locale = entry.data?.settings?.locale;
+        const dateFormat = entry.data?.settings?.dateFormat;
+        const profile = getProfile(entry.profileId);
+        const validUntil = type === 'quote' ? entry.data?.invoice?.validUntil : '';
+        meta.textContent = [
+            formatDate(entry.date, locale, dateFormat),
+            formatCurrency(entry.total, entry.currency, locale),
+            validUntil ? `Valid until ${formatDate(validUntil, locale, dateFormat)}` : '',
+            entry.convertedNumber ? `Invoiced as #${entry.convertedNumber}` : '',
+            type === 'credit' && entry.creditedNumber ? `Credits #${entry.creditedNumber}` : '',
+            entry.credited > 0 ? `Credited ${formatCurrency(entry.credited, entry.currency, locale)}` : '',
+            profile ? profile.label : ''
+        ].filter(Boolean).join(' · ');
+
+        if (type !== 'invoice') {
+            const typeBadge = document.createElement('span');
+            typeBadge.className = `status-badge type-${type}`;
+            typeBadge.textContent = getDocumentLabel(type);
+            title.appendChild(typeBadge);
+        }
+
+        const statusKey = getEntryStatus(entry);
+        const badge = document.createElement('span');
+        badge.className = `status-badge status-${statusKey}`;
+        badge.textContent = getStatusLabel(statusKey);
+        title.appendChild(badge);
 
         info.appendChild(title);
         info.appendChild(meta);
 
+        const statusSelect = document.createElement('select');
+        statusSelect.className = 'history-item-status';
+        statusSelect.dataset.id = entry.id;
+        statusSelect.setAttribute('aria-label', `Status of ${documentLabel} #${entry.number}`);
+        const statusLabels = getStatusLabels(entry);
+        Object.entries(statusLabels).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            statusSelect.appendChild(option);
+        });
+        statusSelect.value = statusLabels[entry.status] ? entry.status : 'draft';
+
+        const repeatBtn = document.createElement('button');
+        repeatBtn.type = 'button';
+        repeatBtn.className = 'history-item-repeat';
+        repeatBtn.dataset.id = entry.id;
+        repeatBtn.setAttribute('aria-label', `Repeat invoice #${entry.number} on a schedule`);
+        repeatBtn.title = 'Repeat on a schedule';
+        repeatBtn.textContent = '↻';
+
+        const creditBtn = document.createElement('button');
+        creditBtn.type = 'button';
+        creditBtn.className = 'history-item-credit';
+        creditBtn.dataset.id = entry.id;
+        creditBtn.setAttribute('aria-label', `Create credit note for invoice #${entry.number}`);
+        creditBtn.title = 'Create credit note';
+        creditBtn.textContent = 'CN';
+
+        const convertBtn = document.createElement('button');
+        convertBtn.type = 'button';
+        convertBtn.className = 'history-item-convert';
+        convertBtn.dataset.id = entry.id;
+        convertBtn.setAttribute('aria-label', `Convert quote #${entry.number} to an invoice`);
+        convertBtn.title = 'Convert to invoice';
+        convertBtn.textContent = '→ Invoice';
+
         const deleteBtn = document.createElement('button');
         deleteBtn.type = 'button';
         deleteBtn.className = 'history-item-delete';
         deleteBtn.dataset.id = entry.id;
-        deleteBtn.setAttribute('aria-label', `Delete invoice #${entry.number}`);
+        deleteBtn.setAttribute('aria-label', `Delete ${documentLabel} #${entry.number}`);
         deleteBtn.textContent = '×';
 
         item.appendChild(info);
+        item.appendChild(statusSelect);
+        if (type === 'invoice') {
+            item.appendChild(creditBtn);
+            item.appendChild(repeatBtn);
+        } else if (type === 'quote' && entry.status === 'accepted' && !entry.convertedNumber) {
+            item.appendChild(convertBtn);
+        }
         item.appendChild(deleteBtn);
         list.appendChild(item);
     });
 }
 
+/**
+ * Check if the history panel is open
+ * @returns {boolean} True if the panel is shown
+ */
+export function isHistoryPanelOpen() {
+    const panel = document.getElementById('historyPanel');
+    return Boolean(panel) && panel.style.display === 'block';
+}
+
 /**
  * Toggle history panel visibility
  * @param {boolean} show - Optional explicit show/hide
@@ -160,4 +628,4 @@ export function toggleHistoryPanel(show) {
     }
 }
 
-export { HISTORY_KEY };
+export { STATUS_LABELS, QUOTE_STATUS_LABELS };
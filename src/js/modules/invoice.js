@@ -5,6 +5,13 @@
 
 import { setText, setEmailLink, setPhoneLink } from './dom.js';
 import { formatCurrency, formatDate } from './formatters.js';
+import { getTaxedGroups, getTaxRows, getDiscountLabel } from './calculations.js';
+import { formatStateName, getGstTaxRows, resolvePlaceOfSupply } from './gst.js';
+import { resolveTheme, applyThemeToPreview } from './templates.js';
+import { getLogo, normalizeLogoOptions } from './logo.js';
+import { getPaymentQr } from './payment-qr.js';
+import { isCreditNote, formatCreditReference } from './credit-notes.js';
+import { getDocumentType, getDocumentLabel } from './document-types.js';
 
 /**
  * Check if invoice preview is currently visible
@@ -22,44 +29,98 @@ export function isInvoiceVisible() {
 export function renderInvoice(data) {
     const { settings, seller, billTo, invoice, items, totals } = data;
 
+    // Same template and theme as the PDF
+    applyThemeToPreview(document.getElementById('invoice'), resolveTheme(settings));
+
+    renderLogo(settings);
+
     setText('displaySellerName', seller.name);
     setText('displaySellerAddress', seller.address || '');
     setEmailLink('displaySellerEmail', seller.email);
     setPhoneLink('displaySellerPhone', seller.phone);
 
+    const gstMode = Boolean(settings.gstMode && totals.gst);
+    setText('displaySellerGstin', gstMode && seller.gstin ? `GSTIN: ${seller.gstin}` : '');
+
     setText('displayInvoiceTitle', invoice.title || 'INVOICE');
 
     setText('displayBillToName', billTo.name);
     setText('displayBillToAddress', billTo.address || '');
     setEmailLink('displayBillToEmail', billTo.email);
     setPhoneLink('displayBillToPhone', billTo.phone);
+    setText('displayBillToGstin', gstMode && billTo.gstin ? `GSTIN: ${billTo.gstin}` : '');
 
-    setText('displayInvoiceDate', formatDate(invoice.date));
+    const documentLabel = getDocumentLabel(getDocumentType(data));
+    setText('displayDateLabel', `${documentLabel} Date:`);
+    setText('displayInvoiceDate', formatDate(invoice.date, settings.locale, settings.dateFormat));
 
     // Conditionally show/hide due date row
     const dueDateRow = document.getElementById('dueDateRow');
     if (dueDateRow) {
         if (invoice.dueDate) {
             dueDateRow.style.display = '';
-            setText('displayInvoiceDueDate', formatDate(invoice.dueDate));
+            setText('displayInvoiceDueDate', formatDate(invoice.dueDate, settings.locale, settings.dateFormat));
         } else {
             dueDateRow.style.display = 'none';
         }
     }
 
+    const validUntilRow = document.getElementById('validUntilRow');
+    if (validUntilRow) {
+        validUntilRow.style.display = invoice.validUntil ? '' : 'none';
+        setText('displayValidUntil', invoice.validUntil
+            ? formatDate(invoice.validUntil, settings.locale, settings.dateFormat)
+            : '');
+    }
+
+    setText('displayNumberLabel', `${documentLabel} Number:`);
     setText('displayInvoiceNumber', invoice.number);
 
+    const creditedInvoiceRow = document.getElementById('creditedInvoiceRow');
+    if (creditedInvoiceRow) {
+        const reference = formatCreditReference(data);
+        creditedInvoiceRow.style.display = reference ? '' : 'none';
+        setText('displayCreditedInvoice', reference);
+    }
+
+    const placeOfSupplyRow = document.getElementById('placeOfSupplyRow');
+    if (placeOfSupplyRow) {
+        const placeOfSupply = gstMode ? resolvePlaceOfSupply(data) : '';
+        placeOfSupplyRow.style.display = placeOfSupply ? '' : 'none';
+        setText('displayPlaceOfSupply', formatStateName(placeOfSupply));
+    }
+
+    const hsnColumnHeader = document.getElementById('hsnColumnHeader');
+    if (hsnColumnHeader) {
+        hsnColumnHeader.style.display = gstMode ? '' : 'none';
+    }
+
+    // Tax column only appears when some line actually carries tax
+    const taxedGroups = getTaxedGroups(totals);
+    const showTaxColumn = taxedGroups.length > 0;
+    const taxColumnHeader = document.getElementById('taxColumnHeader');
+    if (taxColumnHeader) {
+        taxColumnHeader.style.display = showTaxColumn ? '' : 'none';
+    }
+
+    // Discount column only appears when some line has its own discount
+    const showDiscountColumn = totals.lineDiscount > 0;
+    const discountColumnHeader = document.getElementById('discountColumnHeader');
+    if (discountColumnHeader) {
+        discountColumnHeader.style.display = showDiscountColumn ? '' : 'none';
+    }
+
     const itemsBody = document.getElementById('displayItemsBody');
     if (itemsBody) {
         itemsBody.innerHTML = '';
-        items.forEach((item) => {
+        items.forEach((item, index) => {
             const row = document.createElement('tr');
 
             const descTd = document.createElement('td');
             descTd.textContent = item.description || '';
 
             const qtyTd = document.createElement('td');
-            qtyTd.textContent = item.quantity || 0;
+            qtyTd.textContent = item.unit ? `${item.quantity || 0} ${item.unit}` : item.quantity || 0;
 
             const priceTd = document.createElement('td');
             priceTd.textContent = formatCurrency(item.unitPrice || 0, settings.currency, settings.locale);
@@ -68,8 +129,36 @@ export function renderInvoice(data) {
             totalTd.textContent = formatCurrency(item.total || 0, settings.currency, settings.locale);
 
             row.appendChild(descTd);
+            if (gstMode) {
+                const hsnTd = document.createElement('td');
+                hsnTd.textContent = item.hsn || '';
+                row.appendChild(hsnTd);
+            }
             row.appendChild(qtyTd);
             row.appendChild(priceTd);
+            const line = totals.lines?.[index] || { discountAmount: 0, taxRate: 0, taxAmount: 0 };
+            if (showDiscountColumn) {
+                const discountTd = document.createElement('td');
+                discountTd.className = 'amount-cell';
+                discountTd.textContent = line.discountAmount > 0
+                    ? `-${formatCurrency(line.discountAmount, settings.currency, settings.locale)}`
+                    : '';
+                if (item.discount?.type === 'percent') {
+                    const percentEl = document.createElement('small');
+                    percentEl.textContent = `${item.discount.value}%`;
+                    discountTd.appendChild(percentEl);
+                }
+                row.appendChild(discountTd);
+            }
+            if (showTaxColumn) {
+                const taxTd = document.createElement('td');
+                taxTd.className = 'amount-cell';
+                taxTd.textContent = formatCurrency(line.taxAmount, settings.currency, settings.locale);
+                const rateEl = document.createElement('small');
+                rateEl.textContent = `${line.taxRate}%`;
+                taxTd.appendChild(rateEl);
+                row.appendChild(taxTd);
+            }
             row.appendChild(totalTd);
 
             itemsBody.appendChild(row);
@@ -77,7 +166,7 @@ export function renderInvoice(data) {
     }
 
     // Handle totals breakdown visibility (match PDF logic)
-    const hasAdjustments = totals.taxAmount > 0 || totals.discount > 0;
+    const hasAdjustments = totals.taxAmount > 0 || totals.discount > 0 || totals.charges > 0;
 
     // Subtotal row - only show when there are adjustments
     const subtotalRow = document.getElementById('subtotalRow');
@@ -90,35 +179,206 @@ export function renderInvoice(data) {
         }
     }
 
+    // One row per additional charge
+    const chargeRows = document.getElementById('chargeRows');
+    if (chargeRows) {
+        chargeRows.innerHTML = '';
+        (totals.chargeLines || []).forEach((charge) => {
+            const amount = formatCurrency(charge.amount, settings.currency, settings.locale);
+            chargeRows.appendChild(createTotalsRow(charge.name || 'Charge', amount));
+        });
+    }
+
+    // Per-rate (or per GST component) tax rows, only needed when there is more than one
+    const taxRows = gstMode ? getGstTaxRows(totals) : getTaxRows(totals);
+    const taxBreakdownRows = document.getElementById('taxBreakdownRows');
+    if (taxBreakdownRows) {
+        taxBreakdownRows.innerHTML = '';
+        if (taxRows.length > 1) {
+            taxRows.forEach((taxRow) => {
+                const amount = formatCurrency(taxRow.amount, settings.currency, settings.locale);
+                taxBreakdownRows.appendChild(createTotalsRow(taxRow.label, amount));
+            });
+        }
+    }
+
     // Conditionally show/hide tax row
     const taxRow = document.getElementById('taxRow');
     if (taxRow) {
         if (totals.taxAmount > 0) {
             taxRow.style.display = '';
+            const taxLabel = taxRows.length === 1 ? taxRows[0].label : 'Total Tax';
+            setText('displayTaxLabel', taxLabel);
             setText('displayTaxAmount', formatCurrency(totals.taxAmount, settings.currency, settings.locale));
         } else {
             taxRow.style.display = 'none';
         }
     }
 
-    // Conditionally show/hide discount row
+    // Conditionally show/hide discount row, placed before or after tax to match how it was applied
     const discountRow = document.getElementById('discountRow');
     if (discountRow) {
         if (totals.discount > 0) {
             discountRow.style.display = '';
-            setText('displayDiscount', formatCurrency(totals.discount, settings.currency, settings.locale));
+            setText('displayDiscountLabel', getDiscountLabel(totals));
+            setText('displayDiscount', `-${formatCurrency(totals.discount, settings.currency, settings.locale)}`);
+            const anchor = totals.discountApplication === 'beforeTax'
+                ? chargeRows
+                : document.getElementById('invoiceTotalRow');
+            if (discountRow.parentNode && anchor) {
+                discountRow.parentNode.insertBefore(discountRow, anchor);
+            } else if (discountRow.parentNode) {
+                discountRow.parentNode.appendChild(discountRow);
+            }
         } else {
             discountRow.style.display = 'none';
         }
     }
 
+    renderGstSummary(gstMode ? totals.gst : null, settings);
+
+    // Once payments are recorded, the total moves into the breakdown and the balance becomes the headline
+    const hasPayments = totals.amountPaid > 0;
+    const invoiceTotalRow = document.getElementById('invoiceTotalRow');
+    if (invoiceTotalRow) {
+        invoiceTotalRow.style.display = hasPayments ? '' : 'none';
+        setText('displayTotal', formatCurrency(totals.total, settings.currency, settings.locale));
+    }
+    const amountPaidRow = document.getElementById('amountPaidRow');
+    if (amountPaidRow) {
+        amountPaidRow.style.display = hasPayments ? '' : 'none';
+        setText('displayAmountPaid', `-${formatCurrency(totals.amountPaid, settings.currency, settings.locale)}`);
+    }
+    setText('displayBalanceLabel', hasPayments ? 'Balance Due' : (isCreditNote(data) ? 'Total Credit' : 'Total'));
     setText('displayBalanceDue', formatCurrency(totals.balanceDue, settings.currency, settings.locale));
 
     setText('displayNotesHeading', invoice.notes || 'Thank you for your business');
     setText('displayInstructions', invoice.instructions || '');
+    renderPaymentQr(data);
 
     document.getElementById('invoicePlaceholder').style.display = 'none';
     document.getElementById('invoice').style.display = 'block';
     document.getElementById('downloadBtn').style.display = 'inline-block';
     document.getElementById('shareBtn').style.display = 'inline-block';
 }
+
+/**
+ * Show the scan-to-pay QR code beside the footer instructions
+ * @param {Object} data - Invoice data
+ */
+function renderPaymentQr(data) {
+    const figure = document.getElementById('paymentQr');
+    if (!figure) return;
+    const qr = getPaymentQr(data);
+    figure.style.display = qr ? '' : 'none';
+    figure.parentElement.classList.toggle('has-payment-qr', Boolean(qr));
+    // The SVG is generated locally from module data only, never from user markup
+    document.getElementById('paymentQrCode').innerHTML = qr ? qr.svg : '';
+    setText('paymentQrCaption', qr ? qr.caption : '');
+    setText('paymentQrDetail', qr ? qr.detail : '');
+}
+
+/**
+ * Place the stored logo in the seller header
+ * Left sits above the seller details, right above the invoice title, center above both
+ * @param {Object} settings - Settings with logo { position, maxSize }
+ */
+function renderLogo(settings) {
+    const logoEl = document.getElementById('displayLogo');
+    if (!logoEl) return;
+
+    const logo = getLogo();
+    if (!logo) {
+        logoEl.style.display = 'none';
+        logoEl.removeAttribute('src');
+        return;
+    }
+
+    const { position, maxSize } = normalizeLogoOptions(settings.logo);
+    const header = document.querySelector('#invoice .invoice-header');
+    const containers = {
+        left: document.querySelector('#invoice .business-info'),
+        right: document.querySelector('#invoice .invoice-title')
+    };
+    if (position === 'center' && header) {
+        header.parentNode.insertBefore(logoEl, header);
+    } else if (containers[position]) {
+        containers[position].insertBefore(logoEl, containers[position].firstChild);
+    }
+
+    logoEl.src = logo;
+    logoEl.className = `invoice-logo logo-${position}`;
+    logoEl.style.maxWidth = `${maxSize}px`;
+    logoEl.style.maxHeight = `${maxSize}px`;
+    logoEl.style.display = 'block';
+}
+
+/**
+ * Create a label/amount row for the totals breakdown
+ * @param {string} labelText - Row label
+ * @param {string} amountText - Formatted amount
+ * @returns {HTMLElement} Paragraph element
+ */
+function createTotalsRow(labelText, amountText) {
+    const p = document.createElement('p');
+    const label = document.createElement('span');
+    label.className = 'totals-label';
+    label.textContent = labelText;
+    const amount = document.createElement('span');
+    amount.textContent = amountText;
+    p.appendChild(label);
+    p.appendChild(document.createTextNode(' '));
+    p.appendChild(amount);
+    return p;
+}
+
+/**
+ * Render the statutory GST tax breakup table
+ * @param {Object|null} gst - GST breakup from calculateGstBreakup, or null to hide
+ * @param {Object} settings - Settings with currency and locale
+ */
+function renderGstSummary(gst, settings) {
+    const section = document.getElementById('gstSummary');
+    const head = document.getElementById('gstSummaryHead');
+    const body = document.getElementById('gstSummaryBody');
+    if (!section || !head || !body) return;
+
+    head.innerHTML = '';
+    body.innerHTML = '';
+    if (!gst || gst.taxAmount <= 0) {
+        section.style.display = 'none';
+        return;
+    }
+
+    const fmt = (amount) => formatCurrency(amount, settings.currency, settings.locale);
+    const intraState = gst.supplyType === 'intra';
+    const headings = intraState
+        ? ['HSN/SAC', 'TAXABLE VALUE', 'CGST RATE', 'CGST AMOUNT', 'SGST RATE', 'SGST AMOUNT', 'TOTAL TAX']
+        : ['HSN/SAC', 'TAXABLE VALUE', 'IGST RATE', 'IGST AMOUNT', 'TOTAL TAX'];
+
+    const appendRow = (parent, cells, tag, className) => {
+        const row = document.createElement('tr');
+        if (className) row.className = className;
+        cells.forEach((value) => {
+            const cell = document.createElement(tag);
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        parent.appendChild(row);
+    };
+
+    appendRow(head, headings, 'th');
+    gst.rows.forEach((row) => {
+        const cells = intraState
+            ? [row.hsn || '-', fmt(row.taxableAmount), `${row.cgstRate}%`, fmt(row.cgst), `${row.sgstRate}%`, fmt(row.sgst), fmt(row.taxAmount)]
+            : [row.hsn || '-', fmt(row.taxableAmount), `${row.igstRate}%`, fmt(row.igst), fmt(row.taxAmount)];
+        appendRow(body, cells, 'td');
+    });
+
+    const totalCells = intraState
+        ? ['Total', fmt(gst.taxableAmount), '', fmt(gst.cgst), '', fmt(gst.sgst), fmt(gst.taxAmount)]
+        : ['Total', fmt(gst.taxableAmount), '', fmt(gst.igst), fmt(gst.taxAmount)];
+    appendRow(body, totalCells, 'td', 'gst-total');
+
+    section.style.display = 'block';
+}
@@ -5,6 +5,32 @@
 
 import { getValue } from './dom.js';
 import { parseNumber, formatCurrency } from './formatters.js';
+import { calculateLineAmounts } from './calculations.js';
+import { getCurrencyStep } from './currency.js';
+
+/**
+ * Parse a line discount input such as "10%" or "250"
+ * @param {string} raw - Raw input value
+ * @returns {Object|null} { type, value } or null when empty or zero
+ */
+function parseDiscountInput(raw) {
+    const text = String(raw ?? '').trim();
+    if (!text) return null;
+    const isPercent = text.endsWith('%');
+    const value = parseNumber(isPercent ? text.slice(0, -1) : text, 0);
+    if (value <= 0) return null;
+    return { type: isPercent ? 'percent' : 'amount', value };
+}
+
+/**
+ * Format a line discount for its input field
+ * @param {Object|null} discount - { type, value }
+ * @returns {string} Input value such as "10%" or "250"
+ */
+function formatDiscountInput(discount) {
+    if (!discount || !(discount.value > 0)) return '';
+    return discount.type === 'percent' ? `${discount.value}%` : String(discount.value);
+}
 
 /**
  * Ensure at least one item row exists
@@ -22,7 +48,7 @@ export function ensureAtLeastOneItemRow(addItemRowFn) {
 
 /**
  * Add an item row to the form
- * @param {Object} item - Item data (description, quantity, unitPrice)
+ * @param {Object} item - Item data (description, hsn, quantity, unitPrice, unit, discount, taxRate)
  */
 export function addItemRow(item = {}) {
     const container = document.getElementById('itemsContainer');
@@ -30,13 +56,25 @@ export function addItemRow(item = {}) {
 
     const row = document.createElement('div');
     row.className = 'item-row';
+    // Unit of measure comes from the catalog and is shown next to the quantity on the invoice
+    row.dataset.unit = item.unit ?? '';
 
     const descInput = document.createElement('input');
     descInput.type = 'text';
     descInput.className = 'item-description';
     descInput.placeholder = 'Description';
+    descInput.setAttribute('list', 'catalogOptions');
     descInput.value = item.description ?? '';
 
+    // Only shown in GST mode
+    const hsnInput = document.createElement('input');
+    hsnInput.type = 'text';
+    hsnInput.className = 'item-hsn gst-field';
+    hsnInput.placeholder = 'HSN/SAC';
+    hsnInput.inputMode = 'numeric';
+    hsnInput.setAttribute('aria-label', 'HSN/SAC code');
+    hsnInput.value = item.hsn ?? '';
+
     const qtyInput = document.createElement('input');
     qtyInput.type = 'number';
     qtyInput.className = 'item-quantity';
@@ -44,18 +82,41 @@ export function addItemRow(item = {}) {
     qtyInput.step = '1';
     qtyInput.value = item.quantity ?? 1;
 
+    const currentCurrency = getValue('currencyCode', 'INR');
     const priceInput = document.createElement('input');
     priceInput.type = 'number';
     priceInput.className = 'item-unit-price';
     priceInput.min = '0';
-    priceInput.step = '0.01';
+    priceInput.step = getCurrencyStep(currentCurrency);
     priceInput.value = item.unitPrice ?? 0;
 
+    // Accepts a flat amount ("250") or a percentage ("10%")
+    const discountInput = document.createElement('input');
+    discountInput.type = 'text';
+    discountInput.className = 'item-discount';
+    discountInput.placeholder = '0';
+    discountInput.inputMode = 'decimal';
+    discountInput.setAttribute('aria-label', 'Line item discount (amount or %)');
+    discountInput.value = formatDiscountInput(item.discount);
+
+    // Left blank, the row inherits the invoice-wide tax rate
+    const taxInput = document.createElement('input');
+    taxInput.type = 'number';
+    taxInput.className = 'item-tax-rate';
+    taxInput.min = '0';
+    taxInput.step = '0.01';
+    taxInput.placeholder = getValue('taxRate', '0') || '0';
+    taxInput.setAttribute('aria-label', 'Line item tax rate (%)');
+    taxInput.value = item.taxRate ?? '';
+
     const totalSpan = document.createElement('span');
     totalSpan.className = 'item-total';
-    const currentCurrency = getValue('currencyCode', 'INR');
-    const initialTotal = (item.quantity ?? 1) * (item.unitPrice ?? 0);
-    totalSpan.textContent = formatCurrency(initialTotal, currentCurrency);
+    const initialTotal = calculateLineAmounts({
+        quantity: item.quantity ?? 1,
+        unitPrice: item.unitPrice ?? 0,
+        discount: item.discount
+    }, { currency: currentCurrency }).netAmount;
+    totalSpan.textContent = formatCurrency(initialTotal, currentCurrency, getValue('invoiceLocale', 'en-IN'));
 
     const removeBtn = document.createElement('button');
     removeBtn.type = 'button';
@@ -64,8 +125,11 @@ export function addItemRow(item = {}) {
     removeBtn.textContent = '×';
 
     row.appendChild(descInput);
+    row.appendChild(hsnInput);
     row.appendChild(qtyInput);
     row.appendChild(priceInput);
+    row.appendChild(discountInput);
+    row.appendChild(taxInput);
     row.appendChild(totalSpan);
     row.appendChild(removeBtn);
 
@@ -91,24 +155,38 @@ export function renderItemsForm(items) {
 
 /**
  * Collect items data from the form
- * @param {Object} settings - Settings with currency and locale
+ * @param {Object} settings - Settings with currency, locale and roundingMode
+ * @param {number} defaultTaxRate - Invoice-wide tax rate shown as the row placeholder
  * @returns {Array} Array of item objects with totals
  */
-export function collectItemsFromForm(settings) {
+export function collectItemsFromForm(settings, defaultTaxRate = 0) {
     const rows = Array.from(document.querySelectorAll('.item-row'));
     const items = rows.map((row) => {
         const description = row.querySelector('.item-description')?.value?.trim() ?? '';
+        const hsn = row.querySelector('.item-hsn')?.value?.trim() ?? '';
         const quantity = parseNumber(row.querySelector('.item-quantity')?.value, 0);
         const unitPrice = parseNumber(row.querySelector('.item-unit-price')?.value, 0);
-        const total = quantity * unitPrice;
+        const discount = parseDiscountInput(row.querySelector('.item-discount')?.value);
+        const taxInput = row.querySelector('.item-tax-rate');
+        const rawTaxRate = taxInput?.value?.trim() ?? '';
+        const taxRate = rawTaxRate === '' ? null : parseNumber(rawTaxRate, 0);
+        if (taxInput) {
+            taxInput.placeholder = String(defaultTaxRate);
+        }
+        const unit = row.dataset.unit ?? '';
+        const total = calculateLineAmounts({ quantity, unitPrice, discount }, settings).netAmount;
         const totalEl = row.querySelector('.item-total');
         if (totalEl) {
             totalEl.textContent = formatCurrency(total, settings.currency, settings.locale);
         }
         return {
             description,
+            hsn,
             quantity,
             unitPrice,
+            unit,
+            discount,
+            taxRate,
             total
         };
     });
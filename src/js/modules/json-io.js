@@ -6,14 +6,23 @@
 import { setValue } from './dom.js';
 import { getDataFromForm, applyDataToForm, syncFromForm } from './form.js';
 import { deepMerge } from './storage.js';
+import { getCatalog, saveCatalogEntries, renderCatalogOptions } from './catalog.js';
+
+/**
+ * Serialize form data for export, together with the saved catalog
+ * @param {Object} data - Invoice data
+ * @returns {string} Pretty-printed JSON
+ */
+function toExportJson(data) {
+    return JSON.stringify({ ...data, catalog: getCatalog() }, null, 2);
+}
 
 /**
  * Export current form data to JSON textarea
  */
 export function exportJsonToTextarea() {
     const data = syncFromForm({ render: false });
-    const json = JSON.stringify(data, null, 2);
-    setValue('jsonData', json);
+    setValue('jsonData', toExportJson(data));
 }
 
 /**
@@ -21,7 +30,7 @@ export function exportJsonToTextarea() {
  */
 export function downloadJsonFile() {
     const data = syncFromForm({ render: false });
-    const json = JSON.stringify(data, null, 2);
+    const json = toExportJson(data);
     const blob = new Blob([json], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const anchor = document.createElement('a');
@@ -48,6 +57,29 @@ export function importJsonData(rawJson, syncCallback) {
         return;
     }
 
+    // Older exports only carry a flat discount amount taken off after tax
+    const legacyTotals = parsed?.totals;
+    if (legacyTotals && legacyTotals.discount !== undefined && legacyTotals.discountValue === undefined) {
+        legacyTotals.discountValue = legacyTotals.discount;
+        legacyTotals.discountType = 'amount';
+        legacyTotals.discountApplication = 'afterTax';
+    }
+
+    // Charges and payments belong to the imported invoice, not whatever is in the form
+    if (parsed && typeof parsed === 'object') {
+        if (!Array.isArray(parsed.charges)) parsed.charges = [];
+        if (!Array.isArray(parsed.payments)) parsed.payments = [];
+    }
+
+    // Catalog entries go to the saved catalog rather than the invoice
+    if (parsed && Array.isArray(parsed.catalog)) {
+        saveCatalogEntries(parsed.catalog);
+        renderCatalogOptions();
+    }
+    if (parsed && typeof parsed === 'object') {
+        delete parsed.catalog;
+    }
+
     const base = getDataFromForm();
     const merged = deepMerge(base, parsed);
 
@@ -0,0 +1,150 @@
+/**
+ * Logo Module
+ * Business logo upload, downscaling and storage as a data URL
+ */
+
+const LOGO_KEY = 'invoice.logo';
+
+// Largest file accepted before downscaling
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+// Longest edge of the stored image, in pixels
+const MAX_DIMENSION = 600;
+// Upper bound on the stored data URL so localStorage has room for drafts and history
+const MAX_DATA_URL_LENGTH = 250 * 1024;
+
+const LOGO_POSITIONS = ['left', 'right', 'center'];
+
+/**
+ * Get the stored logo
+ * @returns {string} Data URL, or '' when no logo is set
+ */
+export function getLogo() {
+    return localStorage.getItem(LOGO_KEY) || '';
+}
+
+/**
+ * Store a logo data URL
+ * @param {string} dataUrl - PNG or JPEG data URL
+ * @returns {boolean} True if saved
+ */
+export function saveLogo(dataUrl) {
+    try {
+        localStorage.setItem(LOGO_KEY, dataUrl);
+        return true;
+    } catch (e) {
+        console.warn('Failed to save logo:', e);
+        return false;
+    }
+}
+
+/**
+ * Remove the stored logo
+ */
+export function clearLogo() {
+    localStorage.removeItem(LOGO_KEY);
+}
+
+/**
+ * Normalize logo placement options
+ * @param {Object} options - { position, maxSize }
+ * @returns {Object} { position: 'left'|'right'|'center', maxSize: 40-240 }
+ */
+export function normalizeLogoOptions(options) {
+    const rawSize = options?.maxSize;
+    const size = rawSize === '' || rawSize === null || rawSize === undefined ? NaN : Number(rawSize);
+    return {
+        position: LOGO_POSITIONS.includes(options?.position) ? options.position : 'left',
+        maxSize: Number.isFinite(size) ? Math.min(Math.max(size, 40), 240) : 120
+    };
+}
+
+/**
+ * Load an image file into an Image element
+ * @param {File} file - Image file
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+function loadImage(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not read that image. Try a PNG or JPEG file.'));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * Draw an image onto a canvas no larger than MAX_DIMENSION and encode it
+ * PNG keeps transparency; JPEG on a white background is used when PNG is too large.
+ * Both formats are supported by pdfmake.
+ * @param {HTMLImageElement} image - Loaded image
+ * @returns {string} Data URL
+ */
+function downscaleImage(image) {
+    const scale = Math.min(1, MAX_DIMENSION / Math.max(image.naturalWidth, image.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+    const context = canvas.getContext('2d');
+
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    const png = canvas.toDataURL('image/png');
+    if (png.length <= MAX_DATA_URL_LENGTH) return png;
+
+    context.globalCompositeOperation = 'destination-over';
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    const jpeg = canvas.toDataURL('image/jpeg', 0.85);
+    if (jpeg.length <= MAX_DATA_URL_LENGTH) return jpeg;
+
+    throw new Error('That logo is too detailed to store. Try a simpler or smaller image.');
+}
+
+/**
+ * Read, downscale and store a logo file
+ * @param {File} file - Image file chosen by the user
+ * @returns {Promise<string>} Stored data URL
+ */
+export async function storeLogoFile(file) {
+    if (!file || !file.type.startsWith('image/')) {
+        throw new Error('Please choose an image file.');
+    }
+    if (file.size > MAX_UPLOAD_BYTES) {
+        throw new Error('Logo images must be smaller than 5 MB.');
+    }
+
+    const image = await loadImage(file);
+    const dataUrl = downscaleImage(image);
+    if (!saveLogo(dataUrl)) {
+        throw new Error('Not enough browser storage to save the logo.');
+    }
+    return dataUrl;
+}
+
+/**
+ * Show the stored logo in the form's thumbnail
+ */
+export function renderLogoField() {
+    const logo = getLogo();
+    const preview = document.getElementById('logoPreview');
+    const removeBtn = document.getElementById('removeLogoBtn');
+    if (preview) {
+        if (logo) {
+            preview.src = logo;
+        } else {
+            preview.removeAttribute('src');
+        }
+        preview.style.display = logo ? '' : 'none';
+    }
+    if (removeBtn) {
+        removeBtn.style.display = logo ? '' : 'none';
+    }
+}
+
+export { LOGO_KEY, LOGO_POSITIONS };
@@ -0,0 +1,363 @@
+/**
+ * Numbering Module
+ * Invoice number patterns, sequence parsing and next-number suggestions
+ *
+ * Patterns combine literal text with tokens:
+ *   {PREFIX}  the configured prefix
+ *   {YYYY}    four-digit year of the invoice date
+ *   {YY}      two-digit year
+ *   {MM}      two-digit month
+ *   {FY}      fiscal year, e.g. 26-27
+ *   {CUST}    customer code derived from the Bill To name
+ *   {SEQ}     sequence number; {SEQ:3} zero-pads it to three digits
+ */
+
+import { getValue, setValue } from './dom.js';
+
+const DEFAULT_NUMBERING = {
+    pattern: '{SEQ}',
+    prefix: 'INV',
+    reset: 'never',
+    fiscalStartMonth: 4
+};
+
+const RESET_MODES = ['never', 'yearly', 'fiscal'];
+const TOKEN_PATTERN = /\{(PREFIX|YYYY|YY|MM|FY|CUST|SEQ)(?::(\d{1,2}))?\}/g;
+const YEAR_TOKEN_PATTERN = /\{(YYYY|YY|FY)\}/;
+
+/**
+ * Check whether a pattern puts the year in the number
+ * A sequence can only restart each year when the year tells its numbers apart.
+ * @param {string} pattern - Numbering pattern
+ * @returns {boolean} True if the pattern has a {YYYY}, {YY} or {FY} token
+ */
+function hasYearToken(pattern) {
+    return YEAR_TOKEN_PATTERN.test(pattern);
+}
+
+/**
+ * Normalize numbering options
+ * @param {Object} options - { pattern, prefix, reset, fiscalStartMonth }
+ * @returns {Object} Numbering options with defaults filled in
+ */
+export function normalizeNumbering(options) {
+    const text = String(options?.pattern ?? '').trim();
+    // Without a sequence token the pattern could never produce a new number
+    const pattern = text.includes('{SEQ') ? text : DEFAULT_NUMBERING.pattern;
+    const month = parseInt(options?.fiscalStartMonth, 10);
+    const reset = RESET_MODES.includes(options?.reset) ? options.reset : DEFAULT_NUMBERING.reset;
+    return {
+        pattern,
+        prefix: String(options?.prefix ?? DEFAULT_NUMBERING.prefix).trim(),
+        // Restarting without a year in the number would issue last year's numbers again
+        reset: hasYearToken(pattern) ? reset : 'never',
+        fiscalStartMonth: month >= 1 && month <= 12 ? month : DEFAULT_NUMBERING.fiscalStartMonth
+    };
+}
+
+/**
+ * Get the numbering options of a separate number series
+ * Quotes, proforma invoices and credit notes follow the invoice pattern behind their
+ * own prefix, so no two series share a number, e.g. INV-2026-7 and CN-INV-2026-1.
+ * @param {Object} numbering - Invoice numbering options
+ * @param {string} seriesPrefix - Prefix of the series, '' for invoices
+ * @returns {Object} Normalized numbering options for the series
+ */
+export function getSeriesNumbering(numbering, seriesPrefix = '') {
+    const options = normalizeNumbering(numbering);
+    return seriesPrefix ? { ...options, pattern: `${seriesPrefix}${options.pattern}` } : options;
+}
+
+/**
+ * Get the numbering options from the form
+ * @returns {Object} Normalized numbering options
+ */
+export function getNumberingFromForm() {
+    return normalizeNumbering({
+        pattern: getValue('numberPattern'),
+        prefix: getValue('numberPrefix'),
+        reset: getValue('numberReset'),
+        fiscalStartMonth: getValue('fiscalStartMonth')
+    });
+}
+
+/**
+ * Warn when the chosen sequence reset cannot apply to the pattern
+ * The numbering options then fall back to never resetting.
+ */
+export function updateNumberResetWarning() {
+    const warning = document.getElementById('numberResetWarning');
+    if (!warning) return;
+    const reset = getValue('numberReset');
+    warning.hidden = reset === 'never' || getNumberingFromForm().reset === reset;
+}
+
+/**
+ * Fill the numbering fields
+ * @param {Object} numbering - Numbering options
+ */
+export function applyNumberingToForm(numbering) {
+    const options = normalizeNumbering(numbering);
+    setValue('numberPattern', options.pattern);
+    setValue('numberPrefix', options.prefix);
+    setValue('numberReset', options.reset);
+    setValue('fiscalStartMonth', String(options.fiscalStartMonth));
+}
+
+/**
+ * Derive a short customer code from a name
+ * Initials for multi-word names, otherwise the first three letters.
+ * @param {string} name - Customer name
+ * @returns {string} Uppercase code, e.g. "Acme Traders" -> "AT"
+ */
+export function getCustomerCode(name) {
+    const words = String(name || '').toUpperCase().match(/[A-Z0-9]+/g) || [];
+    if (words.length === 0) return '';
+    if (words.length === 1) return words[0].slice(0, 3);
+    return words.slice(0, 4).map((word) => word[0]).join('');
+}
+
+/**
+ * Split a YYYY-MM-DD date into numbers, falling back to today
+ * @param {string} date - Date string
+ * @returns {Object} { year, month }
+ */
+function getDateParts(date) {
+    const match = /^(\d{4})-(\d{2})/.exec(String(date || ''));
+    if (match) return { year: Number(match[1]), month: Number(match[2]) };
+    const today = new Date();
+    return { year: today.getFullYear(), month: today.getMonth() + 1 };
+}
+
+/**
+ * Get the first calendar year of the fiscal year a date falls in
+ * @param {string} date - Date string
+ * @param {number} startMonth - Month the fiscal year starts, 1-12
+ * @returns {number} Starting year
+ */
+function getFiscalStartYear(date, startMonth) {
+    const { year, month } = getDateParts(date);
+    return month >= startMonth ? year : year - 1;
+}
+
+/**
+ * Get the period a sequence runs in, so numbers from other periods can be ignored
+ * @param {string} date - Invoice date
+ * @param {Object} numbering - Numbering options
+ * @returns {string} Period key: 'all', a year, or 'FY' plus the fiscal start year
+ */
+export function getSequencePeriod(date, numbering) {
+    const options = normalizeNumbering(numbering);
+    if (options.reset === 'yearly') return String(getDateParts(date).year);
+    if (options.reset === 'fiscal') return `FY${getFiscalStartYear(date, options.fiscalStartMonth)}`;
+    return 'all';
+}
+
+/**
+ * Resolve the value of every non-sequence token for a date and customer
+ * @param {Object} numbering - Normalized numbering options
+ * @param {Object} context - { date, customerName }
+ * @returns {Object} Token values
+ */
+function getTokenValues(numbering, context = {}) {
+    const { year, month } = getDateParts(context.date);
+    const fiscalYear = getFiscalStartYear(context.date, numbering.fiscalStartMonth);
+    const twoDigits = (value) => String(value % 100).padStart(2, '0');
+    return {
+        PREFIX: numbering.prefix,
+        YYYY: String(year),
+        YY: twoDigits(year),
+        MM: String(month).padStart(2, '0'),
+        // A fiscal year starting in January is simply the calendar year
+        FY: numbering.fiscalStartMonth === 1 ? String(fiscalYear) : `${twoDigits(fiscalYear)}-${twoDigits(fiscalYear + 1)}`,
+        CUST: getCustomerCode(context.customerName)
+    };
+}
+
+/**
+ * Format an invoice number from a pattern
+ * @param {Object} numbering - Numbering options
+ * @param {number} sequence - Sequence number (1 or more)
+ * @param {Object} context - { date, customerName }
+ * @returns {string} Invoice number
+ */
+export function formatInvoiceNumber(numbering, sequence, context = {}) {
+    const options = normalizeNumbering(numbering);
+    const values = getTokenValues(options, context);
+    return options.pattern.replace(TOKEN_PATTERN, (match, token, width) => {
+        if (token === 'SEQ') return String(sequence).padStart(Number(width) || 0, '0');
+        return values[token];
+    });
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Read the sequence number out of an invoice number
+ * Numbers that do not follow the pattern fall back to their last run of digits,
+ * so older numbers such as "INV-2026-007" still step correctly.
+ * @param {string} number - Invoice number
+ * @param {Object} numbering - Numbering options
+ * @returns {Object|null} { sequence, matchesPattern } or null when there is no number to read
+ */
+export function parseInvoiceNumber(number, numbering) {
+    const value = String(number ?? '').trim();
+    if (!value) return null;
+
+    const options = normalizeNumbering(numbering);
+    const tokenRegex = {
+        PREFIX: escapeRegExp(options.prefix),
+        YYYY: '\\d{4}',
+        YY: '\\d{2}',
+        MM: '\\d{2}',
+        FY: '\\d{2,4}(?:-\\d{2})?',
+        CUST: '[A-Z0-9]*'
+    };
+    let source = '';
+    let lastIndex = 0;
+    options.pattern.replace(TOKEN_PATTERN, (match, token, width, offset) => {
+        source += escapeRegExp(options.pattern.slice(lastIndex, offset));
+        source += token === 'SEQ' ? '(\\d+)' : tokenRegex[token];
+        lastIndex = offset + match.length;
+        return match;
+    });
+    source += escapeRegExp(options.pattern.slice(lastIndex));
+
+    const match = new RegExp(`^${source}$`, 'i').exec(value);
+    if (match) {
+        return { sequence: parseInt(match[1], 10), matchesPattern: true };
+    }
+
+    const trailing = /(\d+)(?!.*\d)/.exec(value);
+    return trailing ? { sequence: parseInt(trailing[1], 10), matchesPattern: false } : null;
+}
+
+/**
+ * Move an invoice number up or down its sequence
+ * Pattern numbers are rebuilt for the current date and customer; other numbers keep
+ * their text and only the last run of digits changes, preserving its zero padding.
+ * @param {string} number - Current invoice number
+ * @param {number} delta - Steps to move, e.g. 1 or -1
+ * @param {Object} numbering - Numbering options
+ * @param {Object} context - { date, customerName }
+ * @returns {string|null} New number, or null when the sequence would drop below 1
+ */
+export function stepInvoiceNumber(number, delta, numbering, context = {}) {
+    const parsed = parseInvoiceNumber(number, numbering);
+    if (!parsed) {
+        return delta > 0 ? formatInvoiceNumber(numbering, 1, context) : null;
+    }
+
+    const sequence = parsed.sequence + delta;
+    if (sequence < 1) return null;
+    if (parsed.matchesPattern) {
+        return formatInvoiceNumber(numbering, sequence, context);
+    }
+
+    const value = String(number).trim();
+    return value.replace(/(\d+)(?!.*\d)/, (digits) => String(sequence).padStart(digits.length, '0'));
+}
+
+/**
+ * Find the highest sequence number issued in a period
+ * @param {Object} options - Normalized numbering options
+ * @param {string} period - Period from getSequencePeriod
+ * @param {Array} issued - Issued invoices as { number, date }
+ * @returns {number} Highest sequence, or 0 when none was issued
+ */
+function getHighestSequence(options, period, issued) {
+    let highest = 0;
+    issued.forEach((entry) => {
+        if (getSequencePeriod(entry.date, options) !== period) return;
+        const parsed = parseInvoiceNumber(entry.number, options);
+        if (parsed) highest = Math.max(highest, parsed.sequence);
+    });
+    return highest;
+}
+
+/**
+ * Find the sequence numbers an invoice number skips over
+ * @param {string} number - Invoice number about to be issued
+ * @param {Object} numbering - Numbering options
+ * @param {string} date - Invoice date
+ * @param {Array} issued - Issued invoices as { number, date }
+ * @returns {Object|null} { from, to } skipped sequence range, or null when there is no gap
+ */
+export function findSequenceGap(number, numbering, date, issued = []) {
+    const options = normalizeNumbering(numbering);
+    const parsed = parseInvoiceNumber(number, options);
+    if (!parsed) return null;
+
+    const others = issued.filter((entry) => entry.number !== number);
+    const highest = getHighestSequence(options, getSequencePeriod(date, options), others);
+    // The first invoice of a period may start anywhere
+    if (highest === 0 || parsed.sequence <= highest + 1) return null;
+    return { from: highest + 1, to: parsed.sequence - 1 };
+}
+
+/**
+ * Find the first number after the given one that is not taken
+ * @param {string} number - Invoice number that is already taken
+ * @param {Object} numbering - Numbering options
+ * @param {Object} context - { date, customerName }
+ * @param {Array<string>} taken - Numbers already in use
+ * @returns {string} Free invoice number
+ */
+export function findFreeInvoiceNumber(number, numbering, context = {}, taken = []) {
+    const used = new Set(taken.map((value) => String(value).trim().toLowerCase()));
+    let candidate = String(number).trim();
+    do {
+        candidate = stepInvoiceNumber(candidate, 1, numbering, context);
+    } while (used.has(candidate.toLowerCase()));
+    return candidate;
+}
+
+/**
+ * Get the next revision of an invoice number, e.g. INV-7 -> INV-7-R2 -> INV-7-R3
+ * @param {string} number - Invoice number that is already taken
+ * @param {Array<string>} taken - Numbers already in use
+ * @returns {string} Revision number that is not taken
+ */
+export function getRevisionNumber(number, taken = []) {
+    const used = new Set(taken.map((value) => String(value).trim().toLowerCase()));
+    const base = String(number).trim().replace(/-R\d+$/i, '');
+    let revision = 2;
+    while (used.has(`${base}-R${revision}`.toLowerCase())) revision++;
+    return `${base}-R${revision}`;
+}
+
+/**
+ * Suggest the next invoice number
+ * The highest sequence already issued in the current period wins. When the sequence
+ * never resets, the last number issued is also considered, so numbering continues
+ * after history has been cleared.
+ * @param {Object} numbering - Numbering options
+ * @param {Object} context - { date, customerName }
+ * @param {Array} issued - Issued invoices as { number, date }
+ * @param {string} lastNumber - Last number issued, if known
+ * @returns {string} Suggested invoice number
+ */
+export function suggestInvoiceNumber(numbering, context = {}, issued = [], lastNumber = '') {
+    const options = normalizeNumbering(numbering);
+    let highest = getHighestSequence(options, getSequencePeriod(context.date, options), issued);
+
+    if (options.reset === 'never' && lastNumber) {
+        const parsed = parseInvoiceNumber(lastNumber, options);
+        if (parsed && !parsed.matchesPattern && parsed.sequence >= highest) {
+            // Keep the shape of numbers issued before a pattern was set up
+            return stepInvoiceNumber(lastNumber, 1, options, context);
+        }
+        if (parsed) highest = Math.max(highest, parsed.sequence);
+    }
+
+    return formatInvoiceNumber(options, highest + 1, context);
+}
+
+export { DEFAULT_NUMBERING, RESET_MODES };
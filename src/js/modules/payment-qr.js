@@ -0,0 +1,204 @@
+/**
+ * Payment QR Module
+ * Scan-to-pay QR codes for the invoice footer, built offline from the seller's payment details
+ */
+
+import { encodeQr, qrToSvg } from './qrcode.js';
+import { getDocumentType } from './document-types.js';
+
+// UPI virtual payment address, e.g. name@bank
+const UPI_VPA_PATTERN = /^[a-z0-9._-]{2,256}@[a-z][a-z0-9]{1,64}$/i;
+
+// SEPA BIC: bank, country, location and optional branch code
+const BIC_PATTERN = /^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/;
+// EPC069-12 limits
+const EPC_MAX_AMOUNT = 999999999.99;
+const EPC_MAX_NAME_LENGTH = 70;
+const EPC_MAX_REMITTANCE_LENGTH = 140;
+
+/**
+ * Check a UPI ID (VPA)
+ * @param {string} vpa - UPI ID
+ * @returns {boolean} True if valid
+ */
+export function isValidUpiId(vpa) {
+    return UPI_VPA_PATTERN.test(String(vpa || '').trim());
+}
+
+/**
+ * Build a upi://pay link for the invoice's outstanding balance
+ * Only INR invoices with a valid UPI ID and something left to pay get a link.
+ * @param {Object} data - Invoice data
+ * @returns {string|null} UPI deep link, or null when not applicable
+ */
+export function buildUpiLink(data) {
+    const vpa = String(data.seller?.upiId || '').trim();
+    const amount = Number(data.totals?.balanceDue) || 0;
+    if (String(data.settings?.currency || '').toUpperCase() !== 'INR' || !isValidUpiId(vpa) || amount <= 0) {
+        return null;
+    }
+
+    const payee = String(data.seller?.upiName || data.seller?.name || '').trim();
+    const number = String(data.invoice?.number || '').trim();
+    const params = [
+        ['pa', vpa],
+        ['pn', payee],
+        ['am', amount.toFixed(2)],
+        ['cu', 'INR'],
+        ['tn', number ? `Invoice ${number}` : 'Invoice payment']
+    ].filter(([, value]) => value !== '');
+    // The @ of the UPI ID stays literal; some UPI apps do not decode it
+    const query = params
+        .map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%40/g, '@')}`)
+        .join('&');
+    return `upi://pay?${query}`;
+}
+
+/**
+ * Strip spaces from an IBAN and uppercase it
+ * @param {string} iban - IBAN as typed
+ * @returns {string} Normalized IBAN
+ */
+export function normalizeIban(iban) {
+    return String(iban || '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Format an IBAN in groups of four for display
+ * @param {string} iban - IBAN
+ * @returns {string} Grouped IBAN
+ */
+export function formatIban(iban) {
+    return normalizeIban(iban).replace(/(.{4})(?=.)/g, '$1 ');
+}
+
+/**
+ * Validate an IBAN's structure and mod-97 check digits (ISO 13616)
+ * @param {string} iban - IBAN, spaces allowed
+ * @returns {boolean} True if valid
+ */
+export function isValidIban(iban) {
+    const value = normalizeIban(iban);
+    if (!/^[A-Z]{2}[0-9]{2}[A-Z0-9]{11,30}$/.test(value)) return false;
+
+    // Move the country code and check digits to the end, turn letters into 10-35
+    // and take the remainder digit by digit to stay within safe integers
+    const rearranged = value.slice(4) + value.slice(0, 4);
+    let remainder = 0;
+    for (const char of rearranged) {
+        const digits = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+        for (const digit of digits) {
+            remainder = (remainder * 10 + Number(digit)) % 97;
+        }
+    }
+    return remainder === 1;
+}
+
+/**
+ * Check a SEPA BIC
+ * @param {string} bic - BIC (8 or 11 characters)
+ * @returns {boolean} True if valid
+ */
+export function isValidBic(bic) {
+    return BIC_PATTERN.test(String(bic || '').replace(/\s+/g, '').toUpperCase());
+}
+
+/**
+ * Build an EPC069-12 (GiroCode) SEPA credit transfer payload for the outstanding balance
+ * Only EUR invoices with a valid IBAN, a beneficiary name and something left to pay get one.
+ * @param {Object} data - Invoice data
+ * @returns {string|null} EPC QR payload, or null when not applicable
+ */
+export function buildEpcPayload(data) {
+    const iban = normalizeIban(data.seller?.iban);
+    const bic = String(data.seller?.bic || '').replace(/\s+/g, '').toUpperCase();
+    const name = String(data.seller?.sepaName || data.seller?.name || '').replace(/\s+/g, ' ').trim();
+    const amount = Number(data.totals?.balanceDue) || 0;
+    if (String(data.settings?.currency || '').toUpperCase() !== 'EUR' || !isValidIban(iban) || !name) {
+        return null;
+    }
+    if ((bic && !isValidBic(bic)) || amount < 0.01 || amount > EPC_MAX_AMOUNT) {
+        return null;
+    }
+
+    const number = String(data.invoice?.number || '').trim();
+    const remittance = (number ? `Invoice ${number}` : 'Invoice payment').slice(0, EPC_MAX_REMITTANCE_LENGTH);
+    return [
+        'BCD', // Service tag
+        '002', // Version; BIC is optional from 002
+        '1', // UTF-8
+        'SCT', // SEPA credit transfer
+        bic,
+        name.slice(0, EPC_MAX_NAME_LENGTH),
+        iban,
+        `EUR${amount.toFixed(2)}`,
+        '', // Purpose code
+        '', // Structured creditor reference (unused; remittance text follows)
+        remittance
+    ].join('\n');
+}
+
+/**
+ * Get the payment QR code for an invoice
+ * UPI applies to INR invoices and the EPC GiroCode to EUR invoices.
+ * EPC069-12 requires error correction level M, which both use. Quotes and credit notes
+ * are never paid, so they get no code.
+ * @param {Object} data - Invoice data
+ * @returns {Object|null} { svg, caption, detail } or null when no QR applies
+ */
+export function getPaymentQr(data) {
+    const type = getDocumentType(data);
+    if (type === 'quote' || type === 'credit') return null;
+
+    const upiLink = buildUpiLink(data);
+    if (upiLink) {
+        return {
+            svg: qrToSvg(encodeQr(upiLink, 'M'), { margin: 2 }),
+            caption: 'Scan to pay with UPI',
+            detail: String(data.seller.upiId).trim()
+        };
+    }
+
+    const epcPayload = buildEpcPayload(data);
+    if (epcPayload) {
+        return {
+            svg: qrToSvg(encodeQr(epcPayload, 'M'), { margin: 2 }),
+            caption: 'Scan to pay with your banking app',
+            detail: formatIban(data.seller.iban)
+        };
+    }
+    return null;
+}
+
+/**
+ * Flag an input whose non-empty value fails a check
+ * @param {string} id - Input element ID
+ * @param {Function} isValid - Validation function
+ * @param {string} message - Validation message
+ */
+function flagInvalid(id, isValid, message) {
+    const input = document.getElementById(id);
+    if (!input) return;
+    const value = input.value.trim();
+    const invalid = value !== '' && !isValid(value);
+    input.setCustomValidity(invalid ? message : '');
+    input.setAttribute('aria-invalid', invalid ? 'true' : 'false');
+}
+
+/**
+ * Show the payment QR fields that apply to the invoice currency and flag invalid values
+ * @param {string} currency - Currency code
+ */
+export function updatePaymentQrFields(currency) {
+    const code = String(currency || '').toUpperCase();
+    document.querySelectorAll('.upi-field').forEach((el) => {
+        el.style.display = code === 'INR' ? '' : 'none';
+    });
+    document.querySelectorAll('.sepa-field').forEach((el) => {
+        el.style.display = code === 'EUR' ? '' : 'none';
+    });
+
+    flagInvalid('upiId', isValidUpiId, 'Enter a UPI ID like name@bank.');
+    flagInvalid('sepaIban', isValidIban, 'Enter a valid IBAN.');
+    flagInvalid('sepaBic', isValidBic, 'Enter an 8 or 11 character BIC.');
+}
@@ -0,0 +1,102 @@
+/**
+ * Payments Module
+ * Payments received against an invoice
+ */
+
+import { getValue } from './dom.js';
+import { parseNumber } from './formatters.js';
+import { getCurrencyStep } from './currency.js';
+
+const PAYMENT_METHODS = ['Bank Transfer', 'UPI', 'Card', 'Cash', 'Cheque', 'Other'];
+
+/**
+ * Add a payment row to the form
+ * @param {Object} payment - Payment data (date, amount, method, reference)
+ */
+export function addPaymentRow(payment = {}) {
+    const container = document.getElementById('paymentsContainer');
+    if (!container) return;
+
+    const row = document.createElement('div');
+    row.className = 'payment-row';
+
+    const dateInput = document.createElement('input');
+    dateInput.type = 'date';
+    dateInput.className = 'payment-date';
+    dateInput.setAttribute('aria-label', 'Payment date');
+    dateInput.value = payment.date ?? '';
+
+    const amountInput = document.createElement('input');
+    amountInput.type = 'number';
+    amountInput.className = 'payment-amount';
+    amountInput.min = '0';
+    amountInput.step = getCurrencyStep(getValue('currencyCode', 'INR'));
+    amountInput.setAttribute('aria-label', 'Payment amount');
+    amountInput.value = payment.amount ?? 0;
+
+    const methodSelect = document.createElement('select');
+    methodSelect.className = 'payment-method';
+    methodSelect.setAttribute('aria-label', 'Payment method');
+    const methods = payment.method && !PAYMENT_METHODS.includes(payment.method)
+        ? [...PAYMENT_METHODS, payment.method]
+        : PAYMENT_METHODS;
+    methods.forEach((method) => {
+        const option = document.createElement('option');
+        option.value = method;
+        option.textContent = method;
+        methodSelect.appendChild(option);
+    });
+    methodSelect.value = payment.method || PAYMENT_METHODS[0];
+
+    const referenceInput = document.createElement('input');
+    referenceInput.type = 'text';
+    referenceInput.className = 'payment-reference';
+    referenceInput.placeholder = 'Reference / UTR…';
+    referenceInput.setAttribute('aria-label', 'Payment reference');
+    referenceInput.autocomplete = 'off';
+    referenceInput.value = payment.reference ?? '';
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'remove-payment';
+    removeBtn.setAttribute('aria-label', 'Remove payment');
+    removeBtn.textContent = '×';
+
+    row.appendChild(dateInput);
+    row.appendChild(amountInput);
+    row.appendChild(methodSelect);
+    row.appendChild(referenceInput);
+    row.appendChild(removeBtn);
+
+    container.appendChild(row);
+}
+
+/**
+ * Render payments form from data
+ * @param {Array} payments - Array of payment objects
+ */
+export function renderPaymentsForm(payments) {
+    const container = document.getElementById('paymentsContainer');
+    if (!container) return;
+    container.innerHTML = '';
+
+    if (!Array.isArray(payments)) return;
+    payments.forEach((payment) => addPaymentRow(payment));
+}
+
+/**
+ * Collect payments data from the form
+ * Rows without an amount are ignored
+ * @returns {Array} Array of { date, amount, method, reference }
+ */
+export function collectPaymentsFromForm() {
+    const rows = Array.from(document.querySelectorAll('.payment-row'));
+    return rows
+        .map((row) => ({
+            date: row.querySelector('.payment-date')?.value ?? '',
+            amount: parseNumber(row.querySelector('.payment-amount')?.value, 0),
+            method: row.querySelector('.payment-method')?.value ?? '',
+            reference: row.querySelector('.payment-reference')?.value?.trim() ?? ''
+        }))
+        .filter((payment) => payment.amount > 0);
+}
@@ -5,6 +5,58 @@
 
 import { getDataFromForm } from './form.js';
 import { formatCurrency, formatDate } from './formatters.js';
+import { getTaxedGroups, getTaxRows, getDiscountLabel } from './calculations.js';
+import { formatStateName, getGstTaxRows, resolvePlaceOfSupply } from './gst.js';
+import { resolveTheme } from './templates.js';
+import { getLogo, normalizeLogoOptions } from './logo.js';
+import { getPaymentQr } from './payment-qr.js';
+import { isCreditNote, formatCreditReference } from './credit-notes.js';
+import { getDocumentType, getDocumentLabel } from './document-types.js';
+
+/**
+ * Build a pdfmake table layout for the theme's table style
+ * grid draws every border, lines only horizontal rules, striped shades alternate rows
+ * and plain only underlines the header.
+ * @param {Object} theme - Theme from resolveTheme
+ * @param {number} paddingX - Horizontal cell padding
+ * @param {number} paddingY - Vertical cell padding
+ * @returns {Object} pdfmake table layout
+ */
+function buildTableLayout(theme, paddingX, paddingY) {
+    const style = theme.tableStyle;
+    return {
+        hLineWidth: (i, node) => {
+            if (style === 'grid' || style === 'lines') return 0.5;
+            if (style === 'plain') return i === 1 ? 1 : 0;
+            return 0;
+        },
+        vLineWidth: () => (style === 'grid' ? 0.5 : 0),
+        hLineColor: () => (style === 'plain' ? theme.accentColor : theme.borderColor),
+        vLineColor: () => theme.borderColor,
+        fillColor: (rowIndex) => (style === 'striped' && rowIndex > 0 && rowIndex % 2 === 0 ? theme.stripeColor : null),
+        paddingLeft: () => paddingX,
+        paddingRight: () => paddingX,
+        paddingTop: () => paddingY,
+        paddingBottom: () => paddingY
+    };
+}
+
+/**
+ * Build the footer column holding the payment QR code and its caption
+ * @param {Object} qr - Payment QR from getPaymentQr
+ * @param {Function} size - Font size scaler for the theme
+ * @returns {Object} pdfmake stack
+ */
+function buildPaymentQrStack(qr, size) {
+    return {
+        width: 110,
+        stack: [
+            { svg: qr.svg, width: 96, alignment: 'center' },
+            { text: qr.caption, fontSize: size(9), bold: true, color: '#111827', alignment: 'center', marginTop: 4 },
+            { text: qr.detail, fontSize: size(8), color: '#4B5563', alignment: 'center' }
+        ]
+    };
+}
 
 /**
  * Generate PDF Document Definition from data
@@ -15,68 +67,153 @@ function generateDocumentDefinition(data) {
     const { seller, billTo, invoice, items, totals, settings } = data;
     const currency = settings.currency;
     const locale = settings.locale;
+    const theme = resolveTheme(settings);
+    // Font sizes are the classic layout's sizes scaled by the theme
+    const size = (points) => Math.round(points * theme.scale * 10) / 10;
+
+    const paymentQr = getPaymentQr(data);
+    const isCredit = isCreditNote(data);
+    const creditReference = formatCreditReference(data);
 
     // Helper to format currency
     const fmt = (amount) => formatCurrency(amount, currency, locale);
 
+    // Tax column only appears when some line actually carries tax
+    const taxedGroups = getTaxedGroups(totals);
+    const showTaxColumn = taxedGroups.length > 0;
+    // Discount column only appears when some line has its own discount
+    const showDiscountColumn = totals.lineDiscount > 0;
+    const gstMode = Boolean(settings.gstMode && totals.gst);
+    const placeOfSupply = gstMode ? resolvePlaceOfSupply(data) : '';
+
     // Prepare table body
     const tableBody = [];
 
     // Header
     tableBody.push([
         { text: 'DESCRIPTION', style: 'tableHeader' },
+        gstMode ? { text: 'HSN/SAC', style: 'tableHeader' } : null,
         { text: 'QTY', style: 'tableHeader', alignment: 'center' },
         { text: 'UNIT PRICE', style: 'tableHeader', alignment: 'right' },
+        showDiscountColumn ? { text: 'DISCOUNT', style: 'tableHeader', alignment: 'right' } : null,
+        showTaxColumn ? { text: 'TAX', style: 'tableHeader', alignment: 'right' } : null,
         { text: 'TOTAL', style: 'tableHeader', alignment: 'right' }
-    ]);
+    ].filter(Boolean));
 
     // Items
-    items.forEach(item => {
+    items.forEach((item, index) => {
+        const line = totals.lines?.[index] || { discountAmount: 0, taxRate: 0, taxAmount: 0 };
         tableBody.push([
             { text: item.description || '', style: 'tableCell' },
-            { text: item.quantity, style: 'tableCell', alignment: 'center' },
+            gstMode ? { text: item.hsn || '', style: 'tableCell' } : null,
+            { text: item.unit ? `${item.quantity} ${item.unit}` : item.quantity, style: 'tableCell', alignment: 'center' },
             { text: fmt(item.unitPrice), style: 'tableCell', alignment: 'right' },
+            showDiscountColumn ? {
+                stack: [
+                    { text: line.discountAmount > 0 ? `-${fmt(line.discountAmount)}` : '' },
+                    item.discount?.type === 'percent'
+                        ? { text: `${item.discount.value}%`, fontSize: size(8), color: '#6B7280' }
+                        : null
+                ].filter(Boolean),
+                style: 'tableCell',
+                alignment: 'right'
+            } : null,
+            showTaxColumn ? {
+                stack: [
+                    { text: fmt(line.taxAmount) },
+                    { text: `${line.taxRate}%`, fontSize: size(8), color: '#6B7280' }
+                ],
+                style: 'tableCell',
+                alignment: 'right'
+            } : null,
             { text: fmt(item.total), style: 'tableCell', alignment: 'right' }
-        ]);
+        ].filter(Boolean));
     });
 
     // Totals section (rows)
     const totalsRows = [];
 
-    // Only show Subtotal if there are adjustments (tax or discount)
-    if (totals.taxAmount > 0 || totals.discount > 0) {
+    // Only show Subtotal if there are adjustments (tax, discount or charges)
+    if (totals.taxAmount > 0 || totals.discount > 0 || totals.charges > 0) {
         totalsRows.push([
             { text: 'Subtotal', alignment: 'right' },
             { text: fmt(totals.subtotal), alignment: 'right' }
         ]);
 
-        if (totals.taxAmount > 0) {
+        // Discount sits before or after the tax rows depending on how it was applied
+        const discountRow = totals.discount > 0 ? [
+            { text: getDiscountLabel(totals), alignment: 'right' },
+            { text: `-${fmt(totals.discount)}`, alignment: 'right' }
+        ] : null;
+
+        if (discountRow && totals.discountApplication === 'beforeTax') {
+            totalsRows.push(discountRow);
+        }
+
+        (totals.chargeLines || []).forEach((charge) => {
             totalsRows.push([
-                { text: `Tax (${totals.taxRate}%)`, alignment: 'right' },
-                { text: fmt(totals.taxAmount), alignment: 'right' }
+                { text: charge.name || 'Charge', alignment: 'right' },
+                { text: fmt(charge.amount), alignment: 'right' }
             ]);
-        }
+        });
 
-        if (totals.discount > 0) {
+        // One row per tax rate (or GST component), plus a combined row when there are several
+        const taxRows = gstMode ? getGstTaxRows(totals) : getTaxRows(totals);
+        taxRows.forEach((taxRow) => {
             totalsRows.push([
-                { text: 'Discount', alignment: 'right' },
-                { text: `-${fmt(totals.discount)}`, alignment: 'right' }
+                { text: taxRow.label, alignment: 'right' },
+                { text: fmt(taxRow.amount), alignment: 'right' }
             ]);
+        });
+
+        if (taxRows.length > 1) {
+            totalsRows.push([
+                { text: 'Total Tax', alignment: 'right' },
+                { text: fmt(totals.taxAmount), alignment: 'right' }
+            ]);
+        }
+
+        if (discountRow && totals.discountApplication !== 'beforeTax') {
+            totalsRows.push(discountRow);
         }
     }
 
+    // Once payments are recorded, the last row shows what is still owed
+    const hasPayments = totals.amountPaid > 0;
+    if (hasPayments) {
+        totalsRows.push([
+            { text: 'Total', alignment: 'right' },
+            { text: fmt(totals.total), alignment: 'right' }
+        ]);
+        totalsRows.push([
+            { text: 'Amount Paid', alignment: 'right' },
+            { text: `-${fmt(totals.amountPaid)}`, alignment: 'right' }
+        ]);
+    }
+
     // Total Row
     totalsRows.push([
-        { text: 'Total', bold: true, fontSize: 12, alignment: 'right' },
-        { text: fmt(totals.total), bold: true, fontSize: 12, alignment: 'right' }
+        { text: hasPayments ? 'Balance Due' : (isCredit ? 'Total Credit' : 'Total'), bold: true, fontSize: size(12), alignment: 'right' },
+        { text: fmt(totals.balanceDue), bold: true, fontSize: size(12), color: theme.accentColor, alignment: 'right' }
     ]);
 
     const invoiceNumber = invoice.number || 'draft';
     const customerName = billTo.name || 'Customer';
 
+    // Logo sits above the seller details, above the title, or centered above both
+    const logo = getLogo();
+    const logoOptions = normalizeLogoOptions(settings.logo);
+    const logoNode = (alignment) => ({
+        image: logo,
+        fit: [logoOptions.maxSize, logoOptions.maxSize],
+        alignment,
+        marginBottom: 8
+    });
+    const logoPosition = logo ? logoOptions.position : null;
+
     return {
         // Moderate margins: [left, top, right, bottom]
-        pageMargins: [30, 40, 30, 40],
+        pageMargins: theme.pageMargins,
 
         info: {
             title: `Invoice ${invoiceNumber}`,
@@ -85,6 +222,8 @@ function generateDocumentDefinition(data) {
             creator: 'Rebill - Invoice Generator'
         },
         content: [
+            logoPosition === 'center' ? logoNode('center') : null,
+
             // Header Section
             {
                 columns: [
@@ -92,10 +231,12 @@ function generateDocumentDefinition(data) {
                     {
                         width: '*',
                         stack: [
+                            logoPosition === 'left' ? logoNode('left') : null,
                             { text: seller.name || 'Business Name', style: 'businessName' },
                             { text: seller.address || '', style: 'normalText' },
                             seller.email ? { text: seller.email, style: 'normalText' } : null,
-                            seller.phone ? { text: seller.phone, style: 'normalText' } : null
+                            seller.phone ? { text: seller.phone, style: 'normalText' } : null,
+                            gstMode && seller.gstin ? { text: `GSTIN: ${seller.gstin}`, style: 'normalText' } : null
                         ].filter(Boolean)
                     },
                     // Invoice Title & Meta (Right)
@@ -103,10 +244,11 @@ function generateDocumentDefinition(data) {
                         width: 'auto',
                         alignment: 'right',
                         stack: [
+                            logoPosition === 'right' ? logoNode('right') : null,
                             { text: invoice.title || 'INVOICE', style: 'invoiceTitle' },
                             {
                                 text: [
-                                    { text: 'Invoice #: ', bold: true },
+                                    { text: `${getDocumentLabel(getDocumentType(data))} #: `, bold: true },
                                     invoiceNumber
                                 ],
                                 style: 'metaText'
@@ -114,14 +256,35 @@ function generateDocumentDefinition(data) {
                             {
                                 text: [
                                     { text: 'Date: ', bold: true },
-                                    formatDate(invoice.date)
+                                    formatDate(invoice.date, locale, settings.dateFormat)
                                 ],
                                 style: 'metaText'
                             },
                             invoice.dueDate ? {
                                 text: [
                                     { text: 'Due Date: ', bold: true },
-                                    formatDate(invoice.dueDate)
+                                    formatDate(invoice.dueDate, locale, settings.dateFormat)
+                                ],
+                                style: 'metaText'
+                            } : null,
+                            invoice.validUntil ? {
+                                text: [
+                                    { text: 'Valid Until: ', bold: true },
+                                    formatDate(invoice.validUntil, locale, settings.dateFormat)
+                                ],
+                                style: 'metaText'
+                            } : null,
+                            creditReference ? {
+                                text: [
+                                    { text: 'Against Invoice: ', bold: true },
+                                    creditReference
+                                ],
+                                style: 'metaText'
+                            } : null,
+                            placeOfSupply ? {
+                                text: [
+                                    { text: 'Place of Supply: ', bold: true },
+                                    formatStateName(placeOfSupply)
                                 ],
                                 style: 'metaText'
                             } : null
@@ -129,7 +292,7 @@ function generateDocumentDefinition(data) {
                     }
                 ],
                 columnGap: 20,
-                marginBottom: 40
+                marginBottom: theme.spacing
             },
 
             // Bill To Section
@@ -143,28 +306,28 @@ function generateDocumentDefinition(data) {
                     { text: customerName, style: 'customerName' },
                     { text: billTo.address || '', style: 'normalText' },
                     billTo.email ? { text: billTo.email, style: 'normalText' } : null,
-                    billTo.phone ? { text: billTo.phone, style: 'normalText' } : null
+                    billTo.phone ? { text: billTo.phone, style: 'normalText' } : null,
+                    gstMode && billTo.gstin ? { text: `GSTIN: ${billTo.gstin}`, style: 'normalText' } : null
                 ].filter(Boolean),
-                marginBottom: 40
+                marginBottom: theme.spacing
             },
 
             // Items Table
             {
                 table: {
                     headerRows: 1,
-                    widths: ['*', 50, 80, 80],
+                    widths: [
+                        '*',
+                        gstMode ? 50 : null,
+                        showTaxColumn || showDiscountColumn ? 40 : 50,
+                        showTaxColumn || showDiscountColumn ? 70 : 80,
+                        showDiscountColumn ? 60 : null,
+                        showTaxColumn ? 70 : null,
+                        80
+                    ].filter((width) => width !== null),
                     body: tableBody
                 },
-                layout: {
-                    hLineWidth: (i, node) => 0.5,
-                    vLineWidth: (i, node) => 0.5,
-                    hLineColor: (i, node) => '#E5E7EB',
-                    vLineColor: (i, node) => '#E5E7EB',
-                    paddingLeft: (i) => 8,
-                    paddingRight: (i) => 8,
-                    paddingTop: (i) => 4,
-                    paddingBottom: (i) => 4
-                },
+                layout: buildTableLayout(theme, 8, 4),
                 marginBottom: 20
             },
 
@@ -196,9 +359,12 @@ function generateDocumentDefinition(data) {
                         }
                     }
                 ],
-                marginBottom: 40
+                marginBottom: theme.spacing
             },
 
+            // GST Tax Breakup
+            gstMode ? buildGstSummaryTable(totals.gst, fmt, theme) : null,
+
             // Footer Section: Center aligned, standard font size, bold "Thank you"
             {
                 stack: [
@@ -210,8 +376,18 @@ function generateDocumentDefinition(data) {
                         marginBottom: 10
                     } : null,
 
-                    // Instructions (Bank details etc)
-                    invoice.instructions ? {
+                    // Instructions (Bank details etc), with the scan-to-pay QR beside them
+                    paymentQr ? {
+                        columns: [
+                            invoice.instructions
+                                ? { width: '*', text: invoice.instructions, style: 'footerText' }
+                                : { width: '*', text: '' },
+                            buildPaymentQrStack(paymentQr, size),
+                            invoice.instructions ? null : { width: '*', text: '' }
+                        ].filter(Boolean),
+                        columnGap: 20
+                    } : null,
+                    !paymentQr && invoice.instructions ? {
                         text: invoice.instructions,
                         style: 'footerText',
                         alignment: 'center'
@@ -221,27 +397,103 @@ function generateDocumentDefinition(data) {
         ].filter(Boolean),
 
         styles: {
-            businessName: { fontSize: 18, bold: true, marginBottom: 4, color: '#111827' },
-            invoiceTitle: { fontSize: 24, bold: true, marginBottom: 8, color: '#111827' },
-            sectionLabel: { fontSize: 10, bold: true, color: '#6B7280', letterSpacing: 1, marginBottom: 4 },
-            customerName: { fontSize: 14, bold: true, marginBottom: 4, color: '#111827' },
-            normalText: { fontSize: 10, lineHeight: 1.4, color: '#4B5563' },
-            metaText: { fontSize: 10, marginBottom: 4, alignment: 'right', color: '#4B5563' },
+            businessName: { fontSize: size(18), bold: true, marginBottom: 4, color: '#111827' },
+            invoiceTitle: { fontSize: size(24), bold: true, marginBottom: 8, color: theme.accentColor },
+            sectionLabel: { fontSize: size(10), bold: true, color: '#6B7280', letterSpacing: 1, marginBottom: 4 },
+            customerName: { fontSize: size(14), bold: true, marginBottom: 4, color: '#111827' },
+            normalText: { fontSize: size(10), lineHeight: 1.4, color: '#4B5563' },
+            metaText: { fontSize: size(10), marginBottom: 4, alignment: 'right', color: '#4B5563' },
 
             // Table styles
-            tableHeader: { fontSize: 10, bold: true, color: '#111827', fillColor: '#F3F4F6', margin: [0, 2, 0, 2] },
-            tableCell: { fontSize: 10, color: '#111827', margin: [0, 2, 0, 2] },
+            tableHeader: {
+                fontSize: size(10),
+                bold: true,
+                color: theme.headerTextColor,
+                fillColor: theme.headerFill || undefined,
+                margin: [0, 2, 0, 2]
+            },
+            tableCell: { fontSize: size(10), color: '#111827', margin: [0, 2, 0, 2] },
 
             // Footer styles
-            footerNote: { fontSize: 14, bold: true, color: '#111827' },
-            footerText: { fontSize: 10, color: '#111827', lineHeight: 1.5 }
+            footerNote: { fontSize: size(14), bold: true, color: '#111827' },
+            footerText: { fontSize: size(10), color: '#111827', lineHeight: 1.5 }
         },
         defaultStyle: {
-            font: 'Roboto'
+            font: 'Roboto',
+            fontSize: size(12)
         }
     };
 }
 
+/**
+ * Build the statutory GST tax breakup table
+ * @param {Object} gst - GST breakup from calculateGstBreakup
+ * @param {Function} fmt - Currency formatter
+ * @param {Object} theme - Theme from resolveTheme
+ * @returns {Object|null} pdfmake stack node, or null when there is no tax
+ */
+function buildGstSummaryTable(gst, fmt, theme) {
+    if (!gst || gst.taxAmount <= 0) return null;
+
+    const intraState = gst.supplyType === 'intra';
+    const headings = intraState
+        ? ['HSN/SAC', 'TAXABLE VALUE', 'CGST RATE', 'CGST AMT', 'SGST RATE', 'SGST AMT', 'TOTAL TAX']
+        : ['HSN/SAC', 'TAXABLE VALUE', 'IGST RATE', 'IGST AMT', 'TOTAL TAX'];
+
+    const body = [
+        headings.map((heading, index) => ({
+            text: heading,
+            style: 'tableHeader',
+            alignment: index === 0 ? 'left' : 'right'
+        }))
+    ];
+
+    gst.rows.forEach((row) => {
+        const cells = intraState
+            ? [row.hsn || '-', fmt(row.taxableAmount), `${row.cgstRate}%`, fmt(row.cgst), `${row.sgstRate}%`, fmt(row.sgst), fmt(row.taxAmount)]
+            : [row.hsn || '-', fmt(row.taxableAmount), `${row.igstRate}%`, fmt(row.igst), fmt(row.taxAmount)];
+        body.push(cells.map((text, index) => ({
+            text,
+            style: 'tableCell',
+            alignment: index === 0 ? 'left' : 'right'
+        })));
+    });
+
+    const totalCells = intraState
+        ? ['Total', fmt(gst.taxableAmount), '', fmt(gst.cgst), '', fmt(gst.sgst), fmt(gst.taxAmount)]
+        : ['Total', fmt(gst.taxableAmount), '', fmt(gst.igst), fmt(gst.taxAmount)];
+    body.push(totalCells.map((text, index) => ({
+        text,
+        style: 'tableCell',
+        bold: true,
+        alignment: index === 0 ? 'left' : 'right'
+    })));
+
+    return {
+        stack: [
+            { text: 'TAX BREAKUP', style: 'sectionLabel', marginBottom: 5 },
+            {
+                table: {
+                    headerRows: 1,
+                    widths: ['*', ...headings.slice(1).map(() => 'auto')],
+                    body
+                },
+                layout: buildTableLayout(theme, 6, 3)
+            }
+        ],
+        marginBottom: theme.spacing
+    };
+}
+
+/**
+ * Get the start of a PDF filename for a document, such as 'Quote' or 'CreditNote'
+ * @param {Object} data - Invoice data
+ * @returns {string} Document label without spaces
+ */
+function getDocumentFilePrefix(data) {
+    return getDocumentLabel(getDocumentType(data)).replace(/\s+/g, '');
+}
+
 /**
  * Generate PDF and download it
  */
@@ -262,7 +514,7 @@ export async function downloadPDF() {
         const invoiceNumber = data.invoice.number || 'draft';
         // Sanitize filename
         const safeNumber = invoiceNumber.replace(/[^a-zA-Z0-9-_]/g, '-');
-        const filename = `Invoice-${safeNumber}.pdf`;
+        const filename = `${getDocumentFilePrefix(data)}-${safeNumber}.pdf`;
 
         // Create and download
         pdfMake.createPdf(docDefinition).download(filename);
@@ -296,7 +548,7 @@ export async function shareInvoice() {
 
         // Sanitize filename
         const safeNumber = invoiceNumber.replace(/[^a-zA-Z0-9-_]/g, '-');
-        const filename = `Invoice-${safeNumber}.pdf`;
+        const filename = `${getDocumentFilePrefix(data)}-${safeNumber}.pdf`;
 
         // Generate Blob
         const blob = await new Promise((resolve) => {
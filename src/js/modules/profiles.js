@@ -0,0 +1,161 @@
+/**
+ * Profiles Module
+ * Named seller profiles for running several businesses from one browser
+ */
+
+import { getValue, setValue } from './dom.js';
+import { normalizeGstin } from './gst.js';
+import { normalizeIban } from './payment-qr.js';
+import { getNumberingFromForm, applyNumberingToForm } from './numbering.js';
+
+const PROFILES_KEY = 'invoice.profiles';
+
+/**
+ * Write profiles to localStorage
+ * @param {Array} profiles - Seller profiles
+ */
+function writeProfiles(profiles) {
+    try {
+        localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+    } catch (e) {
+        console.warn('Failed to save profiles:', e);
+    }
+}
+
+/**
+ * Get all seller profiles
+ * @returns {Array} Profiles sorted by label
+ */
+export function getProfiles() {
+    const raw = localStorage.getItem(PROFILES_KEY);
+    if (!raw) return [];
+    try {
+        const profiles = JSON.parse(raw);
+        if (!Array.isArray(profiles)) return [];
+        return profiles.slice().sort((a, b) => a.label.localeCompare(b.label));
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Get a profile by ID
+ * @param {number|string} id - Profile ID (select values arrive as strings)
+ * @returns {Object|null} Profile or null
+ */
+export function getProfile(id) {
+    if (id === null || id === undefined || id === '') return null;
+    return getProfiles().find((profile) => String(profile.id) === String(id)) || null;
+}
+
+/**
+ * Save the seller section of the form as a profile
+ * Seller details, instructions, UPI/SEPA details, currency and numbering pattern are taken from
+ * the form; the last number issued under an existing profile is kept.
+ * @param {string} label - Profile name shown in the switcher
+ * @param {number} id - Existing profile ID to overwrite, if any
+ * @returns {Object} Saved profile
+ */
+export function saveProfileFromForm(label, id) {
+    const profiles = getProfiles();
+    const index = profiles.findIndex((profile) => profile.id === id);
+    const existing = index >= 0 ? profiles[index] : null;
+    const profile = {
+        id: existing ? existing.id : Date.now(),
+        label: String(label || '').trim() || getValue('sellerName') || 'Profile',
+        name: getValue('sellerName'),
+        address: getValue('sellerAddress'),
+        email: getValue('sellerEmail'),
+        phone: getValue('sellerPhone'),
+        gstin: normalizeGstin(getValue('sellerGstin')),
+        instructions: getValue('invoiceInstructions'),
+        upiId: getValue('upiId').trim(),
+        upiName: getValue('upiName'),
+        iban: normalizeIban(getValue('sepaIban')),
+        bic: getValue('sepaBic').trim().toUpperCase(),
+        sepaName: getValue('sepaName'),
+        currency: getValue('currencyCode', 'INR').trim().toUpperCase() || 'INR',
+        numbering: getNumberingFromForm(),
+        lastNumber: existing?.lastNumber ?? ''
+    };
+    if (index >= 0) {
+        profiles[index] = profile;
+    } else {
+        profiles.push(profile);
+    }
+    writeProfiles(profiles);
+    return profile;
+}
+
+/**
+ * Delete a profile by ID
+ * @param {number} id - Profile ID
+ */
+export function deleteProfile(id) {
+    writeProfiles(getProfiles().filter((profile) => profile.id !== id));
+}
+
+/**
+ * Record the last invoice number issued under a profile
+ * @param {number|string} id - Profile ID
+ * @param {string} number - Invoice number
+ */
+export function setProfileLastNumber(id, number) {
+    const profiles = getProfiles();
+    const profile = profiles.find((p) => String(p.id) === String(id));
+    if (!profile || !number) return;
+    profile.lastNumber = number;
+    writeProfiles(profiles);
+}
+
+/**
+ * Fill the seller section, default instructions, UPI/SEPA details, currency and numbering from a profile
+ * @param {Object} profile - Seller profile
+ */
+export function applyProfileToForm(profile) {
+    setValue('sellerName', profile.name);
+    setValue('sellerAddress', profile.address);
+    setValue('sellerEmail', profile.email);
+    setValue('sellerPhone', profile.phone);
+    setValue('sellerGstin', profile.gstin);
+    setValue('invoiceInstructions', profile.instructions);
+    setValue('upiId', profile.upiId ?? '');
+    setValue('upiName', profile.upiName ?? '');
+    setValue('sepaIban', profile.iban ?? '');
+    setValue('sepaBic', profile.bic ?? '');
+    setValue('sepaName', profile.sepaName ?? '');
+    if (profile.currency) {
+        setValue('currencyCode', profile.currency);
+    }
+    if (profile.numbering) {
+        applyNumberingToForm(profile.numbering);
+    }
+}
+
+/**
+ * Refresh the profile switcher options, keeping the given profile selected
+ * @param {number|string} selectedId - Profile to select, or '' for none
+ */
+export function renderProfileOptions(selectedId = getValue('sellerProfile')) {
+    const select = document.getElementById('sellerProfile');
+    if (!select) return;
+    select.innerHTML = '';
+
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'No profile';
+    select.appendChild(none);
+
+    getProfiles().forEach((profile) => {
+        const option = document.createElement('option');
+        option.value = String(profile.id);
+        option.textContent = profile.label;
+        select.appendChild(option);
+    });
+
+    select.value = getProfile(selectedId) ? String(selectedId) : '';
+    const deleteBtn = document.getElementById('deleteProfileBtn');
+    if (deleteBtn) deleteBtn.disabled = select.value === '';
+}
+
+export { PROFILES_KEY };
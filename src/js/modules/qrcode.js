@@ -0,0 +1,462 @@
+/**
+ * QR Code Module
+ * Offline QR code encoder (byte mode, versions 1-40) with SVG output
+ * Follows ISO/IEC 18004; no network or third-party library involved.
+ */
+
+const ECC_LEVELS = { L: 0, M: 1, Q: 2, H: 3 };
+// Format information bits for each level, in ECC_LEVELS order
+const ECC_FORMAT_BITS = [1, 0, 3, 2];
+
+// Error correction codewords per block, indexed [level][version]
+const ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+// Number of error correction blocks, indexed [level][version]
+const NUM_ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+/**
+ * Read one bit of an integer
+ * @param {number} value - Integer
+ * @param {number} index - Bit index, 0 = least significant
+ * @returns {boolean} True if the bit is set
+ */
+function getBit(value, index) {
+    return ((value >>> index) & 1) !== 0;
+}
+
+/**
+ * Count the data modules available in a version, excluding function patterns
+ * @param {number} version - QR version 1-40
+ * @returns {number} Number of modules
+ */
+function getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+/**
+ * Count the data codewords (excluding error correction) for a version and level
+ * @param {number} version - QR version 1-40
+ * @param {number} ecl - Error correction level index
+ * @returns {number} Number of 8-bit codewords
+ */
+function getNumDataCodewords(version, ecl) {
+    return Math.floor(getNumRawDataModules(version) / 8)
+        - ECC_CODEWORDS_PER_BLOCK[ecl][version] * NUM_ERROR_CORRECTION_BLOCKS[ecl][version];
+}
+
+/**
+ * Multiply two elements of GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ * @param {number} x - Field element
+ * @param {number} y - Field element
+ * @returns {number} Product
+ */
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+/**
+ * Compute the Reed-Solomon generator polynomial for a degree
+ * @param {number} degree - Number of error correction codewords
+ * @returns {Array<number>} Coefficients, highest power first (leading 1 omitted)
+ */
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+/**
+ * Compute Reed-Solomon error correction codewords for a block
+ * @param {Array<number>} data - Data codewords
+ * @param {Array<number>} divisor - Generator from reedSolomonDivisor
+ * @returns {Array<number>} Error correction codewords
+ */
+function reedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    data.forEach((byte) => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coef, i) => {
+            result[i] ^= gfMultiply(coef, factor);
+        });
+    });
+    return result;
+}
+
+/**
+ * Split data into blocks, add error correction and interleave the codewords
+ * @param {Array<number>} data - Data codewords
+ * @param {number} version - QR version
+ * @param {number} ecl - Error correction level index
+ * @returns {Array<number>} Final codeword sequence
+ */
+function addEccAndInterleave(data, version, ecl) {
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl][version];
+    const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecl][version];
+    const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+    const divisor = reedSolomonDivisor(blockEccLen);
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+        const length = shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1);
+        const block = data.slice(k, k + length);
+        k += length;
+        const ecc = reedSolomonRemainder(block, divisor);
+        if (i < numShortBlocks) block.push(0);
+        blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            // Skip the padding byte added to short blocks
+            if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+                result.push(block[i]);
+            }
+        });
+    }
+    return result;
+}
+
+/**
+ * Build the data codewords for a byte-mode segment
+ * @param {Uint8Array} bytes - UTF-8 payload
+ * @param {number} version - QR version
+ * @param {number} ecl - Error correction level index
+ * @returns {Array<number>|null} Padded data codewords, or null when the payload does not fit
+ */
+function buildDataCodewords(bytes, version, ecl) {
+    const countBits = version <= 9 ? 8 : 16;
+    const capacityBits = getNumDataCodewords(version, ecl) * 8;
+    if (bytes.length >= 2 ** countBits || 4 + countBits + bytes.length * 8 > capacityBits) {
+        return null;
+    }
+
+    const bits = [];
+    const appendBits = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    appendBits(0x4, 4); // Byte mode
+    appendBits(bytes.length, countBits);
+    bytes.forEach((byte) => appendBits(byte, 8));
+
+    // Terminator, then pad to a byte boundary and fill with alternating pad bytes
+    appendBits(0, Math.min(4, capacityBits - bits.length));
+    appendBits(0, (8 - (bits.length % 8)) % 8);
+    for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+        appendBits(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+/**
+ * Get the centre coordinates of the alignment patterns for a version
+ * @param {number} version - QR version
+ * @returns {Array<number>} Coordinates used on both axes
+ */
+function getAlignmentPositions(version) {
+    if (version === 1) return [];
+    const size = version * 4 + 17;
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < numAlign; pos -= step) {
+        result.splice(1, 0, pos);
+    }
+    return result;
+}
+
+/**
+ * Create a QR symbol grid and draw everything except the data
+ * @param {number} version - QR version
+ * @returns {Object} { size, modules, isFunction }
+ */
+function createGrid(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || x >= size || y < 0 || y >= size) continue;
+                const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                setFunction(x, y, dist !== 2 && dist !== 4);
+            }
+        }
+    });
+
+    // Alignment patterns, except where they would overlap the finders
+    const positions = getAlignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => {
+        positions.forEach((cx, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Version information (versions 7 and up)
+    if (version >= 7) {
+        let rem = version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        const bits = (version << 12) | rem;
+        for (let i = 0; i < 18; i++) {
+            const dark = getBit(bits, i);
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            setFunction(a, b, dark);
+            setFunction(b, a, dark);
+        }
+    }
+
+    const grid = { size, modules, isFunction };
+    drawFormatBits(grid, 0, 0);
+    return grid;
+}
+
+/**
+ * Draw the format information for a level and mask
+ * @param {Object} grid - Grid from createGrid
+ * @param {number} ecl - Error correction level index
+ * @param {number} mask - Mask pattern 0-7
+ */
+function drawFormatBits(grid, ecl, mask) {
+    const { size, modules, isFunction } = grid;
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
+
+    const data = (ECC_FORMAT_BITS[ecl] << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+
+    // Around the top-left finder
+    for (let i = 0; i <= 5; i++) setFunction(8, i, getBit(bits, i));
+    setFunction(8, 7, getBit(bits, 6));
+    setFunction(8, 8, getBit(bits, 7));
+    setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, getBit(bits, i));
+
+    // Split between the other two finders
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, getBit(bits, i));
+    setFunction(8, size - 8, true);
+}
+
+/**
+ * Place codewords in the zig-zag data area
+ * @param {Object} grid - Grid from createGrid
+ * @param {Array<number>} codewords - Final codewords
+ */
+function drawCodewords(grid, codewords) {
+    const { size, modules, isFunction } = grid;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        for (let vert = 0; vert < size; vert++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vert : vert;
+                if (!isFunction[y][x] && i < codewords.length * 8) {
+                    modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                    i++;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Toggle data modules with a mask pattern (applying it twice undoes it)
+ * @param {Object} grid - Grid from createGrid
+ * @param {number} mask - Mask pattern 0-7
+ */
+function applyMask(grid, mask) {
+    const { size, modules, isFunction } = grid;
+    const patterns = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+        (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+        (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+    ];
+    const invert = patterns[mask];
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!isFunction[y][x] && invert(x, y)) modules[y][x] = !modules[y][x];
+        }
+    }
+}
+
+/**
+ * Score a finished symbol using the standard's four penalty rules
+ * @param {Object} grid - Grid from createGrid
+ * @returns {number} Penalty, lower is better
+ */
+function getPenaltyScore(grid) {
+    const { size, modules } = grid;
+    const finderLike = [
+        [true, false, true, true, true, false, true, false, false, false, false],
+        [false, false, false, false, true, false, true, true, true, false, true]
+    ];
+    let score = 0;
+
+    const scoreLine = (get) => {
+        let runLength = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && get(i) === get(i - 1)) {
+                runLength++;
+            } else {
+                if (runLength >= 5) score += 3 + (runLength - 5);
+                runLength = 1;
+            }
+        }
+        for (let i = 0; i + 11 <= size; i++) {
+            finderLike.forEach((pattern) => {
+                if (pattern.every((dark, k) => get(i + k) === dark)) score += 40;
+            });
+        }
+    };
+    for (let y = 0; y < size; y++) scoreLine((x) => modules[y][x]);
+    for (let x = 0; x < size; x++) scoreLine((y) => modules[y][x]);
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            if (x < size - 1 && y < size - 1) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    score += 3;
+                }
+            }
+        }
+    }
+
+    const total = size * size;
+    const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+    return score + Math.max(k, 0) * 10;
+}
+
+/**
+ * Encode text as a QR code
+ * Uses the smallest version that fits and the mask with the lowest penalty.
+ * @param {string} text - Text to encode (UTF-8, byte mode)
+ * @param {string} level - Error correction level: 'L', 'M', 'Q' or 'H'
+ * @returns {Object} { version, size, modules } where modules[y][x] is true for dark
+ */
+export function encodeQr(text, level = 'M') {
+    const ecl = ECC_LEVELS[level] ?? ECC_LEVELS.M;
+    const bytes = new TextEncoder().encode(String(text));
+
+    let version = 1;
+    let data = null;
+    for (; version <= 40; version++) {
+        data = buildDataCodewords(bytes, version, ecl);
+        if (data) break;
+    }
+    if (!data) {
+        throw new Error('Text is too long for a QR code.');
+    }
+
+    const grid = createGrid(version);
+    drawCodewords(grid, addEccAndInterleave(data, version, ecl));
+
+    let bestMask = 0;
+    let bestScore = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+        applyMask(grid, mask);
+        drawFormatBits(grid, ecl, mask);
+        const score = getPenaltyScore(grid);
+        if (score < bestScore) {
+            bestMask = mask;
+            bestScore = score;
+        }
+        applyMask(grid, mask);
+    }
+    applyMask(grid, bestMask);
+    drawFormatBits(grid, ecl, bestMask);
+
+    return { version, size: grid.size, modules: grid.modules };
+}
+
+/**
+ * Render a QR code as an SVG string
+ * @param {Object} qr - Result of encodeQr
+ * @param {Object} options - { margin: quiet zone in modules, color: dark module color }
+ * @returns {string} SVG markup
+ */
+export function qrToSvg(qr, options = {}) {
+    const margin = options.margin ?? 4;
+    const color = /^#[0-9a-f]{3,8}$/i.test(options.color || '') ? options.color : '#000000';
+    const dimension = qr.size + margin * 2;
+    const path = [];
+    qr.modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+        });
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">`
+        + `<rect width="${dimension}" height="${dimension}" fill="#FFFFFF"/>`
+        + `<path d="${path.join('')}" fill="${color}"/></svg>`;
+}
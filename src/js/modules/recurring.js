@@ -0,0 +1,395 @@
+/**
+ * Recurring Module
+ * Weekly, monthly, quarterly and yearly invoice schedules built from saved invoices
+ */
+
+import { formatDate, formatCurrency, parseDate } from './formatters.js';
+import { getProfile } from './profiles.js';
+import { readValue, writeValue } from './db.js';
+
+const RECURRING_KEY = 'invoice.recurring';
+
+/**
+ * Supported schedule frequencies
+ */
+const FREQUENCIES = {
+    weekly: { label: 'Weekly', months: 0, days: 7 },
+    monthly: { label: 'Monthly', months: 1, days: 0 },
+    quarterly: { label: 'Quarterly', months: 3, days: 0 },
+    yearly: { label: 'Yearly', months: 12, days: 0 }
+};
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Period text in item descriptions: 2026-03-15, 2026-03, March 2026 / Mar 2026, 15/03/2026,
+// 03/2026 and Q1 2026
+const PERIOD_PATTERN = new RegExp([
+    '\\b(\\d{4})-(\\d{2})-(\\d{2})\\b',
+    '\\b(\\d{4})-(\\d{2})\\b(?!-)',
+    '\\b(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?'
+        + '|Sept?(?:ember)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)(\\.?,?\\s+)(\\d{4})\\b',
+    '\\b(\\d{1,2})\\/(\\d{1,2})\\/(\\d{4})\\b',
+    '(?<!\\d\\/)\\b(\\d{1,2})\\/(\\d{4})\\b',
+    '\\bQ([1-4])([\\s-]+)(\\d{4})\\b'
+].join('|'), 'gi');
+
+/**
+ * Format a date as local YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} YYYY-MM-DD date
+ */
+function toIsoDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Get today's date as local YYYY-MM-DD
+ * @returns {string} Today's date
+ */
+function getToday() {
+    return toIsoDate(new Date());
+}
+
+/**
+ * Advance a date by one schedule period
+ * Month-based schedules keep to the anchor day, falling back to the last day of
+ * shorter months, so an invoice on the 31st stays at month end.
+ * @param {string} dateValue - YYYY-MM-DD date
+ * @param {string} frequency - Key of FREQUENCIES
+ * @param {number} anchorDay - Day of month the schedule started on
+ * @returns {string} Next YYYY-MM-DD date, or '' when the date is invalid
+ */
+export function advanceDate(dateValue, frequency, anchorDay) {
+    const date = parseDate(dateValue);
+    const step = FREQUENCIES[frequency];
+    if (Number.isNaN(date.getTime()) || !step) return '';
+
+    if (step.days) {
+        return toIsoDate(new Date(date.getFullYear(), date.getMonth(), date.getDate() + step.days));
+    }
+    const year = date.getFullYear();
+    const month = date.getMonth() + step.months;
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    return toIsoDate(new Date(year, month, Math.min(anchorDay || date.getDate(), lastDay)));
+}
+
+/**
+ * Move a date by whole calendar months
+ * A date on the last day of its month stays at month end; other days fall back to
+ * the last day of shorter months.
+ * @param {Date} date - Date to move
+ * @param {number} months - Months to move by
+ * @returns {string} YYYY-MM-DD date
+ */
+function shiftDateByMonths(date, months) {
+    const year = date.getFullYear();
+    const month = date.getMonth() + months;
+    const isMonthEnd = date.getDate() === new Date(year, date.getMonth() + 1, 0).getDate();
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    return toIsoDate(new Date(year, month, isMonthEnd ? lastDay : Math.min(date.getDate(), lastDay)));
+}
+
+/**
+ * Write a month name in the same style as the one it replaces
+ * @param {string} original - Month name as written, e.g. 'March', 'Mar' or 'MAR'
+ * @param {number} originalIndex - Zero-based month of the original name
+ * @param {number} monthIndex - Zero-based target month
+ * @returns {string} Target month name
+ */
+function formatMonthName(original, originalIndex, monthIndex) {
+    const isFullName = original.toLowerCase() === MONTH_NAMES[originalIndex].toLowerCase();
+    const name = isFullName ? MONTH_NAMES[monthIndex] : MONTH_NAMES[monthIndex].slice(0, 3);
+    return original === original.toUpperCase() ? name.toUpperCase() : name;
+}
+
+/**
+ * Move the period references in text from one invoice date to the next
+ * Months move by the months between the two dates and quarters by the quarters between
+ * them. Full dates move by the schedule's months, keeping to month end, or by the days
+ * between the two dates for weekly schedules.
+ * @param {string} text - Text such as 'Retainer for March 2026'
+ * @param {string} fromDate - Previous invoice date
+ * @param {string} toDate - New invoice date
+ * @param {string} frequency - Key of FREQUENCIES; full dates move by days when omitted
+ * @returns {string} Text with its periods advanced
+ */
+export function advancePeriodText(text, fromDate, toDate, frequency) {
+    const from = parseDate(fromDate);
+    const to = parseDate(toDate);
+    if (!text || Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) return text;
+
+    const months = (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth();
+    const quarters = (to.getFullYear() - from.getFullYear()) * 4
+        + Math.floor(to.getMonth() / 3) - Math.floor(from.getMonth() / 3);
+    const days = Math.round((to - from) / 86400000);
+    const monthBased = Boolean(FREQUENCIES[frequency]?.months);
+    const pad = (n) => String(n).padStart(2, '0');
+    const shift = (year, monthIndex) => {
+        const date = new Date(Number(year), monthIndex + months, 1);
+        return { year: date.getFullYear(), month: date.getMonth() };
+    };
+
+    return String(text).replace(PERIOD_PATTERN, (match, isoYear, isoMonth, isoDay, ymYear, ymMonth,
+        monthName, separator, nameYear, dateDay, dateMonth, dateYear, slashMonth, slashYear,
+        quarter, quarterSeparator, quarterYear) => {
+        if (isoYear) {
+            if (monthBased) {
+                return shiftDateByMonths(new Date(Number(isoYear), Number(isoMonth) - 1, Number(isoDay)), months);
+            }
+            return toIsoDate(new Date(Number(isoYear), Number(isoMonth) - 1, Number(isoDay) + days));
+        }
+        if (dateYear) {
+            const date = new Date(Number(dateYear), Number(dateMonth) - 1, Number(dateDay));
+            if (date.getMonth() !== Number(dateMonth) - 1 || date.getDate() !== Number(dateDay)) return match;
+            const next = parseDate(monthBased
+                ? shiftDateByMonths(date, months)
+                : toIsoDate(new Date(date.getFullYear(), date.getMonth(), date.getDate() + days)));
+            const day = dateDay.length === 2 ? pad(next.getDate()) : String(next.getDate());
+            const month = dateMonth.length === 2 ? pad(next.getMonth() + 1) : String(next.getMonth() + 1);
+            return `${day}/${month}/${next.getFullYear()}`;
+        }
+        if (ymYear) {
+            if (Number(ymMonth) < 1 || Number(ymMonth) > 12) return match;
+            const next = shift(ymYear, Number(ymMonth) - 1);
+            return `${next.year}-${pad(next.month + 1)}`;
+        }
+        if (monthName) {
+            const index = MONTH_NAMES.findIndex((name) => name.slice(0, 3).toLowerCase() === monthName.slice(0, 3).toLowerCase());
+            const next = shift(nameYear, index);
+            return `${formatMonthName(monthName, index, next.month)}${separator}${next.year}`;
+        }
+        if (slashYear) {
+            if (Number(slashMonth) < 1 || Number(slashMonth) > 12) return match;
+            const next = shift(slashYear, Number(slashMonth) - 1);
+            const month = slashMonth.length === 2 ? pad(next.month + 1) : String(next.month + 1);
+            return `${month}/${next.year}`;
+        }
+        const index = Number(quarterYear) * 4 + Number(quarter) - 1 + quarters;
+        return `${match[0]}${(index % 4) + 1}${quarterSeparator}${Math.floor(index / 4)}`;
+    });
+}
+
+/**
+ * Get all recurring schedules
+ * @returns {Promise<Array>} Schedules
+ */
+export async function getSchedules() {
+    const stored = await readValue(RECURRING_KEY);
+    return Array.isArray(stored) ? stored : [];
+}
+
+/**
+ * Store the schedules
+ * @param {Array} schedules - Schedules
+ * @returns {Promise<void>} Rejects when the schedules could not be saved
+ */
+async function writeSchedules(schedules) {
+    if (!(await writeValue(RECURRING_KEY, schedules))) {
+        throw new Error('Recurring invoices could not be saved. Check the browser storage and try again.');
+    }
+}
+
+/**
+ * Get a schedule by ID
+ * @param {number} id - Schedule ID
+ * @returns {Promise<Object|undefined>} Schedule
+ */
+export async function getSchedule(id) {
+    return (await getSchedules()).find((schedule) => schedule.id === id);
+}
+
+/**
+ * Create a schedule from a saved invoice
+ * The first invoice is due one period after the saved invoice's date.
+ * @param {Object} entry - History entry to repeat
+ * @param {string} frequency - Key of FREQUENCIES
+ * @returns {Promise<Object|null>} New schedule, or null when the entry cannot be repeated;
+ *   rejects when it could not be saved
+ */
+export async function createSchedule(entry, frequency) {
+    const template = entry?.data;
+    const date = template?.invoice?.date;
+    if (!template || !FREQUENCIES[frequency] || !/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return null;
+
+    const anchorDay = Number(date.slice(8, 10));
+    const schedule = {
+        id: Date.now(),
+        frequency,
+        anchorDay,
+        nextDate: advanceDate(date, frequency, anchorDay),
+        template
+    };
+    const schedules = await getSchedules();
+    schedules.push(schedule);
+    await writeSchedules(schedules);
+    return schedule;
+}
+
+/**
+ * Delete a schedule
+ * @param {number} id - Schedule ID
+ * @returns {Promise<void>} Rejects when the change could not be saved
+ */
+export async function deleteSchedule(id) {
+    await writeSchedules((await getSchedules()).filter((schedule) => schedule.id !== id));
+}
+
+/**
+ * Get the schedules with an invoice due on or before a date
+ * @param {string} today - YYYY-MM-DD date, defaults to today
+ * @returns {Promise<Array>} Due schedules
+ */
+export async function getDueSchedules(today = getToday()) {
+    return (await getSchedules()).filter((schedule) => schedule.nextDate && schedule.nextDate <= today);
+}
+
+/**
+ * Build the next invoice of a schedule
+ * The invoice date moves to the schedule's next date, the due date keeps its distance
+ * from the invoice date, period text in item descriptions is advanced and payments
+ * are cleared. The invoice number is left for the caller to assign.
+ * @param {Object} schedule - Schedule
+ * @returns {Object} Invoice data
+ */
+export function buildScheduledInvoice(schedule) {
+    const data = JSON.parse(JSON.stringify(schedule.template));
+    const previousDate = data.invoice.date;
+    const nextDate = schedule.nextDate;
+
+    if (data.invoice.dueDate) {
+        const termDays = Math.round((parseDate(data.invoice.dueDate) - parseDate(previousDate)) / 86400000);
+        const due = parseDate(nextDate);
+        data.invoice.dueDate = Number.isFinite(termDays)
+            ? toIsoDate(new Date(due.getFullYear(), due.getMonth(), due.getDate() + termDays))
+            : '';
+    }
+    data.invoice.date = nextDate;
+    data.items = (data.items || []).map((item) => ({
+        ...item,
+        description: advancePeriodText(item.description, previousDate, nextDate, schedule.frequency)
+    }));
+
+    data.payments = [];
+    if (data.totals) {
+        data.totals.amountPaid = 0;
+        data.totals.balanceDue = data.totals.total;
+    }
+    data.meta = { ...data.meta, updatedAt: new Date().toISOString(), showInvoice: false };
+    return data;
+}
+
+/**
+ * Record that a schedule's invoice was created and move it to the next period
+ * @param {number} id - Schedule ID
+ * @param {Object} data - Invoice data that was saved
+ * @returns {Promise<void>} Rejects when the schedule could not be saved
+ */
+export async function advanceSchedule(id, data) {
+    const schedules = await getSchedules();
+    const schedule = schedules.find((item) => item.id === id);
+    if (!schedule) return;
+    schedule.template = data;
+    schedule.nextDate = advanceDate(data.invoice.date, schedule.frequency, schedule.anchorDay);
+    await writeSchedules(schedules);
+}
+
+/**
+ * Render the recurring schedules, due ones first
+ */
+export async function renderRecurringList() {
+    const list = document.getElementById('recurringList');
+    if (!list) return;
+
+    const today = getToday();
+    const schedules = (await getSchedules()).sort((a, b) => String(a.nextDate).localeCompare(String(b.nextDate)));
+    list.innerHTML = '';
+
+    if (schedules.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'history-empty';
+        empty.textContent = 'No recurring invoices yet. Use ↻ on a saved invoice to repeat it…';
+        list.appendChild(empty);
+        return;
+    }
+
+    schedules.forEach((schedule) => {
+        const { template } = schedule;
+        const settings = template.settings || {};
+        const customerName = template.billTo?.name || 'Unknown';
+        const isDue = schedule.nextDate <= today;
+
+        const item = document.createElement('div');
+        item.className = 'directory-item recurring-item';
+        item.dataset.id = schedule.id;
+
+        const info = document.createElement('div');
+        info.className = 'directory-item-info';
+
+        const title = document.createElement('div');
+        title.className = 'directory-item-title';
+        title.textContent = customerName;
+        if (isDue) {
+            const badge = document.createElement('span');
+            badge.className = 'status-badge status-sent';
+            badge.textContent = 'Due';
+            title.appendChild(badge);
+        }
+
+        const meta = document.createElement('div');
+        meta.className = 'directory-item-meta';
+        const profile = getProfile(settings.profileId);
+        meta.textContent = [
+            FREQUENCIES[schedule.frequency]?.label,
+            `Next ${formatDate(schedule.nextDate, settings.locale, settings.dateFormat)}`,
+            formatCurrency(template.totals?.total || 0, settings.currency, settings.locale),
+            profile ? profile.label : ''
+        ].filter(Boolean).join(' · ');
+
+        info.appendChild(title);
+        info.appendChild(meta);
+        item.appendChild(info);
+
+        if (isDue) {
+            const createBtn = document.createElement('button');
+            createBtn.type = 'button';
+            createBtn.className = 'ghost small recurring-create';
+            createBtn.dataset.id = schedule.id;
+            createBtn.setAttribute('aria-label', `Create the next invoice for ${customerName}`);
+            createBtn.textContent = 'Create';
+            item.appendChild(createBtn);
+        }
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'directory-item-delete';
+        deleteBtn.dataset.id = schedule.id;
+        deleteBtn.setAttribute('aria-label', `Stop recurring invoices for ${customerName}`);
+        deleteBtn.textContent = '×';
+        item.appendChild(deleteBtn);
+
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Toggle recurring panel visibility
+ * @param {boolean} show - Optional explicit show/hide
+ */
+export function toggleRecurringPanel(show) {
+    const panel = document.getElementById('recurringPanel');
+    if (!panel) return;
+
+    if (typeof show === 'boolean') {
+        panel.style.display = show ? 'block' : 'none';
+    } else {
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    }
+
+    if (panel.style.display === 'block') {
+        renderRecurringList();
+    }
+}
+
+export { FREQUENCIES, RECURRING_KEY };
@@ -0,0 +1,432 @@
+/**
+ * Reports Module
+ * Revenue reports built from invoice history, with charts drawn locally as SVG
+ *
+ * Amounts are only ever added up within one currency; each currency gets its own report.
+ * Void invoices, quotes and proforma invoices are left out. Credit notes count as negative revenue and tax, and are
+ * netted against the invoice they credit.
+ */
+
+import { getValue } from './dom.js';
+import { formatCurrency, parseDate } from './formatters.js';
+import { roundToCurrency } from './currency.js';
+import { getHistory, getEntryStatus, getEntryType, isCreditEntry } from './history.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const REPORT_PERIODS = ['month', 'quarter', 'year'];
+const TOP_LIMIT = 5;
+
+/**
+ * Get the reporting period an invoice date falls in
+ * @param {string} date - Invoice date (YYYY-MM-DD)
+ * @param {string} period - 'month', 'quarter' or 'year'
+ * @returns {string} Sortable period key such as '2026-03', '2026-Q1' or '2026', or '' if the date is invalid
+ */
+export function getReportPeriod(date, period = 'month') {
+    const parsed = parseDate(date);
+    if (!date || Number.isNaN(parsed.getTime())) return '';
+    const year = parsed.getFullYear();
+    const month = parsed.getMonth();
+    switch (period) {
+        case 'year':
+            return String(year);
+        case 'quarter':
+            return `${year}-Q${Math.floor(month / 3) + 1}`;
+        default:
+            return `${year}-${String(month + 1).padStart(2, '0')}`;
+    }
+}
+
+/**
+ * Format a period key for display
+ * @param {string} key - Period key from getReportPeriod
+ * @returns {string} Label such as 'Mar 2026', 'Q1 2026' or '2026'
+ */
+export function formatReportPeriod(key) {
+    const match = /^(\d{4})-(?:(\d{2})|Q(\d))$/.exec(key);
+    if (!match) return key || 'Undated';
+    if (match[2]) return `${MONTH_LABELS[Number(match[2]) - 1]} ${match[1]}`;
+    return `Q${match[3]} ${match[1]}`;
+}
+
+/**
+ * Get or create a running total keyed by name
+ * @param {Map} map - Totals by key
+ * @param {string} key - Key
+ * @param {Function} create - Builds a new total
+ * @returns {Object} Running total
+ */
+function getOrCreate(map, key, create) {
+    if (!map.has(key)) map.set(key, create());
+    return map.get(key);
+}
+
+/**
+ * Build revenue reports from history, one per currency
+ * Invoices marked paid count as fully paid even without recorded payments. An invoice's
+ * outstanding balance already has its credit notes taken off; whatever a credit note
+ * does not take off the balance is a refund and comes off the paid amount.
+ * @param {Array} history - History entries
+ * @param {Object} options - { period: 'month'|'quarter'|'year', today: Date }
+ * @returns {Array<Object>} Reports sorted by currency, each with currency, locale, invoiceCount,
+ *   creditNoteCount, revenue, tax, paid, outstanding, overdue, periods, customers and items
+ */
+export function buildReports(history, { period = 'month', today = new Date() } = {}) {
+    const reports = new Map();
+
+    history.forEach((entry) => {
+        const type = getEntryType(entry);
+        if (type === 'quote' || type === 'proforma') return;
+        const status = getEntryStatus(entry, today);
+        if (status === 'void') return;
+
+        const currency = entry.currency || entry.data?.settings?.currency || 'INR';
+        const report = getOrCreate(reports, currency, () => ({
+            currency,
+            locale: entry.data?.settings?.locale || '',
+            invoiceCount: 0,
+            creditNoteCount: 0,
+            revenue: 0,
+            tax: 0,
+            paid: 0,
+            outstanding: 0,
+            overdue: 0,
+            periods: new Map(),
+            customers: new Map(),
+            items: new Map()
+        }));
+
+        // Credit notes store a negative total but positive document figures
+        const isCredit = isCreditEntry(entry);
+        const sign = isCredit ? -1 : 1;
+        const total = entry.total || 0;
+        const tax = sign * (entry.data?.totals?.taxAmount || 0);
+        const balanceDue = isCredit || status === 'paid' ? 0 : Math.max(0, entry.balanceDue ?? total);
+        const count = isCredit ? 0 : 1;
+
+        if (isCredit) {
+            report.creditNoteCount += 1;
+        } else {
+            report.invoiceCount += 1;
+        }
+        report.revenue += total;
+        report.tax += tax;
+        report.paid += total - balanceDue;
+        report.outstanding += balanceDue;
+        if (status === 'overdue') report.overdue += balanceDue;
+
+        const periodKey = getReportPeriod(entry.date, period);
+        const periodTotal = getOrCreate(report.periods, periodKey, () => ({ key: periodKey, count: 0, revenue: 0, tax: 0 }));
+        periodTotal.count += count;
+        periodTotal.revenue += total;
+        periodTotal.tax += tax;
+
+        const customerName = String(entry.customerName || '').trim() || 'Unknown';
+        const customer = getOrCreate(report.customers, customerName.toLowerCase(),
+            () => ({ name: customerName, count: 0, revenue: 0 }));
+        customer.count += count;
+        customer.revenue += total;
+
+        (entry.data?.items || []).forEach((item) => {
+            const description = String(item?.description || '').trim();
+            if (!description) return;
+            const line = getOrCreate(report.items, description.toLowerCase(),
+                () => ({ description, quantity: 0, revenue: 0 }));
+            line.quantity += sign * (Number(item.quantity) || 0);
+            line.revenue += sign * (Number(item.total) || 0);
+        });
+    });
+
+    const round = (amount, currency) => roundToCurrency(amount, currency);
+    return Array.from(reports.values())
+        .sort((a, b) => a.currency.localeCompare(b.currency))
+        .map((report) => {
+            const { currency } = report;
+            return {
+                ...report,
+                revenue: round(report.revenue, currency),
+                tax: round(report.tax, currency),
+                paid: round(report.paid, currency),
+                outstanding: round(report.outstanding, currency),
+                overdue: round(report.overdue, currency),
+                periods: Array.from(report.periods.values())
+                    .sort((a, b) => a.key.localeCompare(b.key))
+                    .map((p) => ({
+                        ...p,
+                        label: formatReportPeriod(p.key),
+                        revenue: round(p.revenue, currency),
+                        tax: round(p.tax, currency)
+                    })),
+                customers: Array.from(report.customers.values())
+                    .map((c) => ({ ...c, revenue: round(c.revenue, currency) }))
+                    .sort((a, b) => b.revenue - a.revenue || a.name.localeCompare(b.name)),
+                items: Array.from(report.items.values())
+                    .map((i) => ({ ...i, revenue: round(i.revenue, currency) }))
+                    .sort((a, b) => b.revenue - a.revenue || a.description.localeCompare(b.description))
+            };
+        });
+}
+
+/**
+ * Create an SVG element with attributes
+ * @param {string} tag - SVG tag name
+ * @param {Object} attributes - Attribute values
+ * @returns {SVGElement} Element
+ */
+function createSvgElement(tag, attributes = {}) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+    return el;
+}
+
+/**
+ * Draw a column chart of revenue per period
+ * @param {Array} periods - Period totals from buildReports
+ * @param {Function} format - Formats an amount for labels
+ * @returns {SVGElement} Chart
+ */
+function createPeriodChart(periods, format) {
+    const width = 320;
+    const height = 140;
+    const labelHeight = 18;
+    const gap = 4;
+    const chartHeight = height - labelHeight;
+    const max = Math.max(...periods.map((p) => p.revenue), 0) || 1;
+    const barWidth = Math.min(48, Math.max(4, (width - gap * (periods.length - 1)) / periods.length));
+
+    const svg = createSvgElement('svg', {
+        class: 'report-chart',
+        viewBox: `0 0 ${width} ${height}`,
+        role: 'img',
+        'aria-label': 'Revenue by period'
+    });
+
+    periods.forEach((p, index) => {
+        const x = index * (barWidth + gap);
+        const barHeight = Math.max(p.revenue > 0 ? 1 : 0, (p.revenue / max) * (chartHeight - 4));
+        const bar = createSvgElement('rect', {
+            class: 'report-chart-bar',
+            x: x.toFixed(1),
+            y: (chartHeight - barHeight).toFixed(1),
+            width: barWidth.toFixed(1),
+            height: barHeight.toFixed(1),
+            rx: 2
+        });
+        const title = createSvgElement('title');
+        title.textContent = `${p.label}: ${format(p.revenue)}`;
+        bar.appendChild(title);
+        svg.appendChild(bar);
+
+        // Skip labels that would overlap when there are many periods
+        const labelEvery = Math.ceil(periods.length / 8);
+        if (index % labelEvery === 0) {
+            const label = createSvgElement('text', {
+                class: 'report-chart-label',
+                x: (x + barWidth / 2).toFixed(1),
+                y: height - 4,
+                'text-anchor': 'middle'
+            });
+            label.textContent = p.label;
+            svg.appendChild(label);
+        }
+    });
+    return svg;
+}
+
+/**
+ * Create a horizontal bar list, e.g. for top customers
+ * @param {Array<{label: string, value: number, detail: string}>} rows - Rows in display order
+ * @returns {HTMLElement} List
+ */
+function createBarList(rows) {
+    const list = document.createElement('ol');
+    list.className = 'report-bars';
+    const max = Math.max(...rows.map((row) => row.value), 0) || 1;
+
+    rows.forEach((row) => {
+        const item = document.createElement('li');
+        item.className = 'report-bar';
+
+        const text = document.createElement('div');
+        text.className = 'report-bar-text';
+        const label = document.createElement('span');
+        label.className = 'report-bar-label';
+        label.textContent = row.label;
+        const detail = document.createElement('span');
+        detail.className = 'report-bar-value';
+        detail.textContent = row.detail;
+        text.appendChild(label);
+        text.appendChild(detail);
+
+        const track = document.createElement('div');
+        track.className = 'report-bar-track';
+        const fill = document.createElement('div');
+        fill.className = 'report-bar-fill';
+        fill.style.width = `${Math.max(0, (row.value / max) * 100).toFixed(1)}%`;
+        track.appendChild(fill);
+
+        item.appendChild(text);
+        item.appendChild(track);
+        list.appendChild(item);
+    });
+    return list;
+}
+
+/**
+ * Create a titled report section
+ * @param {string} title - Section heading
+ * @param {...Node} children - Section content
+ * @returns {HTMLElement} Section
+ */
+function createSection(title, ...children) {
+    const section = document.createElement('div');
+    section.className = 'report-section';
+    const heading = document.createElement('h5');
+    heading.textContent = title;
+    section.appendChild(heading);
+    children.forEach((child) => section.appendChild(child));
+    return section;
+}
+
+/**
+ * Render the report for one currency
+ * @param {Object} report - Report from buildReports
+ * @returns {HTMLElement} Report element
+ */
+function renderCurrencyReport(report) {
+    const format = (amount) => formatCurrency(amount, report.currency, report.locale || undefined);
+
+    const container = document.createElement('section');
+    container.className = 'report-currency';
+    container.dataset.currency = report.currency;
+
+    const heading = document.createElement('h4');
+    heading.textContent = `${report.currency} · ${report.invoiceCount} invoice${report.invoiceCount === 1 ? '' : 's'}`
+        + (report.creditNoteCount > 0
+            ? ` · ${report.creditNoteCount} credit note${report.creditNoteCount === 1 ? '' : 's'}`
+            : '');
+    container.appendChild(heading);
+
+    // Headline figures
+    const stats = document.createElement('dl');
+    stats.className = 'report-stats';
+    [
+        ['Revenue', report.revenue, 'revenue'],
+        ['Tax Collected', report.tax, 'tax'],
+        ['Paid', report.paid, 'paid'],
+        ['Outstanding', report.outstanding, 'outstanding']
+    ].forEach(([label, amount, key]) => {
+        const stat = document.createElement('div');
+        stat.className = `report-stat report-stat-${key}`;
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const value = document.createElement('dd');
+        value.textContent = format(amount);
+        stat.appendChild(term);
+        stat.appendChild(value);
+        stats.appendChild(stat);
+    });
+    container.appendChild(stats);
+
+    // Outstanding versus paid
+    const split = document.createElement('div');
+    split.className = 'report-split';
+    split.setAttribute('role', 'img');
+    split.setAttribute('aria-label', `Paid ${format(report.paid)}, outstanding ${format(report.outstanding)}`);
+    const billed = report.paid + report.outstanding || 1;
+    [['paid', report.paid], ['overdue', report.overdue], ['outstanding', report.outstanding - report.overdue]]
+        .forEach(([key, amount]) => {
+            const segment = document.createElement('span');
+            segment.className = `report-split-${key}`;
+            segment.style.width = `${((amount / billed) * 100).toFixed(1)}%`;
+            split.appendChild(segment);
+        });
+    const splitNote = document.createElement('p');
+    splitNote.className = 'report-note';
+    splitNote.textContent = report.overdue > 0
+        ? `${format(report.overdue)} of the outstanding amount is overdue.`
+        : 'Nothing is overdue.';
+    container.appendChild(createSection('Paid vs Outstanding', split, splitNote));
+
+    // Revenue and tax per period
+    const table = document.createElement('table');
+    table.className = 'report-table';
+    const head = table.createTHead().insertRow();
+    ['Period', 'Invoices', 'Revenue', 'Tax'].forEach((label) => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = label;
+        head.appendChild(th);
+    });
+    const body = table.createTBody();
+    report.periods.slice().reverse().forEach((p) => {
+        const row = body.insertRow();
+        [p.label, String(p.count), format(p.revenue), format(p.tax)].forEach((value) => {
+            row.insertCell().textContent = value;
+        });
+    });
+    container.appendChild(createSection('Revenue and Tax by Period', createPeriodChart(report.periods, format), table));
+
+    container.appendChild(createSection('Top Customers', createBarList(
+        report.customers.slice(0, TOP_LIMIT).map((c) => ({
+            label: c.name,
+            value: c.revenue,
+            detail: `${format(c.revenue)} · ${c.count}`
+        }))
+    )));
+
+    if (report.items.length > 0) {
+        container.appendChild(createSection('Top Line Items', createBarList(
+            report.items.slice(0, TOP_LIMIT).map((i) => ({
+                label: i.description,
+                value: i.revenue,
+                detail: `${format(i.revenue)} · ×${i.quantity}`
+            }))
+        )));
+    }
+
+    return container;
+}
+
+/**
+ * Render the reports panel from history
+ */
+export async function renderReports() {
+    const content = document.getElementById('reportsContent');
+    if (!content) return;
+
+    const history = await getHistory();
+    const period = REPORT_PERIODS.includes(getValue('reportPeriod')) ? getValue('reportPeriod') : 'month';
+    const reports = buildReports(history, { period });
+    content.innerHTML = '';
+
+    if (reports.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'history-empty';
+        empty.textContent = 'Generate invoices to see reports here…';
+        content.appendChild(empty);
+        return;
+    }
+
+    reports.forEach((report) => content.appendChild(renderCurrencyReport(report)));
+}
+
+/**
+ * Toggle reports panel visibility
+ * @param {boolean} show - Optional explicit show/hide
+ */
+export function toggleReportsPanel(show) {
+    const panel = document.getElementById('reportsPanel');
+    if (!panel) return;
+
+    if (typeof show === 'boolean') {
+        panel.style.display = show ? 'block' : 'none';
+    } else {
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    }
+
+    if (panel.style.display === 'block') {
+        renderReports();
+    }
+}
@@ -3,39 +3,58 @@
  * Draft save/load and deep merge utilities
  */
 
+import { readValue, writeValue, deleteValue } from './db.js';
+
 const STORAGE_KEY = 'invoice.draft.v1';
 
+// Set while the stored draft is read, so early edits cannot overwrite it before it is restored
+let isLoadingDraft = false;
+
+// Last queued draft write; each write starts once the one before it has finished
+let lastWrite = Promise.resolve(true);
+
 /**
- * Save draft data to localStorage
+ * Run a draft write after the writes queued before it
+ * @param {Function} write - Starts the write and resolves with whether it succeeded
+ * @returns {Promise<boolean>} True if written
+ */
+function queueWrite(write) {
+    lastWrite = lastWrite.catch(() => false).then(write);
+    return lastWrite;
+}
+
+/**
+ * Save draft data
+ * Writes are queued in order, so callers do not need to wait for them. Nothing is
+ * written while the stored draft is still loading; the caller saves again once it has.
  * @param {Object} data - Invoice data to save
+ * @returns {Promise<boolean>} True if saved
  */
 export function saveDraft(data) {
-    try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
-    } catch (e) {
-        console.warn('Failed to save draft:', e);
-    }
+    if (isLoadingDraft) return Promise.resolve(false);
+    return queueWrite(() => writeValue(STORAGE_KEY, data));
 }
 
 /**
- * Load draft data from localStorage
- * @returns {Object|null} Saved draft or null
+ * Load the saved draft
+ * @returns {Promise<Object|null>} Saved draft or null
  */
-export function loadDraft() {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return null;
+export async function loadDraft() {
+    isLoadingDraft = true;
     try {
-        return JSON.parse(raw);
-    } catch (error) {
-        return null;
+        const draft = await readValue(STORAGE_KEY);
+        return draft && typeof draft === 'object' ? draft : null;
+    } finally {
+        isLoadingDraft = false;
     }
 }
 
 /**
  * Clear the saved draft
+ * @returns {Promise<boolean>} True if cleared
  */
 export function clearDraft() {
-    localStorage.removeItem(STORAGE_KEY);
+    return queueWrite(() => deleteValue(STORAGE_KEY));
 }
 
 /**
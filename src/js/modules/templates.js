@@ -0,0 +1,138 @@
+/**
+ * Templates Module
+ * Built-in invoice templates and theme resolution shared by the preview and the PDF
+ */
+
+/**
+ * Built-in templates
+ * scale multiplies the classic font sizes; spacing is the gap between sections in points
+ */
+const TEMPLATES = {
+    classic: {
+        label: 'Classic',
+        accentColor: '#111827',
+        headerFill: '#F3F4F6',
+        headerTextColor: '#111827',
+        borderColor: '#E5E7EB',
+        stripeColor: '#F9FAFB',
+        tableStyle: 'grid',
+        scale: 1,
+        spacing: 40,
+        pageMargins: [30, 40, 30, 40]
+    },
+    modern: {
+        label: 'Modern',
+        accentColor: '#4F46E5',
+        headerFill: null,
+        headerTextColor: '#FFFFFF',
+        borderColor: '#E5E7EB',
+        stripeColor: '#F5F7FF',
+        tableStyle: 'striped',
+        scale: 1,
+        spacing: 32,
+        pageMargins: [36, 40, 36, 40]
+    },
+    minimal: {
+        label: 'Minimal',
+        accentColor: '#374151',
+        headerFill: '',
+        headerTextColor: '#374151',
+        borderColor: '#E5E7EB',
+        stripeColor: '#F9FAFB',
+        tableStyle: 'lines',
+        scale: 1,
+        spacing: 44,
+        pageMargins: [40, 48, 40, 48]
+    },
+    compact: {
+        label: 'Compact',
+        accentColor: '#111827',
+        headerFill: '#F3F4F6',
+        headerTextColor: '#111827',
+        borderColor: '#E5E7EB',
+        stripeColor: '#F9FAFB',
+        tableStyle: 'grid',
+        scale: 0.85,
+        spacing: 20,
+        pageMargins: [24, 28, 24, 28]
+    }
+};
+
+const FONT_SIZE_SCALES = { small: 0.9, normal: 1, large: 1.15 };
+const TABLE_STYLES = ['grid', 'striped', 'lines', 'plain'];
+
+/**
+ * Normalize a template name
+ * @param {string} name - Template name
+ * @returns {string} Known template name, defaulting to 'classic'
+ */
+export function normalizeTemplate(name) {
+    return Object.prototype.hasOwnProperty.call(TEMPLATES, name) ? name : 'classic';
+}
+
+/**
+ * Get a template's default accent color
+ * @param {string} name - Template name
+ * @returns {string} Hex color
+ */
+export function getTemplateAccent(name) {
+    return TEMPLATES[normalizeTemplate(name)].accentColor;
+}
+
+/**
+ * Check for a #RRGGBB color
+ * @param {string} value - Color value
+ * @returns {boolean} True if valid
+ */
+function isHexColor(value) {
+    return /^#[0-9a-f]{6}$/i.test(String(value || ''));
+}
+
+/**
+ * Resolve the theme for an invoice from its template and theme overrides
+ * A null headerFill means "use the accent color"; an empty one means no fill.
+ * @param {Object} settings - Settings with template and theme { accentColor, fontSize, tableStyle }
+ * @returns {Object} Resolved theme with template, colors, tableStyle, scale, spacing and pageMargins
+ */
+export function resolveTheme(settings = {}) {
+    const template = normalizeTemplate(settings.template);
+    const base = TEMPLATES[template];
+    const overrides = settings.theme || {};
+    const accentColor = isHexColor(overrides.accentColor) ? overrides.accentColor.toUpperCase() : base.accentColor;
+    const fontScale = FONT_SIZE_SCALES[overrides.fontSize] ?? 1;
+
+    return {
+        template,
+        accentColor,
+        headerFill: base.headerFill === null ? accentColor : base.headerFill,
+        headerTextColor: base.headerTextColor,
+        borderColor: base.borderColor,
+        stripeColor: base.stripeColor,
+        tableStyle: TABLE_STYLES.includes(overrides.tableStyle) ? overrides.tableStyle : base.tableStyle,
+        scale: Math.round(base.scale * fontScale * 100) / 100,
+        spacing: base.spacing,
+        pageMargins: base.pageMargins.slice()
+    };
+}
+
+/**
+ * Apply a resolved theme to the HTML preview
+ * @param {HTMLElement} element - Invoice preview element
+ * @param {Object} theme - Theme from resolveTheme
+ */
+export function applyThemeToPreview(element, theme) {
+    if (!element) return;
+    Object.keys(TEMPLATES).forEach((name) => element.classList.remove(`template-${name}`));
+    TABLE_STYLES.forEach((style) => element.classList.remove(`table-${style}`));
+    element.classList.add(`template-${theme.template}`, `table-${theme.tableStyle}`);
+
+    element.style.setProperty('--invoice-accent', theme.accentColor);
+    element.style.setProperty('--invoice-header-fill', theme.headerFill || 'transparent');
+    element.style.setProperty('--invoice-header-text', theme.headerTextColor);
+    element.style.setProperty('--invoice-border', theme.borderColor);
+    element.style.setProperty('--invoice-stripe', theme.stripeColor);
+    element.style.setProperty('--invoice-scale', String(theme.scale));
+    element.style.setProperty('--invoice-spacing', `${theme.spacing}px`);
+}
+
+export { TEMPLATES, TABLE_STYLES };
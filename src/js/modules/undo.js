@@ -0,0 +1,119 @@
+/**
+ * Undo Module
+ * Undo and redo of form edits, kept as a stack of form snapshots
+ *
+ * Every sync of the form records a snapshot when the form has changed. A run of quick
+ * typing is merged into one step; removing rows, imports, history loads and resets
+ * are always steps of their own. Snapshots live in memory only.
+ */
+
+const MAX_STEPS = 100;
+const MERGE_WINDOW_MS = 1000;
+
+let undoStack = [];
+let redoStack = [];
+let current = null;
+let lastRecordedAt = 0;
+let lastWasMerged = false;
+let isRestoring = false;
+
+/**
+ * Serialize the parts of invoice data that undo restores
+ * Meta only describes when the data was saved and whether the preview is shown.
+ * @param {Object} data - Invoice data
+ * @returns {string} Snapshot
+ */
+function toSnapshot(data) {
+    const { meta, ...rest } = data;
+    return JSON.stringify(rest);
+}
+
+/**
+ * Record the form's state after an edit
+ * @param {Object} data - Invoice data from the form
+ * @param {Object} options - { merge: true for typing, which joins quick edits into one step }
+ */
+export function recordSnapshot(data, { merge = false } = {}) {
+    if (isRestoring) return;
+    const snapshot = toSnapshot(data);
+    if (snapshot === current) return;
+
+    const now = Date.now();
+    const extendsStep = merge && lastWasMerged && now - lastRecordedAt < MERGE_WINDOW_MS;
+    if (current !== null && !extendsStep) {
+        undoStack.push(current);
+        if (undoStack.length > MAX_STEPS) undoStack.shift();
+    }
+    current = snapshot;
+    redoStack = [];
+    lastRecordedAt = now;
+    lastWasMerged = merge;
+    updateUndoButtons();
+}
+
+/**
+ * Put a snapshot back into the form
+ * @param {string} snapshot - Snapshot to restore
+ * @param {Function} apply - Receives the invoice data and applies it to the form
+ */
+function restoreSnapshot(snapshot, apply) {
+    current = snapshot;
+    lastWasMerged = false;
+    isRestoring = true;
+    try {
+        apply(JSON.parse(snapshot));
+    } finally {
+        isRestoring = false;
+    }
+    updateUndoButtons();
+}
+
+/**
+ * Undo the last form edit
+ * @param {Function} apply - Receives the earlier invoice data and applies it to the form
+ * @returns {boolean} True if there was an edit to undo
+ */
+export function undo(apply) {
+    if (undoStack.length === 0) return false;
+    redoStack.push(current);
+    restoreSnapshot(undoStack.pop(), apply);
+    return true;
+}
+
+/**
+ * Redo the last undone form edit
+ * @param {Function} apply - Receives the later invoice data and applies it to the form
+ * @returns {boolean} True if there was an edit to redo
+ */
+export function redo(apply) {
+    if (redoStack.length === 0) return false;
+    undoStack.push(current);
+    restoreSnapshot(redoStack.pop(), apply);
+    return true;
+}
+
+/**
+ * Check whether there is an edit to undo
+ * @returns {boolean} True if undo is possible
+ */
+export function canUndo() {
+    return undoStack.length > 0;
+}
+
+/**
+ * Check whether there is an undone edit to redo
+ * @returns {boolean} True if redo is possible
+ */
+export function canRedo() {
+    return redoStack.length > 0;
+}
+
+/**
+ * Enable the undo and redo buttons when there is something to undo or redo
+ */
+export function updateUndoButtons() {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    if (undoBtn) undoBtn.disabled = !canUndo();
+    if (redoBtn) redoBtn.disabled = !canRedo();
+}
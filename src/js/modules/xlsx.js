@@ -0,0 +1,185 @@
+/**
+ * XLSX Module
+ * Minimal in-browser spreadsheet writer: one or more plain sheets of text and numbers,
+ * packed into an uncompressed ZIP container
+ */
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * Compute the CRC-32 checksum used by ZIP
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned checksum
+ */
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Pack files into a ZIP archive without compression
+ * @param {Array<{name: string, data: Uint8Array}>} files - Files in archive order
+ * @returns {Uint8Array} ZIP bytes
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(({ name, data }) => {
+        const nameBytes = encoder.encode(name);
+        const crc = crc32(data);
+
+        // Local file header; the DOS date 0x0021 is 1 January 1980
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(12, 0x0021, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(14, 0x0021, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, nameBytes.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(new Uint8Array(entry.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach((part) => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
+
+/**
+ * Escape text for XML, dropping characters XML cannot hold
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Get the spreadsheet column letter for a zero-based index
+ * @param {number} index - Column index
+ * @returns {string} Column letters, e.g. 'A', 'Z', 'AA'
+ */
+function columnName(index) {
+    let name = '';
+    let n = index + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        name = String.fromCharCode(65 + remainder) + name;
+        n = Math.floor((n - 1) / 26);
+    }
+    return name;
+}
+
+/**
+ * Build the XML for one worksheet
+ * Numbers are written as numeric cells, everything else as inline text.
+ * @param {Array<Array>} rows - Rows of cell values, header row first
+ * @returns {string} Worksheet XML
+ */
+function buildSheetXml(rows) {
+    const rowXml = rows.map((row, rowIndex) => {
+        const cells = row.map((value, columnIndex) => {
+            if (value === null || value === undefined || value === '') return '';
+            const ref = `${columnName(columnIndex)}${rowIndex + 1}`;
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                return `<c r="${ref}"><v>${value}</v></c>`;
+            }
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        }).join('');
+        return `<row r="${rowIndex + 1}">${cells}</row>`;
+    }).join('');
+    return `${XML_HEADER}<worksheet xmlns="${SHEET_NS}"><sheetData>${rowXml}</sheetData></worksheet>`;
+}
+
+/**
+ * Create an XLSX workbook
+ * @param {Array<{name: string, rows: Array<Array>}>} sheets - Sheets with a name of up to 31 characters
+ *   and rows of cell values
+ * @returns {Uint8Array} XLSX file bytes
+ */
+export function createXlsx(sheets) {
+    const encoder = new TextEncoder();
+    const sheetEntries = sheets.map((sheet, index) => ({
+        id: index + 1,
+        name: String(sheet.name || `Sheet${index + 1}`).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31),
+        xml: buildSheetXml(sheet.rows || [])
+    }));
+
+    const contentTypes = `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + sheetEntries.map((sheet) => `<Override PartName="/xl/worksheets/sheet${sheet.id}.xml" `
+            + 'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>').join('')
+        + '</Types>';
+    const rootRels = `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">`
+        + `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>`
+        + '</Relationships>';
+    const workbook = `${XML_HEADER}<workbook xmlns="${SHEET_NS}" xmlns:r="${REL_NS}"><sheets>`
+        + sheetEntries.map((sheet) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${sheet.id}" r:id="rId${sheet.id}"/>`).join('')
+        + '</sheets></workbook>';
+    const workbookRels = `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">`
+        + sheetEntries.map((sheet) => `<Relationship Id="rId${sheet.id}" Type="${REL_NS}/worksheet" `
+            + `Target="worksheets/sheet${sheet.id}.xml"/>`).join('')
+        + '</Relationships>';
+
+    return createZip([
+        { name: '[Content_Types].xml', data: encoder.encode(contentTypes) },
+        { name: '_rels/.rels', data: encoder.encode(rootRels) },
+        { name: 'xl/workbook.xml', data: encoder.encode(workbook) },
+        { name: 'xl/_rels/workbook.xml.rels', data: encoder.encode(workbookRels) },
+        ...sheetEntries.map((sheet) => ({
+            name: `xl/worksheets/sheet${sheet.id}.xml`,
+            data: encoder.encode(sheet.xml)
+        }))
+    ]);
+}
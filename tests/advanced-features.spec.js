@@ -89,6 +89,200 @@ test.describe('Advanced Invoice Features', () => {
         expect(data.text).toContain('2,100');
     });
 
+    test('should apply per-line tax rates and group tax by rate', async ({ page }) => {
+        await page.fill('#taxRate', '10');
+
+        // Second line is an exempt reimbursement
+        await page.click('#addItemBtn');
+        const rows = page.locator('.item-row');
+        await rows.nth(1).locator('.item-description').fill('Travel Reimbursement');
+        await rows.nth(1).locator('.item-quantity').fill('1');
+        await rows.nth(1).locator('.item-unit-price').fill('500');
+        await rows.nth(1).locator('.item-tax-rate').fill('0');
+
+        // Third line uses a reduced rate
+        await page.click('#addItemBtn');
+        await rows.nth(2).locator('.item-description').fill('Printed Manual');
+        await rows.nth(2).locator('.item-quantity').fill('1');
+        await rows.nth(2).locator('.item-unit-price').fill('1000');
+        await rows.nth(2).locator('.item-tax-rate').fill('5');
+
+        // Tax: 10% of 2000 + 0% of 500 + 5% of 1000 = 250
+        // Total: 3500 + 250 - 0 = 3750
+        await page.click('button:has-text("Generate Bill")');
+        await expect(page.locator('#invoice')).toBeVisible();
+
+        await expect(page.locator('#taxColumnHeader')).toBeVisible();
+        await expect(page.locator('#taxBreakdownRows')).toContainText('Tax (5%)');
+        await expect(page.locator('#taxBreakdownRows')).toContainText('Tax (10%)');
+        await expect(page.locator('#taxBreakdownRows')).not.toContainText('Tax (0%)');
+        await expect(page.locator('#displayTaxLabel')).toHaveText('Total Tax');
+        await expect(page.locator('#displayTaxAmount')).toContainText('250');
+        await expect(page.locator('#displayBalanceDue')).toContainText('3,750');
+
+        const downloadPromise = page.waitForEvent('download');
+        await page.click('#downloadBtn');
+        const download = await downloadPromise;
+        const path = await download.path();
+
+        const pdfBuffer = fs.readFileSync(path);
+        const data = await pdfParse(pdfBuffer);
+
+        expect(data.text).toContain('TAX');
+        expect(data.text).toContain('Tax (5%)');
+        expect(data.text).toContain('Tax (10%)');
+        expect(data.text).toContain('Total Tax');
+        expect(data.text).toContain('3,750');
+    });
+
+    test('should apply percentage discount before tax and per-line discounts', async ({ page }) => {
+        await page.fill('#taxRate', '10');
+        await page.fill('.item-discount', '10%');
+        await page.fill('#discountAmount', '5');
+        await page.selectOption('#discountType', 'percent');
+        await page.selectOption('#discountApplication', 'beforeTax');
+
+        // Line: 2 * 1000 = 2000, less 10% = 1800
+        // Subtotal: 1800
+        // Discount: 5% of 1800 = 90
+        // Tax: 10% of 1710 = 171
+        // Total: 1800 - 90 + 171 = 1881
+        await expect(page.locator('.item-total').first()).toContainText('1,800');
+
+        await page.click('button:has-text("Generate Bill")');
+        await expect(page.locator('#invoice')).toBeVisible();
+
+        await expect(page.locator('#discountColumnHeader')).toBeVisible();
+        await expect(page.locator('#displaySubtotal')).toContainText('1,800');
+        await expect(page.locator('#displayDiscountLabel')).toHaveText('Discount (5%)');
+        await expect(page.locator('#displayDiscount')).toContainText('90');
+        await expect(page.locator('#displayTaxAmount')).toContainText('171');
+        await expect(page.locator('#displayBalanceDue')).toContainText('1,881');
+
+        // Discount applied before tax is listed above the tax row
+        const labels = await page.locator('#totalsBreakdown .totals-label').allInnerTexts();
+        expect(labels.indexOf('Discount (5%)')).toBeLessThan(labels.indexOf('Tax (10%)'));
+
+        const downloadPromise = page.waitForEvent('download');
+        await page.click('#downloadBtn');
+        const download = await downloadPromise;
+        const path = await download.path();
+
+        const pdfBuffer = fs.readFileSync(path);
+        const data = await pdfParse(pdfBuffer);
+
+        expect(data.text).toContain('DISCOUNT');
+        expect(data.text).toContain('Discount (5%)');
+        expect(data.text).toContain('1,881');
+
+        // JSON export carries the discount settings
+        await page.click('#exportJsonBtn');
+        const exported = JSON.parse(await page.locator('#jsonData').inputValue());
+        expect(exported.items[0].discount).toEqual({ type: 'percent', value: 10 });
+        expect(exported.totals.discountType).toBe('percent');
+        expect(exported.totals.discountApplication).toBe('beforeTax');
+    });
+
+    test('should add taxable and non-taxable charges to the totals', async ({ page }) => {
+        await page.fill('#taxRate', '10');
+
+        await page.click('#addChargeBtn');
+        await page.click('#addChargeBtn');
+        const charges = page.locator('.charge-row');
+        await expect(charges).toHaveCount(2);
+
+        await charges.nth(0).locator('.charge-name').fill('Shipping');
+        await charges.nth(0).locator('.charge-amount').fill('200');
+        await charges.nth(0).locator('.charge-taxable').check();
+        await charges.nth(1).locator('.charge-name').fill('Packaging');
+        await charges.nth(1).locator('.charge-amount').fill('50');
+
+        // Subtotal: 2000
+        // Charges: 200 (taxable) + 50 (exempt)
+        // Tax: 10% of 2200 = 220
+        // Total: 2000 + 250 + 220 = 2470
+        await expect(page.locator('#formCharges')).toContainText('250');
+
+        await page.click('button:has-text("Generate Bill")');
+        await expect(page.locator('#invoice')).toBeVisible();
+
+        await expect(page.locator('#chargeRows')).toContainText('Shipping');
+        await expect(page.locator('#chargeRows')).toContainText('Packaging');
+        await expect(page.locator('#displayTaxAmount')).toContainText('220');
+        await expect(page.locator('#displayBalanceDue')).toContainText('2,470');
+
+        const downloadPromise = page.waitForEvent('download');
+        await page.click('#downloadBtn');
+        const download = await downloadPromise;
+        const path = await download.path();
+
+        const pdfBuffer = fs.readFileSync(path);
+        const data = await pdfParse(pdfBuffer);
+
+        expect(data.text).toContain('Shipping');
+        expect(data.text).toContain('Packaging');
+        expect(data.text).toContain('2,470');
+
+        // Removing a charge updates the total
+        await charges.nth(1).locator('.remove-charge').click();
+        await expect(charges).toHaveCount(1);
+        await expect(page.locator('#displayBalanceDue')).toContainText('2,420');
+    });
+
+    test('should subtract recorded payments from the balance due', async ({ page }) => {
+        await page.click('#addPaymentBtn');
+        await page.click('#addPaymentBtn');
+        const payments = page.locator('.payment-row');
+        await expect(payments).toHaveCount(2);
+
+        await payments.nth(0).locator('.payment-date').fill('2025-01-10');
+        await payments.nth(0).locator('.payment-amount').fill('500');
+        await payments.nth(0).locator('.payment-method').selectOption('UPI');
+        await payments.nth(0).locator('.payment-reference').fill('UTR123456');
+        await payments.nth(1).locator('.payment-amount').fill('250');
+
+        // Total: 2000, paid 750, balance 1250
+        await expect(page.locator('#formAmountPaid')).toContainText('750');
+        await expect(page.locator('#formBalanceDue')).toContainText('1,250');
+
+        await page.click('button:has-text("Generate Bill")');
+        await expect(page.locator('#invoice')).toBeVisible();
+
+        await expect(page.locator('#displayTotal')).toContainText('2,000');
+        await expect(page.locator('#displayAmountPaid')).toContainText('750');
+        await expect(page.locator('#displayBalanceLabel')).toHaveText('Balance Due');
+        await expect(page.locator('#displayBalanceDue')).toContainText('1,250');
+
+        const downloadPromise = page.waitForEvent('download');
+        await page.click('#downloadBtn');
+        const download = await downloadPromise;
+        const path = await download.path();
+
+        const data = await pdfParse(fs.readFileSync(path));
+        expect(data.text).toContain('Amount Paid');
+        expect(data.text).toContain('Balance Due');
+        expect(data.text).toContain('1,250');
+
+        // Payments travel with the invoice JSON
+        await page.click('#exportJsonBtn');
+        const exported = JSON.parse(await page.locator('#jsonData').inputValue());
+        expect(exported.payments[0]).toEqual({
+            date: '2025-01-10',
+            amount: 500,
+            method: 'UPI',
+            reference: 'UTR123456'
+        });
+        expect(exported.totals.amountPaid).toBe(750);
+        expect(exported.totals.balanceDue).toBe(1250);
+
+        // Removing every payment brings back the plain total
+        await payments.nth(1).locator('.remove-payment').click();
+        await payments.nth(0).locator('.remove-payment').click();
+        await expect(page.locator('#amountPaidRow')).toBeHidden();
+        await expect(page.locator('#displayBalanceLabel')).toHaveText('Total');
+        await expect(page.locator('#displayBalanceDue')).toContainText('2,000');
+    });
+
     test('should display due date when provided', async ({ page }) => {
         const today = new Date().toISOString().split('T')[0];
         // Set info
@@ -115,6 +309,37 @@ test.describe('Advanced Invoice Features', () => {
         expect(data.text).toContain('31/12/2025');
     });
 
+    test('should format amounts and dates for the selected locale', async ({ page }) => {
+        await page.fill('#invoiceDate', '2025-12-31');
+        await page.fill('#currencyCode', 'EUR');
+        await page.fill('.item-unit-price', '50000');
+        await page.selectOption('#invoiceLocale', 'de-DE');
+
+        // 2 * 50000 = 100000, German grouping rather than Indian lakh grouping
+        await page.click('button:has-text("Generate Bill")');
+        await expect(page.locator('#displayBalanceDue')).toContainText('100.000,00');
+        await expect(page.locator('#displayInvoiceDate')).toHaveText('31.12.2025');
+
+        await page.selectOption('#invoiceLocale', 'en-US');
+        await expect(page.locator('#displayBalanceDue')).toContainText('100,000.00');
+        await expect(page.locator('#displayInvoiceDate')).toHaveText('12/31/2025');
+
+        await page.selectOption('#dateFormat', 'long');
+        await expect(page.locator('#displayInvoiceDate')).toHaveText('December 31, 2025');
+
+        await page.selectOption('#dateFormat', 'YYYY-MM-DD');
+        await expect(page.locator('#displayInvoiceDate')).toHaveText('2025-12-31');
+
+        const downloadPromise = page.waitForEvent('download');
+        await page.click('#downloadBtn');
+        const download = await downloadPromise;
+        const path = await download.path();
+
+        const data = await pdfParse(fs.readFileSync(path));
+        expect(data.text).toContain('2025-12-31');
+        expect(data.text).toContain('100,000.00');
+    });
+
     test('should hide due date if not provided', async ({ page }) => {
         // Ensure due date is empty
         await page.fill('#invoiceDueDate', '');
@@ -148,6 +373,104 @@ test.describe('Advanced Invoice Features', () => {
         expect(balance).toContain('$');
     });
 
+    test('should use the currency minor unit for JPY and KWD', async ({ page }) => {
+        await page.fill('#currencyCode', 'JPY');
+        await page.fill('.item-unit-price', '1000.4');
+        await page.fill('#taxRate', '10');
+
+        // 2 * 1000.4 = 2000.8 rounds to ¥2,001; tax 200.1 rounds to ¥200
+        await page.click('button:has-text("Generate Bill")');
+        const yen = await page.locator('#displayBalanceDue').innerText();
+        expect(yen).toContain('2,201');
+        expect(yen).not.toContain('.');
+
+        await page.fill('#currencyCode', 'KWD');
+        await page.fill('.item-unit-price', '1.2345');
+        await page.fill('#taxRate', '5');
+
+        // 2 * 1.2345 = 2.469; tax 0.12345 rounds to 0.123
+        await page.click('button:has-text("Generate Bill")');
+        await expect(page.locator('#displayBalanceDue')).toContainText('2.592');
+    });
+
+    test('should round tax per line or per invoice', async ({ page }) => {
+        await page.fill('.item-quantity', '1');
+        await page.fill('.item-unit-price', '0.05');
+        await page.fill('#taxRate', '18');
+        for (let i = 0; i < 6; i++) {
+            await page.click('#addItemBtn');
+            const row = page.locator('.item-row').last();
+            await row.locator('.item-description').fill(`Item ${i + 2}`);
+            await row.locator('.item-unit-price').fill('0.05');
+        }
+
+        // Seven lines of 0.009 tax each
+        await page.selectOption('#roundingScope', 'line');
+        await expect(page.locator('#formTaxAmount')).toContainText('0.07');
+
+        await page.selectOption('#roundingScope', 'invoice');
+        await expect(page.locator('#formTaxAmount')).toContainText('0.06');
+    });
+
+    test('should apply the selected template to the preview and PDF', async ({ page }) => {
+        await page.selectOption('#invoiceTemplate', 'modern');
+        await expect(page.locator('#themeAccent')).toHaveValue('#4f46e5');
+        await page.fill('#themeAccent', '#0f766e');
+        await page.selectOption('#themeTableStyle', 'lines');
+        await page.selectOption('#themeFontSize', 'large');
+
+        await page.click('button:has-text("Generate Bill")');
+        const invoice = page.locator('#invoice');
+        await expect(invoice).toHaveClass(/template-modern/);
+        await expect(invoice).toHaveClass(/table-lines/);
+        await expect(page.locator('.invoice-title h1')).toHaveCSS('color', 'rgb(15, 118, 110)');
+
+        const downloadPromise = page.waitForEvent('download');
+        await page.click('#downloadBtn');
+        const download = await downloadPromise;
+        const path = await download.path();
+
+        const data = await pdfParse(fs.readFileSync(path));
+        expect(data.text).toContain('Premium Widget');
+        expect(data.text).toContain('2,000');
+
+        // The choice is stored in settings
+        await page.click('#exportJsonBtn');
+        const exported = JSON.parse(await page.locator('#jsonData').inputValue());
+        expect(exported.settings.template).toBe('modern');
+        expect(exported.settings.theme).toEqual({ accentColor: '#0f766e', fontSize: 'large', tableStyle: 'lines' });
+    });
+
+    test('should show an uploaded logo in the preview and PDF', async ({ page }) => {
+        // 1x1 transparent PNG
+        const png = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+        await page.setInputFiles('#logoFile', { name: 'logo.png', mimeType: 'image/png', buffer: png });
+        await expect(page.locator('#logoPreview')).toBeVisible();
+
+        await page.selectOption('#logoPosition', 'right');
+        await page.fill('#logoMaxSize', '80');
+        await page.click('button:has-text("Generate Bill")');
+
+        const logo = page.locator('.invoice-title #displayLogo');
+        await expect(logo).toBeVisible();
+        await expect(logo).toHaveAttribute('src', /^data:image\/png;base64,/);
+        await expect(logo).toHaveCSS('max-width', '80px');
+
+        const downloadPromise = page.waitForEvent('download');
+        await page.click('#downloadBtn');
+        const download = await downloadPromise;
+        const path = await download.path();
+
+        const data = await pdfParse(fs.readFileSync(path));
+        expect(data.text).toContain('Advanced Seller Ltd');
+
+        // The logo is kept outside the draft and can be removed
+        const stored = await page.evaluate(() => localStorage.getItem('invoice.logo'));
+        expect(stored).toMatch(/^data:image\/png/);
+        await page.click('#removeLogoBtn');
+        await expect(page.locator('#displayLogo')).toBeHidden();
+    });
+
     test('should include custom notes and instructions in PDF', async ({ page }) => {
         const notes = 'My custom notes';
         const instructions = 'Please pay via Bank Transfer';
@@ -232,6 +555,160 @@ test.describe('History and JSON I/O', () => {
         await expect(page.locator('.history-empty')).toBeVisible();
     });
 
+    test('should track payment status in history without loading the invoice', async ({ page }) => {
+        await page.fill('#sellerName', 'Status Seller');
+        await page.fill('#sellerAddress', 'Address');
+        await page.fill('#billToName', 'Late Payer');
+        await page.fill('#billToAddress', 'Address');
+        await page.fill('#invoiceNumber', 'STAT-001');
+        await page.fill('#invoiceDueDate', '2020-01-31');
+        await page.fill('.item-description', 'Item');
+        await page.fill('.item-quantity', '1');
+        await page.fill('.item-unit-price', '100');
+        await page.click('button:has-text("Generate Bill")');
+
+        await page.click('#historyToggle');
+        const historyItem = page.locator('.history-item').first();
+        await expect(historyItem.locator('.status-badge')).toHaveText('Draft');
+
+        // Sent invoices past their due date show as overdue
+        await page.fill('#invoiceNumber', 'OTHER-001');
+        await historyItem.locator('.history-item-status').selectOption('sent');
+        await expect(historyItem.locator('.status-badge')).toHaveText('Overdue');
+        await expect(page.locator('#invoiceNumber')).toHaveValue('OTHER-001');
+
+        await historyItem.locator('.history-item-status').selectOption('paid');
+        await expect(historyItem.locator('.status-badge')).toHaveText('Paid');
+
+        // The status is stored with the invoice
+        await page.reload();
+        await page.click('#historyToggle');
+        await expect(page.locator('.history-item-status').first()).toHaveValue('paid');
+    });
+
+    test('should mark invoices with payments as partially paid or paid', async ({ page }) => {
+        await page.fill('#sellerName', 'Status Seller');
+        await page.fill('#sellerAddress', 'Address');
+        await page.fill('#billToName', 'Customer');
+        await page.fill('#billToAddress', 'Address');
+        await page.fill('#invoiceNumber', 'STAT-002');
+        await page.fill('.item-description', 'Item');
+        await page.fill('.item-quantity', '1');
+        await page.fill('.item-unit-price', '100');
+
+        await page.click('#addPaymentBtn');
+        await page.fill('.payment-amount', '40');
+        await page.click('button:has-text("Generate Bill")');
+
+        await page.click('#historyToggle');
+        const badge = page.locator('.history-item').first().locator('.status-badge');
+        await expect(badge).toHaveText('Partially Paid');
+
+        await page.fill('.payment-amount', '100');
+        await page.click('button:has-text("Generate Bill")');
+        await page.click('#historyToggle');
+        await page.click('#historyToggle');
+        await expect(badge).toHaveText('Paid');
+    });
+
+    test('should keep a manually paid invoice paid when it is regenerated', async ({ page }) => {
+        await page.fill('#sellerName', 'Status Seller');
+        await page.fill('#sellerAddress', 'Address');
+        await page.fill('#billToName', 'Customer');
+        await page.fill('#billToAddress', 'Address');
+        await page.fill('#invoiceNumber', 'STAT-003');
+        await page.fill('#invoiceDueDate', '2020-01-31');
+        await page.fill('.item-description', 'Item');
+        await page.fill('.item-quantity', '1');
+        await page.fill('.item-unit-price', '100');
+        await page.click('button:has-text("Generate Bill")');
+
+        await page.click('#historyToggle');
+        const badge = page.locator('.history-item').first().locator('.status-badge');
+        await page.locator('.history-item-status').first().selectOption('paid');
+        await expect(badge).toHaveText('Paid');
+
+        await page.click('button:has-text("Generate Bill")');
+        await page.click('#historyToggle');
+        await page.click('#historyToggle');
+        await expect(badge).toHaveText('Paid');
+
+        // Paid set by payments goes back to sent once the payments are removed
+        await page.click('#addPaymentBtn');
+        await page.fill('.payment-amount', '100');
+        await page.click('button:has-text("Generate Bill")');
+        await page.click('.remove-payment');
+        await page.click('button:has-text("Generate Bill")');
+        await page.click('#historyToggle');
+        await page.click('#historyToggle');
+        await expect(badge).toHaveText('Overdue');
+    });
+
+    test('should search, filter and sort history', async ({ page }) => {
+        const invoices = [
+            { number: 'FIND-9', customer: 'Acme Corp', item: 'Website redesign', price: '900', currency: 'USD', date: '2026-01-10', notes: '' },
+            { number: 'FIND-10', customer: 'Beta LLC', item: 'Hosting', price: '50', currency: 'EUR', date: '2026-02-10', notes: 'PO 7731' },
+            { number: 'FIND-2', customer: 'Gamma Inc', item: 'Support retainer', price: '300', currency: 'USD', date: '2026-03-10', notes: '' }
+        ];
+        await page.fill('#sellerName', 'History Seller');
+        await page.fill('#sellerAddress', 'Address');
+        await page.fill('#billToAddress', 'Address');
+        await page.fill('.item-quantity', '1');
+        for (const invoice of invoices) {
+            await page.fill('#billToName', invoice.customer);
+            await page.fill('#invoiceNumber', invoice.number);
+            await page.fill('#invoiceDate', invoice.date);
+            await page.fill('#currencyCode', invoice.currency);
+            await page.fill('#invoiceNotes', invoice.notes);
+            await page.fill('.item-description', invoice.item);
+            await page.fill('.item-unit-price', invoice.price);
+            await page.click('button:has-text("Generate Bill")');
+        }
+
+        await page.click('#historyToggle');
+        const titles = page.locator('.history-item-title');
+        await expect(titles).toHaveCount(3);
+        await expect(titles.first()).toContainText('#FIND-2');
+
+        // Search covers item descriptions and notes
+        await page.fill('#historySearch', 'redesign');
+        await expect(titles).toHaveCount(1);
+        await expect(titles.first()).toContainText('Acme Corp');
+        await page.fill('#historySearch', 'po 7731');
+        await expect(titles).toHaveCount(1);
+        await expect(titles.first()).toContainText('Beta LLC');
+        await page.fill('#historySearch', 'nothing like this');
+        await expect(page.locator('.history-empty')).toHaveText('No invoices match your search.');
+        await page.fill('#historySearch', '');
+
+        await page.selectOption('#historyCurrency', 'USD');
+        await page.fill('#historyAmountMin', '500');
+        await expect(titles).toHaveCount(1);
+        await expect(titles.first()).toContainText('#FIND-9');
+        await expect(page.locator('#historyCount')).toHaveText('Showing 1 of 3 invoices');
+        await page.selectOption('#historyCurrency', '');
+        await page.fill('#historyAmountMin', '');
+
+        await page.fill('#historyDateFrom', '2026-02-01');
+        await page.fill('#historyDateTo', '2026-02-28');
+        await expect(titles).toHaveCount(1);
+        await expect(titles.first()).toContainText('#FIND-10');
+        await page.fill('#historyDateFrom', '');
+        await page.fill('#historyDateTo', '');
+
+        await page.selectOption('#historySort', 'number-asc');
+        await expect(titles).toContainText(['#FIND-2', '#FIND-9', '#FIND-10']);
+        await page.selectOption('#historySort', 'total-desc');
+        await expect(titles).toContainText(['#FIND-9', '#FIND-2', '#FIND-10']);
+
+        // Filtered items still load from the keyboard
+        await page.fill('#historySearch', 'hosting');
+        await expect(titles).toHaveCount(1);
+        await page.locator('.history-item').first().focus();
+        await page.keyboard.press('Enter');
+        await expect(page.locator('#invoiceNumber')).toHaveValue('FIND-10');
+    });
+
     test('should import JSON from textarea', async ({ page }) => {
         const exportData = {
             schemaVersion: 1,
@@ -0,0 +1,91 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+/**
+ * Product/Service Catalog Tests
+ *
+ * Covers:
+ * - Adding and editing catalog items
+ * - Line item autocomplete from the catalog
+ * - CSV import and JSON export of the catalog
+ */
+
+test.describe('Catalog', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/');
+        await page.evaluate(() => localStorage.clear());
+        await page.reload();
+
+        await page.fill('#sellerName', 'Catalog Seller');
+        await page.fill('#sellerAddress', 'Seller Street');
+        await page.fill('#billToName', 'Catalog Customer');
+        await page.fill('#billToAddress', 'Customer Street');
+    });
+
+    test('should fill a line item from a catalog entry', async ({ page }) => {
+        await page.click('#catalogToggle');
+        await page.click('#newCatalogItemBtn');
+        await page.fill('#catalogEditDescription', 'Design Consultation');
+        await page.fill('#catalogEditUnitPrice', '1500');
+        await page.fill('#catalogEditQuantity', '2');
+        await page.fill('#catalogEditUnit', 'hrs');
+        await page.fill('#catalogEditTaxRate', '18');
+        await page.click('#saveCatalogItemBtn');
+
+        const entry = page.locator('#catalogList .directory-item');
+        await expect(entry).toHaveCount(1);
+        await expect(entry).toContainText('Design Consultation');
+
+        // Editing keeps a single entry
+        await entry.click();
+        await page.fill('#catalogEditUnitPrice', '1600');
+        await page.click('#saveCatalogItemBtn');
+        await expect(entry).toHaveCount(1);
+
+        await page.fill('.item-description', 'Design Consultation');
+        await expect(page.locator('.item-unit-price')).toHaveValue('1600');
+        await expect(page.locator('.item-quantity')).toHaveValue('2');
+        await expect(page.locator('.item-tax-rate')).toHaveValue('18');
+
+        await page.click('button:has-text("Generate Bill")');
+        await expect(page.locator('#displayItemsBody')).toContainText('2 hrs');
+        await expect(page.locator('#displayBalanceDue')).toContainText('3,776');
+
+        const downloadPromise = page.waitForEvent('download');
+        await page.click('#downloadBtn');
+        const download = await downloadPromise;
+        const path = await download.path();
+
+        const data = await pdfParse(fs.readFileSync(path));
+        expect(data.text).toContain('2 hrs');
+    });
+
+    test('should import catalog entries from CSV and include them in JSON export', async ({ page }) => {
+        page.on('dialog', async d => await d.accept());
+        await page.click('#catalogToggle');
+        await page.setInputFiles('#catalogImportFile', {
+            name: 'catalog.csv',
+            mimeType: 'text/csv',
+            buffer: Buffer.from('description,unitPrice,quantity,unit,taxRate\n"Hosting, monthly",999,12,months,\nSupport,500,1,hrs,5\n')
+        });
+
+        await expect(page.locator('#catalogList .directory-item')).toHaveCount(2);
+        await expect(page.locator('#catalogOptions option')).toHaveCount(2);
+
+        await page.click('#exportJsonBtn');
+        const exported = JSON.parse(await page.locator('#jsonData').inputValue());
+        expect(exported.catalog).toHaveLength(2);
+        expect(exported.catalog[0]).toMatchObject({
+            description: 'Hosting, monthly',
+            unitPrice: 999,
+            quantity: 12,
+            unit: 'months',
+            taxRate: null
+        });
+    });
+});
@@ -0,0 +1,81 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+
+/**
+ * Credit Note Tests
+ *
+ * Covers:
+ * - Creating a credit note for selected lines of a saved invoice
+ * - Credit note numbering, title and reference to the original invoice
+ * - Balances and reports netting credit notes against the original
+ */
+
+test.describe('Credit Notes', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/');
+        await page.evaluate(() => localStorage.clear());
+        await page.reload();
+
+        await page.fill('#sellerName', 'Credit Seller');
+        await page.fill('#sellerAddress', 'Seller Street');
+        await page.fill('#billToName', 'Acme');
+        await page.fill('#billToAddress', 'Customer Street');
+        await page.fill('#invoiceNumber', '7');
+        await page.fill('#invoiceDate', '2026-01-15');
+        await page.fill('#taxRate', '10');
+        await page.fill('.item-description', 'Consulting');
+        await page.fill('.item-quantity', '2');
+        await page.fill('.item-unit-price', '100');
+        await page.click('#addItemBtn');
+        await page.locator('.item-description').nth(1).fill('Travel');
+        await page.locator('.item-quantity').nth(1).fill('1');
+        await page.locator('.item-unit-price').nth(1).fill('50');
+        await page.click('button:has-text("Generate Bill")');
+        await expect(page.locator('#displayInvoiceNumber')).toHaveText('7');
+    });
+
+    test('should credit selected lines against the original invoice', async ({ page }) => {
+        await page.click('#historyToggle');
+        page.once('dialog', (dialog) => dialog.accept('2'));
+        await page.click('.history-item-credit');
+
+        await expect(page.locator('#invoiceTitle')).toHaveValue('CREDIT NOTE');
+        await expect(page.locator('#invoiceNumber')).toHaveValue('CN-1');
+        await expect(page.locator('#creditNoteNotice')).toContainText('7 dated');
+        await expect(page.locator('.item-description')).toHaveCount(1);
+        await expect(page.locator('.item-description')).toHaveValue('Travel');
+
+        await page.click('button:has-text("Generate Bill")');
+        await expect(page.locator('#displayInvoiceNumber')).toHaveText('CN-1');
+        await expect(page.locator('#displayNumberLabel')).toHaveText('Credit Note Number:');
+        await expect(page.locator('#displayCreditedInvoice')).toContainText('7 dated');
+        await expect(page.locator('#displayBalanceDue')).toHaveText('₹55.00');
+
+        await page.click('#historyToggle');
+        const credit = page.locator('.history-item', { hasText: '#CN-1' });
+        await expect(credit).toContainText('Credit Note');
+        await expect(credit).toContainText('-₹55.00');
+        await expect(page.locator('.history-item', { hasText: '#7 -' })).toContainText('Credited ₹55.00');
+
+        await page.click('#reportsToggle');
+        const report = page.locator('.report-currency[data-currency="INR"]');
+        await expect(report.locator('h4')).toHaveText('INR · 1 invoice · 1 credit note');
+        await expect(report.locator('.report-stat-revenue dd')).toHaveText('₹220.00');
+        await expect(report.locator('.report-stat-tax dd')).toHaveText('₹20.00');
+        await expect(report.locator('.report-stat-outstanding dd')).toHaveText('₹220.00');
+    });
+
+    test('should keep the invoice sequence separate from credit notes', async ({ page }) => {
+        await page.click('#historyToggle');
+        page.once('dialog', (dialog) => dialog.accept(''));
+        await page.click('.history-item-credit');
+        await expect(page.locator('.item-description')).toHaveCount(2);
+        await page.click('button:has-text("Generate Bill")');
+        await expect(page.locator('#displayInvoiceNumber')).toHaveText('CN-1');
+
+        page.once('dialog', (dialog) => dialog.accept());
+        await page.click('#resetDraftBtn');
+        await expect(page.locator('#invoiceNumber')).toHaveValue('8');
+        await expect(page.locator('#creditNoteNotice')).toBeHidden();
+    });
+});
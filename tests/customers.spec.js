@@ -0,0 +1,79 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+
+/**
+ * Customer Address Book Tests
+ *
+ * Covers:
+ * - Customers remembered from generated invoices
+ * - Bill To autocomplete filling contact details
+ * - Editing defaults (currency, tax rate, payment terms) in the address book
+ */
+
+test.describe('Customer Address Book', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/');
+        await page.evaluate(() => localStorage.clear());
+        await page.reload();
+
+        await page.fill('#sellerName', 'Address Book Seller');
+        await page.fill('#sellerAddress', 'Seller Street');
+        await page.fill('.item-description', 'Monthly Retainer');
+        await page.fill('.item-quantity', '1');
+        await page.fill('.item-unit-price', '1000');
+    });
+
+    test('should remember customers and fill Bill To from their name', async ({ page }) => {
+        await page.fill('#billToName', 'Acme Corp');
+        await page.fill('#billToAddress', '1 Road Runner Way');
+        await page.fill('#billToEmail', 'billing@acme.test');
+        await page.fill('#billToPhone', '+1 555 0100');
+        await page.click('button:has-text("Generate Bill")');
+
+        await expect(page.locator('#customerOptions option')).toHaveCount(1);
+        await expect(page.locator('#customerOptions option')).toHaveAttribute('value', 'Acme Corp');
+
+        page.on('dialog', async d => await d.accept());
+        await page.click('#resetDraftBtn');
+        await expect(page.locator('#billToAddress')).toHaveValue('');
+
+        await page.fill('#billToName', 'acme corp');
+        await expect(page.locator('#billToName')).toHaveValue('Acme Corp');
+        await expect(page.locator('#billToAddress')).toHaveValue('1 Road Runner Way');
+        await expect(page.locator('#billToEmail')).toHaveValue('billing@acme.test');
+        await expect(page.locator('#billToPhone')).toHaveValue('+1 555 0100');
+    });
+
+    test('should apply customer defaults edited in the address book', async ({ page }) => {
+        await page.click('#customersToggle');
+        await page.click('#newCustomerBtn');
+        await page.fill('#customerEditName', 'Globex');
+        await page.fill('#customerEditAddress', 'Cypress Creek');
+        await page.fill('#customerEditCurrency', 'usd');
+        await page.fill('#customerEditTaxRate', '8');
+        await page.fill('#customerEditTerms', '30');
+        await page.click('#saveCustomerBtn');
+
+        const item = page.locator('#customerList .directory-item');
+        await expect(item).toHaveCount(1);
+        await expect(item).toContainText('Globex');
+        await expect(item).toContainText('USD · Tax 8% · Net 30');
+
+        await page.fill('#invoiceDate', '2025-01-15');
+        await page.fill('#billToName', 'Globex');
+        await expect(page.locator('#billToAddress')).toHaveValue('Cypress Creek');
+        await expect(page.locator('#currencyCode')).toHaveValue('USD');
+        await expect(page.locator('#taxRate')).toHaveValue('8');
+        await expect(page.locator('#invoiceDueDate')).toHaveValue('2025-02-14');
+        await expect(page.locator('#formTaxAmount')).toContainText('80');
+
+        // Generating the invoice keeps the defaults set in the address book
+        await page.click('button:has-text("Generate Bill")');
+        const stored = await page.evaluate(() => JSON.parse(localStorage.getItem('invoice.customers')));
+        expect(stored).toHaveLength(1);
+        expect(stored[0]).toMatchObject({ name: 'Globex', currency: 'USD', taxRate: 8, paymentTerms: 30 });
+
+        await item.locator('.directory-item-delete').click();
+        await expect(page.locator('#customerList .directory-item')).toHaveCount(0);
+    });
+});
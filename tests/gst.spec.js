@@ -0,0 +1,153 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+/**
+ * GST Invoice Tests
+ *
+ * Covers:
+ * - GSTIN checksum validation
+ * - CGST/SGST split for intra-state supply
+ * - IGST for inter-state supply
+ * - HSN/SAC column and tax breakup table in preview and PDF
+ * - Tax breakup adding up to the invoice's tax
+ */
+
+const SELLER_GSTIN = '27AAPFU0939F1ZV'; // Maharashtra
+const BUYER_GSTIN = '29AAGCB7383J1Z4'; // Karnataka
+
+test.describe('GST Mode', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/');
+        await page.evaluate(() => localStorage.clear());
+        await page.reload();
+
+        await page.fill('#sellerName', 'GST Seller Pvt Ltd');
+        await page.fill('#sellerAddress', 'Pune, Maharashtra');
+        await page.fill('#billToName', 'GST Buyer');
+        await page.fill('#billToAddress', 'Bengaluru, Karnataka');
+        await page.fill('#taxRate', '18');
+
+        await page.check('#gstMode');
+        await page.fill('#sellerGstin', SELLER_GSTIN);
+        await page.fill('.item-description', 'Consulting Services');
+        await page.fill('.item-hsn', '998311');
+        await page.fill('.item-quantity', '1');
+        await page.fill('.item-unit-price', '10000');
+    });
+
+    test('should show GST fields only in GST mode', async ({ page }) => {
+        await expect(page.locator('#sellerGstin')).toBeVisible();
+        await expect(page.locator('.item-hsn').first()).toBeVisible();
+
+        await page.uncheck('#gstMode');
+        await expect(page.locator('#sellerGstin')).toBeHidden();
+        await expect(page.locator('.item-hsn').first()).toBeHidden();
+    });
+
+    test('should reject a GSTIN with a bad checksum', async ({ page }) => {
+        await page.fill('#sellerGstin', '27AAPFU0939F1ZX');
+        await page.selectOption('#placeOfSupply', '27');
+        await expect(page.locator('#sellerGstin')).toHaveAttribute('aria-invalid', 'true');
+
+        await Promise.all([
+            page.waitForEvent('dialog').then(async dialog => {
+                expect(dialog.message()).toContain('Seller GSTIN');
+                await dialog.accept();
+            }),
+            page.click('button:has-text("Generate Bill")')
+        ]);
+    });
+
+    test('should split tax into CGST and SGST for intra-state supply', async ({ page }) => {
+        await page.selectOption('#placeOfSupply', '27');
+        await page.click('button:has-text("Generate Bill")');
+        await expect(page.locator('#invoice')).toBeVisible();
+
+        await expect(page.locator('#displaySellerGstin')).toContainText(SELLER_GSTIN);
+        await expect(page.locator('#displayPlaceOfSupply')).toContainText('Maharashtra (27)');
+        await expect(page.locator('#hsnColumnHeader')).toBeVisible();
+        await expect(page.locator('#taxBreakdownRows')).toContainText('CGST (9%)');
+        await expect(page.locator('#taxBreakdownRows')).toContainText('SGST (9%)');
+        await expect(page.locator('#gstSummary')).toBeVisible();
+        await expect(page.locator('#gstSummaryBody')).toContainText('998311');
+        await expect(page.locator('#displayBalanceDue')).toContainText('11,800');
+
+        const downloadPromise = page.waitForEvent('download');
+        await page.click('#downloadBtn');
+        const download = await downloadPromise;
+        const path = await download.path();
+
+        const data = await pdfParse(fs.readFileSync(path));
+        expect(data.text).toContain('HSN/SAC');
+        expect(data.text).toContain('CGST (9%)');
+        expect(data.text).toContain('SGST (9%)');
+        expect(data.text).toContain('TAX BREAKUP');
+        expect(data.text).toContain(SELLER_GSTIN);
+    });
+
+    test('should keep the tax breakup equal to the invoice tax', async ({ page }) => {
+        const results = await page.evaluate(async () => {
+            const { calculateTotals } = await import('/src/js/modules/calculations.js');
+            const { calculateGstBreakup } = await import('/src/js/modules/gst.js');
+            const line = (unitPrice, hsn) => ({ description: 'Item', quantity: 1, unitPrice, hsn, total: unitPrice });
+            const cases = [
+                [line(0.14, '998311'), line(0.14, '998312')],
+                [line(10.25, '998311'), line(10.25, '998311'), line(10.25, '998312')]
+            ];
+            return cases.map((items) => {
+                const totals = calculateTotals(items, 18, 0, [], [], { currency: 'INR' });
+                const breakup = calculateGstBreakup(items, totals, true);
+                const rowTax = breakup.rows.reduce((sum, row) => sum + Math.round(row.taxAmount * 100), 0);
+                return { taxAmount: totals.taxAmount, breakupTax: breakup.taxAmount, rowTax: rowTax / 100 };
+            });
+        });
+
+        expect(results[0]).toEqual({ taxAmount: 0.05, breakupTax: 0.05, rowTax: 0.05 });
+        expect(results[1]).toEqual({ taxAmount: 5.54, breakupTax: 5.54, rowTax: 5.54 });
+    });
+
+    test('should split an odd paisa once per rate in the tax breakup', async ({ page }) => {
+        const result = await page.evaluate(async () => {
+            const { calculateTotals } = await import('/src/js/modules/calculations.js');
+            const { calculateGstBreakup, getGstTaxRows } = await import('/src/js/modules/gst.js');
+            const line = (hsn) => ({ description: 'Item', quantity: 1, unitPrice: 0.03, hsn, total: 0.03 });
+            const items = [line('998311'), line('998312')];
+            const totals = calculateTotals(items, 18, 0, [], [], { currency: 'INR', roundingScope: 'line' });
+            const breakup = calculateGstBreakup(items, totals, true);
+            return {
+                rows: breakup.rows.map((row) => [row.cgst, row.sgst]),
+                breakup: [breakup.cgst, breakup.sgst],
+                totals: getGstTaxRows(totals).map((row) => row.amount)
+            };
+        });
+
+        expect(result.rows).toEqual([[0.01, 0], [0, 0.01]]);
+        expect(result.breakup).toEqual([0.01, 0.01]);
+        expect(result.totals).toEqual([0.01, 0.01]);
+    });
+
+    test('should charge IGST for inter-state supply from customer GSTIN', async ({ page }) => {
+        await page.fill('#billToGstin', BUYER_GSTIN);
+        await page.click('button:has-text("Generate Bill")');
+        await expect(page.locator('#invoice')).toBeVisible();
+
+        await expect(page.locator('#displayPlaceOfSupply')).toContainText('Karnataka (29)');
+        await expect(page.locator('#displayTaxLabel')).toHaveText('IGST (18%)');
+        await expect(page.locator('#gstSummaryHead')).toContainText('IGST RATE');
+        await expect(page.locator('#gstSummaryHead')).not.toContainText('CGST');
+
+        const downloadPromise = page.waitForEvent('download');
+        await page.click('#downloadBtn');
+        const download = await downloadPromise;
+        const path = await download.path();
+
+        const data = await pdfParse(fs.readFileSync(path));
+        expect(data.text).toContain('IGST (18%)');
+        expect(data.text).toContain(BUYER_GSTIN);
+    });
+});
@@ -0,0 +1,105 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+
+/**
+ * History Export Tests
+ *
+ * Covers:
+ * - CSV export with one row per invoice or per line item
+ * - Exports following the history panel filters
+ * - Document type column telling quotes apart from invoices
+ * - XLSX export generated in the browser
+ */
+
+test.describe('History Export', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/');
+        await page.evaluate(() => localStorage.clear());
+        await page.reload();
+
+        await page.fill('#sellerName', 'Export Seller');
+        await page.fill('#sellerAddress', 'Seller Street');
+        await page.fill('#billToAddress', 'Customer Street');
+        await page.fill('#taxRate', '10');
+
+        await page.fill('#billToName', 'Acme, Inc.');
+        await page.fill('#invoiceNumber', 'EXP-1');
+        await page.fill('#invoiceDate', '2026-01-15');
+        await page.fill('.item-description', 'Consulting');
+        await page.fill('.item-quantity', '2');
+        await page.fill('.item-unit-price', '100');
+        await page.click('#addItemBtn');
+        await page.locator('.item-description').nth(1).fill('Travel');
+        await page.locator('.item-quantity').nth(1).fill('1');
+        await page.locator('.item-unit-price').nth(1).fill('50');
+        await page.click('button:has-text("Generate Bill")');
+
+        await page.fill('#billToName', 'Globex');
+        await page.fill('#invoiceNumber', 'EXP-2');
+        await page.fill('#invoiceDate', '2026-04-02');
+        await page.click('button:has-text("Generate Bill")');
+        await expect(page.locator('#displayInvoiceNumber')).toHaveText('EXP-2');
+
+        await page.click('#historyToggle');
+        await expect(page.locator('.history-item')).toHaveCount(2);
+    });
+
+    test('should export one CSV row per invoice', async ({ page }) => {
+        const downloadPromise = page.waitForEvent('download');
+        await page.click('#exportHistoryCsvBtn');
+        const download = await downloadPromise;
+        expect(download.suggestedFilename()).toMatch(/^invoices-\d{4}-\d{2}-\d{2}\.csv$/);
+
+        const lines = fs.readFileSync(await download.path(), 'utf8').replace(/^\uFEFF/, '').trim().split('\r\n');
+        expect(lines[0]).toBe('Invoice Number,Type,Invoice Date,Due Date,Customer,Customer GSTIN,Status,Currency,'
+            + 'Subtotal,Discount,Charges,Tax,Total,Amount Paid,Balance Due');
+        expect(lines).toHaveLength(3);
+        expect(lines).toContain('EXP-1,Invoice,2026-01-15,,"Acme, Inc.",,Draft,INR,250,0,0,25,275,0,275');
+    });
+
+    test('should export line items for the filtered invoices', async ({ page }) => {
+        await page.fill('#historyDateTo', '2026-03-31');
+        await expect(page.locator('.history-item')).toHaveCount(1);
+        await page.selectOption('#historyExportMode', 'items');
+
+        const downloadPromise = page.waitForEvent('download');
+        await page.click('#exportHistoryCsvBtn');
+        const download = await downloadPromise;
+        const lines = fs.readFileSync(await download.path(), 'utf8').replace(/^\uFEFF/, '').trim().split('\r\n');
+        expect(lines.slice(1)).toEqual([
+            'EXP-1,Invoice,2026-01-15,"Acme, Inc.",Draft,INR,1,Consulting,,2,,100,0,200,10,20',
+            'EXP-1,Invoice,2026-01-15,"Acme, Inc.",Draft,INR,2,Travel,,1,,50,0,50,10,5'
+        ]);
+    });
+
+    test('should mark quotes with their document type', async ({ page }) => {
+        await page.selectOption('#invoiceType', 'quote');
+        await expect(page.locator('#invoiceNumber')).toHaveValue('QT-1');
+        await page.click('button:has-text("Generate Bill")');
+        await expect(page.locator('.history-item')).toHaveCount(3);
+
+        const downloadPromise = page.waitForEvent('download');
+        await page.click('#exportHistoryCsvBtn');
+        const download = await downloadPromise;
+        const lines = fs.readFileSync(await download.path(), 'utf8').replace(/^\uFEFF/, '').trim().split('\r\n');
+        expect(lines.find((line) => line.startsWith('QT-1,'))).toMatch(/^QT-1,Quote,/);
+        expect(lines.find((line) => line.startsWith('EXP-2,'))).toMatch(/^EXP-2,Invoice,/);
+    });
+
+    test('should export an XLSX workbook', async ({ page }) => {
+        const downloadPromise = page.waitForEvent('download');
+        await page.click('#exportHistoryXlsxBtn');
+        const download = await downloadPromise;
+        expect(download.suggestedFilename()).toMatch(/\.xlsx$/);
+
+        const bytes = fs.readFileSync(await download.path());
+        expect(bytes.subarray(0, 2).toString()).toBe('PK');
+        const text = bytes.toString('utf8');
+        expect(text).toContain('xl/worksheets/sheet1.xml');
+        expect(text).toContain('<t xml:space="preserve">Acme, Inc.</t>');
+    });
+});
@@ -0,0 +1,154 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+
+/**
+ * Invoice Numbering Tests
+ *
+ * Covers:
+ * - Numbering patterns with prefix, year and zero-padded sequence tokens
+ * - Increment/decrement of patterned and legacy numbers
+ * - Next-number suggestion on reset, including yearly sequence resets
+ * - Sequence resets only for patterns with a year token
+ * - Duplicate number protection and sequence gap warnings
+ */
+
+test.describe('Invoice Numbering', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/');
+        await page.evaluate(() => localStorage.clear());
+        await page.reload();
+
+        await page.fill('#sellerName', 'Numbering Seller');
+        await page.fill('#sellerAddress', 'Seller Street');
+        await page.fill('#billToName', 'Acme Traders');
+        await page.fill('#billToAddress', 'Customer Street');
+        await page.fill('.item-description', 'Widget');
+    });
+
+    test('should step legacy numbers without losing their text', async ({ page }) => {
+        await page.fill('#invoiceNumber', 'INV-2026-009');
+        await page.click('#incrementInvoice');
+        await expect(page.locator('#invoiceNumber')).toHaveValue('INV-2026-010');
+        await page.click('#decrementInvoice');
+        await page.click('#decrementInvoice');
+        await expect(page.locator('#invoiceNumber')).toHaveValue('INV-2026-008');
+    });
+
+    test('should follow the numbering pattern and reset the sequence each year', async ({ page }) => {
+        page.on('dialog', async d => await d.accept());
+        await page.fill('#numberPattern', '{PREFIX}/{YYYY}/{SEQ:3}');
+        await page.fill('#numberPrefix', 'RB');
+        await page.selectOption('#numberReset', 'yearly');
+        await page.fill('#invoiceDate', '2026-03-15');
+        await page.fill('#invoiceNumber', 'RB/2026/007');
+
+        await page.click('#incrementInvoice');
+        await expect(page.locator('#invoiceNumber')).toHaveValue('RB/2026/008');
+
+        await page.click('button:has-text("Generate Bill")');
+        await expect(page.locator('#displayInvoiceNumber')).toHaveText('RB/2026/008');
+
+        // Reset suggests the next number in the sequence and keeps the pattern
+        await page.click('#resetDraftBtn');
+        await expect(page.locator('#numberPattern')).toHaveValue('{PREFIX}/{YYYY}/{SEQ:3}');
+        const year = new Date().getFullYear();
+        const expected = year === 2026 ? 'RB/2026/009' : `RB/${year}/001`;
+        await expect(page.locator('#invoiceNumber')).toHaveValue(expected);
+
+        // The sequence never drops below 1
+        await page.fill('#invoiceDate', '2027-01-05');
+        await page.fill('#invoiceNumber', 'RB/2027/001');
+        await page.click('#decrementInvoice');
+        await expect(page.locator('#invoiceNumber')).toHaveValue('RB/2027/001');
+        await page.click('#incrementInvoice');
+        await expect(page.locator('#invoiceNumber')).toHaveValue('RB/2027/002');
+    });
+
+    test('should not reset the sequence when the pattern has no year', async ({ page }) => {
+        await expect(page.locator('#numberResetWarning')).toBeHidden();
+        await page.selectOption('#numberReset', 'yearly');
+        await expect(page.locator('#numberResetWarning')).toBeVisible();
+
+        const suggested = await page.evaluate(async () => {
+            const { suggestInvoiceNumber } = await import('/src/js/modules/numbering.js');
+            return suggestInvoiceNumber({ pattern: '{SEQ}', reset: 'yearly' }, { date: '2026-01-05' }, [
+                { number: '1', date: '2025-03-01' },
+                { number: '2', date: '2025-04-01' }
+            ]);
+        });
+        expect(suggested).toBe('3');
+
+        await page.fill('#numberPattern', '{YYYY}-{SEQ}');
+        await expect(page.locator('#numberResetWarning')).toBeHidden();
+    });
+
+    test('should protect an existing invoice number used for another customer', async ({ page }) => {
+        await page.fill('#invoiceNumber', '5');
+        await page.click('button:has-text("Generate Bill")');
+
+        // Regenerating the same customer's invoice updates it without asking
+        await page.click('button:has-text("Generate Bill")');
+
+        await page.fill('#billToName', 'Globex');
+        let message = '';
+        page.once('dialog', async d => {
+            message = d.message();
+            await d.accept('3');
+        });
+        await page.click('button:has-text("Generate Bill")');
+        await expect.poll(() => message).toContain('Invoice 5 already exists for Acme Traders');
+        await expect(page.locator('#invoiceNumber')).toHaveValue('6');
+        await expect(page.locator('#displayInvoiceNumber')).toHaveText('6');
+
+        // Saving as a revision keeps both invoices
+        await page.fill('#billToName', 'Initech');
+        await page.fill('#invoiceNumber', '5');
+        page.once('dialog', async d => await d.accept('2'));
+        await page.click('button:has-text("Generate Bill")');
+        await expect(page.locator('#invoiceNumber')).toHaveValue('5-R2');
+
+        await page.click('#historyToggle');
+        await expect(page.locator('.history-item-title')).toContainText([
+            '#5-R2 - Initech',
+            '#6 - Globex',
+            '#5 - Acme Traders'
+        ]);
+    });
+
+    test('should not overwrite an earlier invoice for the same customer', async ({ page }) => {
+        await page.fill('#invoiceDate', '2025-03-01');
+        await page.fill('#invoiceNumber', '1');
+        await page.click('button:has-text("Generate Bill")');
+
+        await page.fill('#invoiceDate', '2026-01-05');
+        await page.fill('#invoiceNumber', '1');
+        let message = '';
+        page.once('dialog', async d => {
+            message = d.message();
+            await d.accept('3');
+        });
+        await page.click('button:has-text("Generate Bill")');
+        await expect.poll(() => message).toContain('Invoice 1 already exists for Acme Traders');
+        await expect(page.locator('#displayInvoiceNumber')).toHaveText('2');
+
+        await page.click('#historyToggle');
+        await expect(page.locator('.history-item')).toHaveCount(2);
+    });
+
+    test('should flag gaps in the number sequence', async ({ page }) => {
+        await page.fill('#invoiceNumber', '1');
+        await page.click('button:has-text("Generate Bill")');
+
+        await page.fill('#invoiceNumber', '4');
+        let message = '';
+        page.once('dialog', async d => {
+            message = d.message();
+            await d.dismiss();
+        });
+        await page.click('button:has-text("Generate Bill")');
+        await expect.poll(() => message).toContain('numbers 2 to 3 have not been issued yet');
+
+        await page.click('#historyToggle');
+        await expect(page.locator('.history-item')).toHaveCount(1);
+    });
+});
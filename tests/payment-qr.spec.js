@@ -0,0 +1,106 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+/**
+ * Payment QR Code Tests
+ *
+ * Covers:
+ * - UPI QR code on INR invoices in the preview and PDF
+ * - Hiding the QR for other currencies and invalid UPI IDs
+ * - SEPA EPC QR code (GiroCode) on EUR invoices with IBAN validation
+ */
+
+test.describe('Payment QR Codes', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/');
+        await page.evaluate(() => localStorage.clear());
+        await page.reload();
+
+        await page.fill('#sellerName', 'QR Seller');
+        await page.fill('#sellerAddress', 'Seller Street');
+        await page.fill('#billToName', 'QR Customer');
+        await page.fill('#billToAddress', 'Customer Street');
+        await page.fill('.item-description', 'Consulting');
+        await page.fill('.item-quantity', '1');
+        await page.fill('.item-unit-price', '2500');
+    });
+
+    test('should show a UPI QR code beside the instructions on INR invoices', async ({ page }) => {
+        await page.fill('#invoiceInstructions', 'Pay within 15 days.');
+        await page.fill('#upiId', 'qrseller@okaxis');
+        await page.fill('#upiName', 'QR Seller Pvt Ltd');
+
+        await page.click('button:has-text("Generate Bill")');
+        await expect(page.locator('#paymentQr')).toBeVisible();
+        await expect(page.locator('#paymentQrCode svg')).toHaveCount(1);
+        await expect(page.locator('#paymentQrCaption')).toHaveText('Scan to pay with UPI');
+        await expect(page.locator('#paymentQrDetail')).toHaveText('qrseller@okaxis');
+
+        const downloadPromise = page.waitForEvent('download');
+        await page.click('#downloadBtn');
+        const download = await downloadPromise;
+        const path = await download.path();
+
+        const data = await pdfParse(fs.readFileSync(path));
+        expect(data.text).toContain('Pay within 15 days.');
+        expect(data.text).toContain('Scan to pay with UPI');
+        expect(data.text).toContain('qrseller@okaxis');
+
+        // UPI details travel with the invoice JSON
+        await page.click('#exportJsonBtn');
+        const exported = JSON.parse(await page.locator('#jsonData').inputValue());
+        expect(exported.seller.upiId).toBe('qrseller@okaxis');
+        expect(exported.seller.upiName).toBe('QR Seller Pvt Ltd');
+    });
+
+    test('should hide the UPI QR code for other currencies and invalid UPI IDs', async ({ page }) => {
+        await page.fill('#upiId', 'not-a-upi-id');
+        await page.click('button:has-text("Generate Bill")');
+        await expect(page.locator('#upiId')).toHaveAttribute('aria-invalid', 'true');
+        await expect(page.locator('#paymentQr')).toBeHidden();
+
+        await page.fill('#upiId', 'qrseller@okaxis');
+        await expect(page.locator('#paymentQr')).toBeVisible();
+
+        await page.fill('#currencyCode', 'USD');
+        await expect(page.locator('#paymentQr')).toBeHidden();
+        await expect(page.locator('#upiId')).toBeHidden();
+    });
+
+    test('should show an EPC QR code on EUR invoices with a valid IBAN', async ({ page }) => {
+        await page.fill('#currencyCode', 'EUR');
+        await expect(page.locator('#upiId')).toBeHidden();
+
+        await page.fill('#sepaIban', 'DE88 3704 0044 0532 0130 00');
+        await page.click('button:has-text("Generate Bill")');
+        await expect(page.locator('#sepaIban')).toHaveAttribute('aria-invalid', 'true');
+        await expect(page.locator('#paymentQr')).toBeHidden();
+
+        await page.fill('#sepaIban', 'de89 3704 0044 0532 0130 00');
+        await page.fill('#sepaBic', 'COBADEFFXXX');
+        await page.fill('#sepaName', 'QR Seller GmbH');
+        await expect(page.locator('#sepaIban')).toHaveAttribute('aria-invalid', 'false');
+        await expect(page.locator('#paymentQr')).toBeVisible();
+        await expect(page.locator('#paymentQrCaption')).toHaveText('Scan to pay with your banking app');
+        await expect(page.locator('#paymentQrDetail')).toHaveText('DE89 3704 0044 0532 0130 00');
+
+        const downloadPromise = page.waitForEvent('download');
+        await page.click('#downloadBtn');
+        const download = await downloadPromise;
+        const path = await download.path();
+
+        const data = await pdfParse(fs.readFileSync(path));
+        expect(data.text).toContain('Scan to pay with your banking app');
+        expect(data.text).toContain('DE89 3704 0044 0532 0130 00');
+
+        await page.click('#exportJsonBtn');
+        const exported = JSON.parse(await page.locator('#jsonData').inputValue());
+        expect(exported.seller.iban).toBe('DE89370400440532013000');
+        expect(exported.seller.bic).toBe('COBADEFFXXX');
+    });
+});
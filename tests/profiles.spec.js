@@ -0,0 +1,96 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+
+/**
+ * Seller Profile Tests
+ *
+ * Covers:
+ * - Saving and switching seller profiles
+ * - Per-profile numbering sequence
+ * - Reset Draft keeping the active profile
+ * - Profile remembered on history entries
+ */
+
+/**
+ * Fill the seller section and save it as a profile
+ * @param {import('@playwright/test').Page} page
+ * @param {Object} seller
+ */
+async function saveProfile(page, seller) {
+    await page.selectOption('#sellerProfile', '');
+    await page.fill('#sellerName', seller.name);
+    await page.fill('#sellerAddress', seller.address);
+    await page.fill('#sellerEmail', seller.email);
+    await page.fill('#invoiceInstructions', seller.instructions);
+    await page.fill('#currencyCode', seller.currency);
+    page.once('dialog', async d => await d.accept(seller.label));
+    await page.click('#saveProfileBtn');
+}
+
+test.describe('Seller Profiles', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/');
+        await page.evaluate(() => localStorage.clear());
+        await page.reload();
+
+        await saveProfile(page, {
+            label: 'Consulting',
+            name: 'Rijal Consulting',
+            address: '1 Advisory Lane',
+            email: 'hello@consulting.test',
+            instructions: 'Pay to consulting account',
+            currency: 'INR'
+        });
+        await saveProfile(page, {
+            label: 'Products',
+            name: 'Rijal Products LLC',
+            address: '99 Warehouse Rd',
+            email: 'sales@products.test',
+            instructions: 'Pay to products account',
+            currency: 'USD'
+        });
+    });
+
+    test('should fill the seller section when switching profiles', async ({ page }) => {
+        await expect(page.locator('#sellerProfile option')).toHaveCount(3);
+
+        await page.selectOption('#sellerProfile', { label: 'Consulting' });
+        await expect(page.locator('#sellerName')).toHaveValue('Rijal Consulting');
+        await expect(page.locator('#sellerEmail')).toHaveValue('hello@consulting.test');
+        await expect(page.locator('#invoiceInstructions')).toHaveValue('Pay to consulting account');
+        await expect(page.locator('#currencyCode')).toHaveValue('INR');
+
+        await page.selectOption('#sellerProfile', { label: 'Products' });
+        await expect(page.locator('#sellerName')).toHaveValue('Rijal Products LLC');
+        await expect(page.locator('#currencyCode')).toHaveValue('USD');
+    });
+
+    test('should keep the active profile and its numbering on reset', async ({ page }) => {
+        await page.selectOption('#sellerProfile', { label: 'Products' });
+        await page.fill('#billToName', 'Customer');
+        await page.fill('#billToAddress', 'Customer Street');
+        await page.fill('#invoiceNumber', '41');
+        await page.fill('.item-description', 'Widget');
+        await page.click('button:has-text("Generate Bill")');
+
+        page.on('dialog', async d => await d.accept());
+        await page.click('#resetDraftBtn');
+
+        await expect(page.locator('#sellerProfile option:checked')).toHaveText('Products');
+        await expect(page.locator('#sellerName')).toHaveValue('Rijal Products LLC');
+        await expect(page.locator('#billToName')).toHaveValue('');
+        await expect(page.locator('#invoiceNumber')).toHaveValue('42');
+
+        // The other profile keeps its own sequence
+        await page.selectOption('#sellerProfile', { label: 'Consulting' });
+        await page.click('#resetDraftBtn');
+        await expect(page.locator('#invoiceNumber')).toHaveValue('1');
+
+        // Loading the history entry restores its profile
+        await page.click('#historyToggle');
+        await expect(page.locator('.history-item-meta').first()).toContainText('Products');
+        await page.locator('.history-item').first().click();
+        await expect(page.locator('#sellerProfile option:checked')).toHaveText('Products');
+        await expect(page.locator('#invoiceNumber')).toHaveValue('41');
+    });
+});
@@ -0,0 +1,79 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+
+/**
+ * Quote and Proforma Invoice Tests
+ *
+ * Covers:
+ * - Document type switching the title, number series and due date field
+ * - Validity date and quote statuses in the preview and history
+ * - Converting an accepted quote into an invoice with the same items
+ */
+
+test.describe('Quotes and Proforma Invoices', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/');
+        await page.evaluate(() => localStorage.clear());
+        await page.reload();
+
+        await page.fill('#sellerName', 'Quote Seller');
+        await page.fill('#sellerAddress', 'Seller Street');
+        await page.fill('#billToName', 'Acme');
+        await page.fill('#billToAddress', 'Customer Street');
+        await page.fill('#invoiceNumber', '7');
+        await page.fill('#invoiceDate', '2026-01-15');
+        await page.fill('.item-description', 'Consulting');
+        await page.fill('.item-quantity', '2');
+        await page.fill('.item-unit-price', '100');
+        await page.click('button:has-text("Generate Bill")');
+        await expect(page.locator('#displayInvoiceNumber')).toHaveText('7');
+    });
+
+    test('should number quotes and proforma invoices in their own series', async ({ page }) => {
+        await page.selectOption('#invoiceType', 'quote');
+        await expect(page.locator('#invoiceTitle')).toHaveValue('QUOTE');
+        await expect(page.locator('#invoiceNumber')).toHaveValue('QT-1');
+        await expect(page.locator('#invoiceDueDate')).toBeHidden();
+        await expect(page.locator('#invoiceValidUntil')).toBeVisible();
+
+        await page.fill('#invoiceValidUntil', '2026-02-15');
+        await page.click('button:has-text("Generate Bill")');
+        await expect(page.locator('#displayNumberLabel')).toHaveText('Quote Number:');
+        await expect(page.locator('#displayValidUntil')).toHaveText('15/02/2026');
+
+        await page.selectOption('#invoiceType', 'proforma');
+        await expect(page.locator('#invoiceTitle')).toHaveValue('PROFORMA INVOICE');
+        await expect(page.locator('#invoiceNumber')).toHaveValue('PF-1');
+
+        await page.selectOption('#invoiceType', 'invoice');
+        await expect(page.locator('#invoiceTitle')).toHaveValue('INVOICE');
+        await expect(page.locator('#invoiceNumber')).toHaveValue('8');
+
+        await page.click('#reportsToggle');
+        await expect(page.locator('.report-currency[data-currency="INR"] h4')).toHaveText('INR · 1 invoice');
+    });
+
+    test('should convert an accepted quote into an invoice', async ({ page }) => {
+        await page.selectOption('#invoiceType', 'quote');
+        await page.click('button:has-text("Generate Bill")');
+        await expect(page.locator('#displayInvoiceNumber')).toHaveText('QT-1');
+
+        await page.click('#historyToggle');
+        const quote = page.locator('.history-item', { hasText: '#QT-1' });
+        await expect(quote).toContainText('Quote');
+        await expect(quote.locator('.history-item-convert')).toHaveCount(0);
+        await quote.locator('.history-item-status').selectOption('accepted');
+        await expect(quote.locator('.status-badge.status-accepted')).toHaveText('Accepted');
+
+        await quote.locator('.history-item-convert').click();
+        await expect(page.locator('#displayNumberLabel')).toHaveText('Invoice Number:');
+        await expect(page.locator('#displayInvoiceNumber')).toHaveText('8');
+        await expect(page.locator('#invoiceTitle')).toHaveValue('INVOICE');
+        await expect(page.locator('.item-description')).toHaveValue('Consulting');
+
+        await page.click('#historyToggle');
+        await expect(page.locator('.history-item')).toHaveCount(3);
+        await expect(quote).toContainText('Invoiced as #8');
+        await expect(quote.locator('.history-item-convert')).toHaveCount(0);
+    });
+});
@@ -0,0 +1,113 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+
+/**
+ * Recurring Invoice Tests
+ *
+ * Covers:
+ * - Creating a schedule from a saved invoice
+ * - Due schedules listed when the app opens
+ * - Generated invoices advancing date, due date, number and period text
+ * - Full dates in period text keeping to calendar months over consecutive runs
+ */
+
+test.describe('Recurring Invoices', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/');
+        await page.evaluate(() => localStorage.clear());
+        await page.reload();
+
+        await page.fill('#sellerName', 'Recurring Seller');
+        await page.fill('#sellerAddress', 'Seller Street');
+        await page.fill('#billToName', 'Acme');
+        await page.fill('#billToAddress', 'Customer Street');
+        await page.fill('#invoiceNumber', 'RET-1');
+        await page.fill('#invoiceDate', '2025-01-15');
+        await page.fill('#invoiceDueDate', '2025-01-29');
+        await page.fill('.item-description', 'Retainer for January 2025');
+        await page.fill('.item-quantity', '1');
+        await page.fill('.item-unit-price', '500');
+        await page.click('button:has-text("Generate Bill")');
+        await expect(page.locator('#displayInvoiceNumber')).toHaveText('RET-1');
+
+        await page.click('#historyToggle');
+        page.once('dialog', (dialog) => dialog.accept('2'));
+        await page.click('.history-item-repeat');
+        await expect(page.locator('#recurringPanel')).toBeVisible();
+    });
+
+    test('should create the next invoice of a monthly schedule', async ({ page }) => {
+        const schedule = page.locator('.recurring-item');
+        await expect(schedule).toContainText('Monthly');
+        await expect(schedule.locator('.status-badge')).toHaveText('Due');
+
+        await page.click('.recurring-create');
+        await expect(page.locator('.history-item')).toHaveCount(2);
+
+        await page.locator('.history-item', { hasText: '#RET-2' }).click();
+        await expect(page.locator('#invoiceNumber')).toHaveValue('RET-2');
+        await expect(page.locator('#invoiceDate')).toHaveValue('2025-02-15');
+        await expect(page.locator('#invoiceDueDate')).toHaveValue('2025-03-01');
+        await expect(page.locator('.item-description')).toHaveValue('Retainer for February 2025');
+    });
+
+    test('should list due schedules when the app opens', async ({ page }) => {
+        await page.reload();
+        await expect(page.locator('#recurringPanel')).toBeVisible();
+        await expect(page.locator('.recurring-create')).toHaveCount(1);
+
+        page.once('dialog', (dialog) => dialog.accept());
+        await page.click('.recurring-item .directory-item-delete');
+        await expect(page.locator('.recurring-item')).toHaveCount(0);
+        await expect(page.locator('#recurringList')).toContainText('No recurring invoices yet');
+    });
+});
+
+test.describe('Recurring Period Dates', () => {
+    test('should keep date ranges on calendar months over consecutive runs', async ({ page }) => {
+        await page.goto('/');
+        await page.evaluate(() => localStorage.clear());
+        await page.reload();
+
+        await page.fill('#sellerName', 'Recurring Seller');
+        await page.fill('#sellerAddress', 'Seller Street');
+        await page.fill('#billToName', 'Acme');
+        await page.fill('#billToAddress', 'Customer Street');
+        await page.fill('#invoiceNumber', 'SUP-1');
+        await page.fill('#invoiceDate', '2025-01-01');
+        await page.fill('.item-description', 'Support 2025-01-01 to 2025-01-31');
+        await page.fill('.item-quantity', '1');
+        await page.fill('.item-unit-price', '200');
+        await page.click('button:has-text("Generate Bill")');
+        await expect(page.locator('#displayInvoiceNumber')).toHaveText('SUP-1');
+
+        await page.click('#historyToggle');
+        page.once('dialog', (dialog) => dialog.accept('2'));
+        await page.click('.history-item-repeat');
+        await page.click('.recurring-create');
+        await expect(page.locator('.history-item')).toHaveCount(2);
+        await page.click('.recurring-create');
+        await expect(page.locator('.history-item')).toHaveCount(3);
+
+        await page.locator('.history-item', { hasText: '#SUP-2' }).click();
+        await expect(page.locator('.item-description')).toHaveValue('Support 2025-02-01 to 2025-02-28');
+
+        await page.click('#historyToggle');
+        await page.locator('.history-item', { hasText: '#SUP-3' }).click();
+        await expect(page.locator('#invoiceDate')).toHaveValue('2025-03-01');
+        await expect(page.locator('.item-description')).toHaveValue('Support 2025-03-01 to 2025-03-31');
+    });
+
+    test('should move day-first dates to the end of shorter months', async ({ page }) => {
+        await page.goto('/');
+        const texts = await page.evaluate(async () => {
+            const { advancePeriodText } = await import('/src/js/modules/recurring.js');
+            return [
+                advancePeriodText('Due 31/01/2026', '2026-03-01', '2026-04-01', 'monthly'),
+                advancePeriodText('Hosting 01/2026, due 15/1/2026', '2026-01-01', '2026-02-01', 'monthly')
+            ];
+        });
+
+        expect(texts).toEqual(['Due 28/02/2026', 'Hosting 02/2026, due 15/2/2026']);
+    });
+});
@@ -0,0 +1,72 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+
+/**
+ * Reports Tests
+ *
+ * Covers:
+ * - Revenue, tax, paid and outstanding totals kept apart per currency
+ * - Revenue by period, top customers and top line items
+ */
+
+/**
+ * Generate an invoice from the form
+ * @param {import('@playwright/test').Page} page
+ * @param {Object} invoice - Invoice details
+ */
+async function generateInvoice(page, invoice) {
+    await page.fill('#billToName', invoice.customer);
+    await page.fill('#invoiceNumber', invoice.number);
+    await page.fill('#invoiceDate', invoice.date);
+    await page.fill('#currencyCode', invoice.currency);
+    await page.fill('#taxRate', invoice.taxRate);
+    await page.fill('.item-description', invoice.item);
+    await page.fill('.item-quantity', '1');
+    await page.fill('.item-unit-price', invoice.price);
+    await page.click('button:has-text("Generate Bill")');
+    await expect(page.locator('#displayInvoiceNumber')).toHaveText(invoice.number);
+}
+
+test.describe('Reports', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/');
+        await page.evaluate(() => localStorage.clear());
+        await page.reload();
+
+        await page.fill('#sellerName', 'Reports Seller');
+        await page.fill('#sellerAddress', 'Seller Street');
+        await page.fill('#billToAddress', 'Customer Street');
+        await page.selectOption('#invoiceLocale', 'en-US');
+    });
+
+    test('should report revenue per currency without mixing totals', async ({ page }) => {
+        await generateInvoice(page, { number: '1', customer: 'Acme', date: '2026-01-10', currency: 'USD', taxRate: '10', item: 'Consulting', price: '100' });
+        await generateInvoice(page, { number: '2', customer: 'Acme', date: '2026-02-10', currency: 'USD', taxRate: '10', item: 'Consulting', price: '200' });
+        await generateInvoice(page, { number: '3', customer: 'Globex', date: '2026-02-12', currency: 'EUR', taxRate: '0', item: 'Hosting', price: '50' });
+
+        // Marking an invoice paid moves it out of outstanding
+        await page.click('#historyToggle');
+        await page.locator('.history-item', { hasText: '#1 -' }).locator('.history-item-status').selectOption('paid');
+
+        await page.click('#reportsToggle');
+        const usd = page.locator('.report-currency[data-currency="USD"]');
+        const eur = page.locator('.report-currency[data-currency="EUR"]');
+        await expect(page.locator('.report-currency')).toHaveCount(2);
+
+        await expect(usd.locator('h4')).toHaveText('USD · 2 invoices');
+        await expect(usd.locator('.report-stat-revenue dd')).toHaveText('$330.00');
+        await expect(usd.locator('.report-stat-tax dd')).toHaveText('$30.00');
+        await expect(usd.locator('.report-stat-paid dd')).toHaveText('$110.00');
+        await expect(usd.locator('.report-stat-outstanding dd')).toHaveText('$220.00');
+        await expect(usd.locator('.report-table tbody tr')).toHaveCount(2);
+        await expect(usd.locator('.report-chart rect')).toHaveCount(2);
+        await expect(usd.locator('.report-bar').last()).toContainText('Consulting');
+
+        await expect(eur.locator('.report-stat-revenue dd')).toHaveText('€50.00');
+        await expect(eur.locator('.report-bar').first()).toContainText('Globex');
+
+        await page.selectOption('#reportPeriod', 'year');
+        await expect(usd.locator('.report-table tbody tr')).toHaveCount(1);
+        await expect(usd.locator('.report-table tbody tr')).toContainText('2026');
+    });
+});
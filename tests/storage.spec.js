@@ -0,0 +1,98 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+
+/**
+ * Storage Tests
+ *
+ * Covers:
+ * - Migrating history and the draft from localStorage into IndexedDB
+ * - Keeping more than 50 invoices in history
+ * - Seeding the address book from migrated history
+ */
+
+/**
+ * Build legacy history entries as stored in localStorage by earlier versions
+ * @param {number} count - Number of entries
+ * @returns {Array} History entries, newest first
+ */
+function buildLegacyHistory(count) {
+    return Array.from({ length: count }, (_, index) => {
+        const number = String(count - index);
+        const customerName = `Customer ${number}`;
+        return {
+            id: 1700000000000 + count - index,
+            date: '2026-01-15',
+            dueDate: '',
+            number,
+            customerName,
+            total: 100,
+            balanceDue: 100,
+            currency: 'INR',
+            profileId: '',
+            status: 'sent',
+            data: {
+                seller: { name: 'Legacy Seller', address: 'Seller Street' },
+                billTo: { name: customerName, address: 'Customer Street' },
+                invoice: { number, date: '2026-01-15' },
+                items: [{ description: 'Item', quantity: 1, unitPrice: 100 }]
+            }
+        };
+    });
+}
+
+test.describe('Storage', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/');
+        await page.evaluate(() => localStorage.clear());
+    });
+
+    test('should migrate history and the draft out of localStorage', async ({ page }) => {
+        await page.evaluate((history) => {
+            localStorage.setItem('invoice.history', JSON.stringify(history));
+            localStorage.setItem('invoice.draft.v1', JSON.stringify({
+                seller: { name: 'Draft Seller', address: 'Draft Street' },
+                invoice: { number: '77', date: '2026-02-01' }
+            }));
+        }, buildLegacyHistory(2));
+        await page.reload();
+
+        await expect(page.locator('#sellerName')).toHaveValue('Draft Seller');
+        await expect(page.locator('#invoiceNumber')).toHaveValue('77');
+
+        await page.click('#historyToggle');
+        await expect(page.locator('.history-item-title')).toContainText(['#2 - Customer 2', '#1 - Customer 1']);
+        await expect(page.locator('#customerOptions option')).toHaveCount(2);
+
+        const legacyKeys = await page.evaluate(() => [
+            localStorage.getItem('invoice.history'),
+            localStorage.getItem('invoice.draft.v1')
+        ]);
+        expect(legacyKeys).toEqual([null, null]);
+
+        // The migrated data survives another reload
+        await page.reload();
+        await expect(page.locator('#sellerName')).toHaveValue('Draft Seller');
+        await page.click('#historyToggle');
+        await expect(page.locator('.history-item')).toHaveCount(2);
+    });
+
+    test('should keep more than 50 invoices in history', async ({ page }) => {
+        await page.evaluate((history) => {
+            localStorage.setItem('invoice.history', JSON.stringify(history));
+        }, buildLegacyHistory(60));
+        await page.reload();
+
+        await page.fill('#sellerName', 'Storage Seller');
+        await page.fill('#sellerAddress', 'Seller Street');
+        await page.fill('#billToName', 'New Customer');
+        await page.fill('#billToAddress', 'Customer Street');
+        await page.fill('#invoiceNumber', '61');
+        await page.fill('.item-description', 'Item');
+        await page.click('button:has-text("Generate Bill")');
+
+        await page.click('#historyToggle');
+        await expect(page.locator('.history-item')).toHaveCount(61);
+        await expect(page.locator('.history-item-title').first()).toContainText('#61 - New Customer');
+        await expect(page.locator('.history-item-title').last()).toContainText('#1 - Customer 1');
+    });
+});
@@ -0,0 +1,68 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+
+/**
+ * Undo/Redo Tests
+ *
+ * Covers:
+ * - Undoing and redoing item removal with the toolbar buttons and shortcuts
+ * - Undoing a JSON import and a draft reset
+ * - Redo being cleared by a new edit
+ */
+
+test.describe('Undo and Redo', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/');
+        await page.evaluate(() => localStorage.clear());
+        await page.reload();
+
+        await page.fill('#billToName', 'Acme');
+        await page.fill('.item-description', 'Consulting');
+        await page.click('#addItemBtn');
+        await page.locator('.item-description').nth(1).fill('Travel');
+        await expect(page.locator('#undoBtn')).toBeEnabled();
+        await expect(page.locator('#redoBtn')).toBeDisabled();
+    });
+
+    test('should restore a removed item row', async ({ page }) => {
+        await page.locator('.remove-item').first().click();
+        await expect(page.locator('.item-row')).toHaveCount(1);
+
+        await page.click('#undoBtn');
+        await expect(page.locator('.item-row')).toHaveCount(2);
+        await expect(page.locator('.item-description').first()).toHaveValue('Consulting');
+
+        await page.locator('#billToName').focus();
+        await page.keyboard.press('Control+Shift+Z');
+        await expect(page.locator('.item-row')).toHaveCount(1);
+        await expect(page.locator('.item-description')).toHaveValue('Travel');
+
+        await page.keyboard.press('Control+Z');
+        await expect(page.locator('.item-row')).toHaveCount(2);
+        await expect(page.locator('#redoBtn')).toBeEnabled();
+
+        await page.fill('#billToName', 'Acme Ltd');
+        await expect(page.locator('#redoBtn')).toBeDisabled();
+    });
+
+    test('should undo a JSON import and a draft reset', async ({ page }) => {
+        await page.fill('#jsonData', JSON.stringify({
+            billTo: { name: 'Imported Co' },
+            items: [{ description: 'Imported item', quantity: 1, unitPrice: 5 }]
+        }));
+        await page.click('#importJsonBtn');
+        await expect(page.locator('#billToName')).toHaveValue('Imported Co');
+
+        await page.click('#undoBtn');
+        await expect(page.locator('#billToName')).toHaveValue('Acme');
+        await expect(page.locator('.item-description').nth(1)).toHaveValue('Travel');
+
+        page.once('dialog', (dialog) => dialog.accept());
+        await page.click('#resetDraftBtn');
+        await expect(page.locator('#billToName')).toHaveValue('');
+
+        await page.click('#undoBtn');
+        await expect(page.locator('#billToName')).toHaveValue('Acme');
+        await expect(page.locator('.item-row')).toHaveCount(2);
+    });
+});